@@ -0,0 +1,133 @@
+import * as Constants from './Constants'
+import {StockfishEngine} from './stockfish/StockfishEngine'
+import {chessLogic} from './chess/ChessLogic'
+import {sampleMove} from './RepertoireTrainer'
+
+// Plays full games as the loaded player.
+// In the tree it picks the moves the player chose, weighted by how often they were played.
+// Out of the tree the engine takes over at the chosen skill level
+export default class BotPlayer {
+    constructor(openingGraph, skillLevel, onMove, onError) {
+        this.openingGraph = openingGraph
+        this.skillLevel = skillLevel
+        this.onMove = onMove
+        this.onError = onError
+        this.engine = null
+        this.pendingFen = null
+        this.searchingFen = null
+        this.stopRequested = false
+    }
+
+    // onMove is called with {san, fromTree}
+    play(fen) {
+        let moves = this.openingGraph.movesForFen(fen)
+        if(moves && moves.length > 0) {
+            this.onMove({san:sampleMove(moves).san, fromTree:true})
+            return
+        }
+        this.pendingFen = fen
+        if(!this.engine) {
+            this.engine = new StockfishEngine({
+                multiPv:1,
+                onReady:this.searchPending.bind(this),
+                onBestMove:this.bestMoveFound.bind(this),
+                onError:this.onError
+            })
+            return
+        }
+        this.searchPending()
+    }
+
+    setSkillLevel(skillLevel) {
+        this.skillLevel = skillLevel
+    }
+
+    // forgets the move being searched. the engine still reports a best move for it
+    cancel() {
+        this.pendingFen = null
+        if(this.searchingFen) {
+            this.searchingFen = null
+            this.stopRequested = true
+            this.engine.stop()
+        }
+    }
+
+    destroy() {
+        this.pendingFen = null
+        this.searchingFen = null
+        if(this.engine) {
+            this.engine.destroy()
+            this.engine = null
+        }
+    }
+
+    searchPending() {
+        if(!this.pendingFen || this.searchingFen || this.stopRequested || !this.engine || !this.engine.isReady) {
+            return
+        }
+        this.searchingFen = this.pendingFen
+        this.pendingFen = null
+        this.engine.setSkillLevel(this.skillLevel)
+        this.engine.analyze(this.searchingFen, {movetime:Constants.BOT_ENGINE_MOVETIME_MS, multiPv:1})
+    }
+
+    bestMoveFound(result) {
+        let fen = this.searchingFen
+        this.searchingFen = null
+        if(this.stopRequested) {
+            this.stopRequested = false
+            this.searchPending()
+            return
+        }
+        let san = sanFromUci(this.openingGraph.variant, fen, result.bestMove)
+        if(!san) {
+            this.onError(`Engine returned an illegal move ${result.bestMove}`)
+            return
+        }
+        this.onMove({san:san, fromTree:false})
+    }
+}
+
+export function sanFromUci(variant, fen, uci) {
+    if(!uci || uci.length < 4) {
+        return null
+    }
+    let move = chessLogic(variant, fen).move({from:uci.slice(0, 2), to:uci.slice(2, 4), promotion:uci[4]})
+    return move?move.san:null
+}
+
+// games against the bot are standard chess from startFen.
+// moves: [{san, inRepertoire}] where inRepertoire tells if the move was in the player's tree.
+// a comment marks every move where the game leaves the repertoire or transposes back into it
+export function createBotGamePgn(startFen, moves, headers, botName) {
+    let chess = chessLogic(Constants.VARIANT_STANDARD, startFen)
+    let inRepertoire = true
+    let needsMoveNumber = true
+    let tokens = []
+    moves.forEach((move)=> {
+        let fenComponents = chess.fen().split(' ')
+        if(fenComponents[1] === 'w') {
+            tokens.push(`${fenComponents[5]}.`)
+        } else if(needsMoveNumber) {
+            tokens.push(`${fenComponents[5]}...`)
+        }
+        tokens.push(move.san)
+        needsMoveNumber = false
+        chess.move(move.san)
+        if(move.inRepertoire !== inRepertoire) {
+            inRepertoire = move.inRepertoire
+            tokens.push(inRepertoire?`{Back in the repertoire of ${botName}}`:`{Leaves the repertoire of ${botName}}`)
+            needsMoveNumber = true
+        }
+    })
+    tokens.push(headers.Result)
+    if(startFen !== Constants.ROOT_FEN) {
+        headers = {...headers, SetUp:"1", FEN:startFen}
+    }
+    return `${Object.entries(headers).map(header=>`[${header[0]} "${header[1]}"]`).join("\n")}\n\n${tokens.join(' ')}\n`
+}
+
+export function isRepertoireMove(openingGraph, fen, san) {
+    let moves = openingGraph.movesForFen(fen)
+    return !!moves && moves.some(move=>move.san === san)
+}
@@ -41,6 +41,11 @@ export function lichessVariantHeader(variant) {
     }
     return Constants.LICHESS_HEADER_STANDARD
 }
+// standard games that lichess started from another position are read with their FEN header
+export function isLichessGameOfVariant(variant, variantHeader) {
+    return variantHeader === lichessVariantHeader(variant) ||
+        (variant === Constants.VARIANT_STANDARD && variantHeader === Constants.LICHESS_HEADER_FROM_POSITION)
+}
 export function lichessPerf(variant) {
     if (variant === Constants.VARIANT_KING_OF_THE_HILL) {
         return Constants.LICHESS_PERF_KING_OF_THE_HILL
@@ -42,6 +42,8 @@ export const RACING_KINGS_ROOT_FEN="8/8/8/8/8/8/krbnNBRK/qrbnNBRQ w - - 0 1"
 
 export const PLAYER_COLOR_WHITE = 'white'
 export const PLAYER_COLOR_BLACK = 'black'
+// games of the player with either color. every game keeps its own color in its pgnStats
+export const PLAYER_COLOR_BOTH = 'both'
 
 export const LOADER_ANIMATION_DURATION_MS = 500
 
@@ -51,7 +53,73 @@ export const OPENING_TREE_LICHESS = 'vannooz'
 export const OPENING_TREE_CHESS_COM = 'vannooz'
 export const OPENING_TREE_DISCORD = 'https://discord.gg/hCwKkN8'
 
-export const OPENING_TREE_FILE_CURRENT_VERSION = 2
+export const OPENING_TREE_FILE_CURRENT_VERSION = 3
+export const OPENING_TREE_FILE_MIN_SUPPORTED_VERSION = 2
+export const WORKSPACE_MAX_TREES = 10
+
+export const POLYGLOT_DEFAULT_MIN_GAMES = 2
+export const POLYGLOT_DEFAULT_MAX_PLIES = 20
+export const REPERTOIRE_DEFAULT_MIN_GAMES = 2
+export const REPERTOIRE_DEFAULT_MAX_PLIES = 16
+
+export const GAP_REPORT_MAX_PLIES = 20
+export const GAP_REPORT_MIN_GAMES = 5
+export const GAP_REPORT_LOW_SCORE = 40 // percentage
+export const GAP_REPORT_RARE_SHARE = 0.1 // share of the games in the position
+export const GAP_REPORT_UPSET_ELO_GAP = 200
+export const GAP_REPORT_MAX_ENTRIES = 10
+
+export const TREE_EVALUATION_DEFAULT_POSITIONS = 50
+export const TREE_EVALUATION_DEFAULT_DEPTH = 16
+
+export const MOVE_CLASSIFICATION_BEST = 'best'
+export const MOVE_CLASSIFICATION_INACCURACY = 'inaccuracy'
+export const MOVE_CLASSIFICATION_MISTAKE = 'mistake'
+export const MOVE_CLASSIFICATION_BLUNDER = 'blunder'
+export const MISTAKES_REPORT_MAX_PLIES = 30
+export const MISTAKES_REPORT_MAX_ENTRIES = 20
+
+export const TRAINER_MIN_MOVE_SHARE = 0.2
+export const TRAINER_MAX_PLIES = 30
+export const TRAINER_OPPONENT_DELAY_MS = 600
+export const TRAINER_REVIEW_INTERVALS_DAYS = [0, 1, 3, 7, 14, 30, 60]
+export const TRAINER_MAX_LOGGED_MISTAKES = 50
+
+export const BOT_DEFAULT_SKILL_LEVEL = 10
+export const BOT_MAX_SKILL_LEVEL = 20
+export const BOT_ENGINE_MOVETIME_MS = 1000
+export const BOT_MOVE_DELAY_MS = 600
+
+export const POSITION_SEARCH_MAX_RESULTS = 50
+
+export const MOVE_ORDERS_MAX_GAMES = 1000
+export const MOVE_ORDERS_MAX_SHOWN = 10
+
+export const REPERTOIRE_DEVIATIONS_MAX_ENTRIES = 20
+
+export const FETCH_MAX_RETRIES = 5
+export const FETCH_RETRY_BASE_DELAY_MS = 1000
+// lichess asks to wait a full minute after a 429 that does not say how long to wait
+export const FETCH_RATE_LIMIT_DELAY_MS = 60000
+// a Retry-After longer than this is not waited for
+export const FETCH_RETRY_MAX_DELAY_MS = 120000
+export const FETCH_MAX_REQUESTS_PER_HOST = 2
+
+// reasons for games that were read but not added to the tree
+export const SKIP_REASON_VARIANT = 'variant'
+export const SKIP_REASON_TIME_CONTROL = 'timeControl'
+export const SKIP_REASON_RATING = 'rating'
+export const SKIP_REASON_RATED = 'rated'
+export const SKIP_REASON_DATE = 'date'
+export const SKIP_REASON_PLAYER = 'player'
+export const SKIP_REASON_OPPONENT = 'opponent'
+export const SKIP_REASON_PARSE_FAILURE = 'parseFailure'
+export const SKIP_REASON_ILLEGAL_MOVE = 'illegalMove'
+export const SKIP_REASON_SHORT_GAME = 'shortGame'
+export const SKIP_REASON_FROM_POSITION = 'fromPosition'
+export const LOAD_PROGRESS_INTERVAL_MS = 500
+// skipped games kept for the load report. the ones after that are only counted
+export const LOAD_REPORT_MAX_GAMES = 1000
 
 export const ERROR_ACTION_REPORT = 'report'
 export const ERROR_ACTION_VISIT_OLD_SITE = 'visitOld'
@@ -87,10 +155,14 @@ export const LICHESS_HEADER_THREE_CHECK = "Three-check"
 export const LICHESS_HEADER_KING_OF_THE_HILL = "King of the Hill"
 export const LICHESS_HEADER_STANDARD = "Standard"
 export const LICHESS_HEADER_CRAZYHOUSE = "Crazyhouse"
+export const LICHESS_HEADER_FROM_POSITION = "From Position"
 
 export const OPENING_BOOK_TYPE_OFF = 'off'
 export const OPENING_BOOK_TYPE_MASTERS = 'master'
 export const OPENING_BOOK_TYPE_LICHESS = 'lichess'
+export const OPENING_BOOK_TYPE_LOCAL = 'local'
+export const LOCAL_BOOK_MAX_PLIES = 30
+export const LOCAL_BOOK_BATCH_SIZE = 200
 
 export const ALL_BOOK_RATINGS = ['1600','1800','2000','2200','2500']
 
@@ -98,6 +170,14 @@ export const SETTING_NAME_ORIENTATION = 'orientation'
 export const SETTING_NAME_DARK_MODE = 'darkMode'
 export const SETTING_NAME_MOVES_SETTINGS = 'movesSettings'
 
+export const GAMES_SORT_BY_DATE = 'date'
+export const GAMES_SORT_BY_OPPONENT_ELO = 'opponentElo'
+export const GAMES_RESULT_ALL = 'all'
+export const GAMES_RESULT_WIN = 'win'
+export const GAMES_RESULT_DRAW = 'draw'
+export const GAMES_RESULT_LOSS = 'loss'
+export const GAMES_PAGE_SIZE = 10
+
 export const MILLISECS_IN_DAY = 1000 * 60 * 60 * 24;
 
 export const LICHESS_HOST = 'https://lichess.org';
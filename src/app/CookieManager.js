@@ -43,6 +43,19 @@ class CookieManager {
         return JSON.parse(settingsCookie)
     }
 
+    // name of the tree in the local workspace that is restored on startup
+    setLastTreeCookie(treeName) {
+        Cookies.set('lt', treeName, {expires: 365})
+    }
+
+    getLastTreeCookie() {
+        return Cookies.get('lt')
+    }
+
+    deleteLastTreeCookie() {
+        Cookies.remove('lt')
+    }
+
     currentVisit = null
 
     getVisitInfo(){
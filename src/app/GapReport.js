@@ -0,0 +1,70 @@
+import * as Constants from './Constants'
+import {isPlayerMove, turnColor, walkOpeningGraph} from './util'
+
+// Finds the spots in the loaded player's repertoire that are worth preparing for:
+//   lowScores: positions where the player scores badly over enough games
+//   rarelyFaced: positions reached by an opponent move the player has rarely seen
+//   upsetLosses: positions where the player lost to much lower rated opponents
+// every entry has the moves to reach the position from its start fen, its fen and the details from the graph
+export function createGapReport(openingGraph, playerColor) {
+    let report = {
+        lowScores:[],
+        rarelyFaced:[],
+        upsetLosses:[]
+    }
+    walkOpeningGraph(openingGraph, Constants.GAP_REPORT_MAX_PLIES, (move, position, positionMoves, nextPosition)=> {
+        if(!nextPosition) {
+            return
+        }
+        let positionCount = positionMoves.reduce((total, positionMove)=>total+positionMove.moveCount, 0)
+        let entry = {
+            startFen:nextPosition.startFen,
+            fen:nextPosition.fen,
+            moves:nextPosition.moves,
+            details:move.details,
+            score:playerScore(move.details, playerColor)
+        }
+        if(move.details.count >= Constants.GAP_REPORT_MIN_GAMES &&
+                entry.score <= Constants.GAP_REPORT_LOW_SCORE) {
+            report.lowScores.push(entry)
+        }
+        if(!isPlayerMove(move, turnColor(position.fen), playerColor) && positionCount >= Constants.GAP_REPORT_MIN_GAMES &&
+                move.moveCount/positionCount <= Constants.GAP_REPORT_RARE_SHARE) {
+            report.rarelyFaced.push({...entry, timesFaced:move.moveCount, positionCount:positionCount})
+        }
+        let eloGap = upsetEloGap(move.details)
+        if(eloGap >= Constants.GAP_REPORT_UPSET_ELO_GAP) {
+            report.upsetLosses.push({...entry, eloGap:eloGap})
+        }
+    })
+    report.lowScores = topEntries(report.lowScores, (a, b)=>a.score-b.score || b.details.count-a.details.count)
+    report.rarelyFaced = topEntries(report.rarelyFaced, (a, b)=>b.positionCount-a.positionCount || a.timesFaced-b.timesFaced)
+    report.upsetLosses = topEntries(report.upsetLosses, (a, b)=>b.eloGap-a.eloGap)
+    return report
+}
+
+function topEntries(entries, compare) {
+    return entries.sort(compare).slice(0, Constants.GAP_REPORT_MAX_ENTRIES)
+}
+
+// score percentage of the player in the games that reached the position
+export function playerScore(details, playerColor) {
+    if(!details.count) {
+        return null
+    }
+    let playerWins = playerColor === Constants.PLAYER_COLOR_BLACK?details.blackWins:details.whiteWins
+    if(playerColor === Constants.PLAYER_COLOR_BOTH) {
+        playerWins = details.playerWins || 0
+    }
+    return (playerWins+details.draws/2)*100/details.count
+}
+
+// how much lower the worst loss was rated than the average opponent in this position
+function upsetEloGap(details) {
+    let averageOpponentElo = details.totalOpponentElo/details.count
+    let worstLossElo = parseInt(details.worstLossElo)
+    if(!details.worstLossGame || isNaN(averageOpponentElo) || isNaN(worstLossElo)) {
+        return 0
+    }
+    return Math.round(averageOpponentElo-worstLossElo)
+}
@@ -0,0 +1,132 @@
+import * as Constants from './Constants'
+import {pgnString} from './iterator/IteratorUtils'
+
+// What is known about a load while its games are downloaded. The iterators fill it in and the
+// loader is sent a plain copy at most every LOAD_PROGRESS_INTERVAL_MS, and once more when the load ends
+export default class LoadProgress {
+    constructor(onChange) {
+        this.onChange = onChange
+        this.startTime = Date.now()
+        this.expectedTotal = null // games expected to be read. estimated from the archives when there are any
+        this.archiveCount = null
+        this.archivesRead = 0
+        this.currentStep = null
+        this.gamesRead = 0
+        this.skipped = {} // games read but not added, by reason
+        this.rejectedGames = [] // the skipped games themselves, for the load report
+        this.lastReportTime = 0
+        this.reportTimer = null
+    }
+
+    setExpectedTotal(expectedTotal) {
+        this.expectedTotal = expectedTotal
+        this.changed()
+    }
+
+    setArchiveCount(archiveCount) {
+        this.archiveCount = archiveCount
+        this.changed()
+    }
+
+    archiveRead() {
+        this.archivesRead++
+        this.changed()
+    }
+
+    setCurrentStep(currentStep) {
+        this.currentStep = currentStep
+        this.changed()
+    }
+
+    gamesFound(count) {
+        this.gamesRead += count
+        this.changed()
+    }
+
+    // game is the pgn text when it could not be parsed, the parsed game otherwise
+    skip(reason, game, detail) {
+        this.skipped[reason] = (this.skipped[reason] || 0)+1
+        if(game && this.rejectedGames.length<Constants.LOAD_REPORT_MAX_GAMES) {
+            let text = typeof game === 'string'?game:pgnString(game)
+            this.rejectedGames.push({
+                reason:reason,
+                detail:detail || null,
+                label:gameLabel(text),
+                pgn:text.trim()
+            })
+        }
+        this.changed()
+    }
+
+    // the skipped games are only sent when asked for since there can be many of them
+    loadReport() {
+        let skippedCount = Object.values(this.skipped).reduce((total, count)=>total+count, 0)
+        return {
+            skipped:{...this.skipped},
+            rejectedGames:[...this.rejectedGames],
+            notListed:skippedCount-this.rejectedGames.length
+        }
+    }
+
+    finish() {
+        this.currentStep = null
+        this.report()
+    }
+
+    snapshot() {
+        let skippedCount = Object.values(this.skipped).reduce((total, count)=>total+count, 0)
+        let expectedTotal = this.expectedTotal
+        let fractionDone = null
+        if(this.archiveCount) {
+            fractionDone = this.archivesRead/this.archiveCount
+            if(this.archivesRead>0) {
+                expectedTotal = Math.round(this.gamesRead/this.archivesRead*this.archiveCount)
+            }
+        } else if(expectedTotal) {
+            fractionDone = Math.min(1, this.gamesRead/expectedTotal)
+        }
+        return {
+            startTime:this.startTime,
+            expectedTotal:expectedTotal,
+            fractionDone:fractionDone,
+            archiveCount:this.archiveCount,
+            archivesRead:this.archivesRead,
+            currentStep:this.currentStep,
+            gamesRead:this.gamesRead,
+            gamesAccepted:this.gamesRead-skippedCount,
+            skipped:{...this.skipped}
+        }
+    }
+
+    changed() {
+        if(this.reportTimer) {
+            return
+        }
+        let waitMs = this.lastReportTime+Constants.LOAD_PROGRESS_INTERVAL_MS-Date.now()
+        if(waitMs<=0) {
+            this.report()
+            return
+        }
+        this.reportTimer = setTimeout(()=>this.report(), waitMs)
+    }
+
+    report() {
+        if(this.reportTimer) {
+            clearTimeout(this.reportTimer)
+            this.reportTimer = null
+        }
+        this.lastReportTime = Date.now()
+        if(this.onChange) {
+            this.onChange(this.snapshot())
+        }
+    }
+}
+
+// who played and when, read from the headers of the pgn text
+function gameLabel(pgnText) {
+    let header = (name) => {
+        let match = new RegExp(`\\[${name} "([^"]*)"\\]`).exec(pgnText)
+        return match?match[1]:'?'
+    }
+    return `${header('White')} - ${header('Black')}, ${header('Date')}`
+}
@@ -0,0 +1,99 @@
+// Promise based helpers around the browser's IndexedDB.
+// All the object stores live in one database so that they can be upgraded together.
+// To add a store, add it to OBJECT_STORES and increase DB_VERSION.
+const DB_NAME = 'openingtree'
+const DB_VERSION = 3
+
+export const STORE_BOOK_POSITIONS = 'bookPositions'
+export const STORE_TREES = 'trees'
+export const STORE_TREE_SUMMARIES = 'treeSummaries'
+export const STORE_TRAINING_PROGRESS = 'trainingProgress'
+
+const OBJECT_STORES = [STORE_BOOK_POSITIONS, STORE_TREES, STORE_TREE_SUMMARIES, STORE_TRAINING_PROGRESS]
+
+let databasePromise = null
+
+export function isLocalDatabaseAvailable() {
+    return typeof indexedDB !== 'undefined'
+}
+
+export function openDatabase() {
+    if(!databasePromise) {
+        databasePromise = new Promise((resolve, reject)=>{
+            if(!isLocalDatabaseAvailable()) {
+                reject(new Error("IndexedDB is not available in this browser"))
+                return
+            }
+            let request = indexedDB.open(DB_NAME, DB_VERSION)
+            request.onupgradeneeded = () => {
+                let database = request.result
+                OBJECT_STORES.forEach((storeName)=>{
+                    if(!database.objectStoreNames.contains(storeName)) {
+                        database.createObjectStore(storeName)
+                    }
+                })
+            }
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => reject(request.error)
+        })
+        // allow retrying if the database could not be opened
+        databasePromise.catch(()=>{
+            databasePromise = null
+        })
+    }
+    return databasePromise
+}
+
+export function getRecord(storeName, key) {
+    return withStore(storeName, 'readonly', (store)=>store.get(key))
+}
+
+export function getAllRecords(storeName) {
+    return withStore(storeName, 'readonly', (store)=>store.getAll())
+}
+
+export function getAllKeys(storeName) {
+    return withStore(storeName, 'readonly', (store)=>store.getAllKeys())
+}
+
+export function countRecords(storeName) {
+    return withStore(storeName, 'readonly', (store)=>store.count())
+}
+
+export function putRecord(storeName, key, value) {
+    return withStore(storeName, 'readwrite', (store)=>store.put(value, key))
+}
+
+export function deleteRecord(storeName, key) {
+    return withStore(storeName, 'readwrite', (store)=>store.delete(key))
+}
+
+export function clearStore(storeName) {
+    return withStore(storeName, 'readwrite', (store)=>store.clear())
+}
+
+// merges every entry of the updates map into the stored record with the same key
+// in a single transaction. merge(existingRecord, update) returns the record to store
+export function updateRecords(storeName, updates, merge) {
+    return openDatabase().then((database)=>new Promise((resolve, reject)=>{
+        let transaction = database.transaction(storeName, 'readwrite')
+        let store = transaction.objectStore(storeName)
+        updates.forEach((update, key)=>{
+            let request = store.get(key)
+            request.onsuccess = () => store.put(merge(request.result, update), key)
+        })
+        transaction.oncomplete = () => resolve()
+        transaction.onerror = () => reject(transaction.error)
+        transaction.onabort = () => reject(transaction.error)
+    }))
+}
+
+function withStore(storeName, mode, operation) {
+    return openDatabase().then((database)=>new Promise((resolve, reject)=>{
+        let transaction = database.transaction(storeName, mode)
+        let request = operation(transaction.objectStore(storeName))
+        transaction.oncomplete = () => resolve(request.result)
+        transaction.onerror = () => reject(transaction.error)
+        transaction.onabort = () => reject(transaction.error)
+    }))
+}
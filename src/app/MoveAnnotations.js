@@ -0,0 +1,56 @@
+const CLOCK_COMMAND = /\[%clk\s+(\d+):(\d+):(\d+(?:\.\d+)?)\s*\]/
+const EVAL_COMMAND = /\[%eval\s+(#)?([+-]?\d+(?:\.\d+)?)/
+const TIME_CONTROL = /^(\d+)(?:\+(\d+(?:\.\d+)?))?$/
+// mates are counted like a 10 pawn advantage so that they can be averaged with the other evaluations
+const MATE_SCORE = 1000
+
+// remaining time in seconds from a comment like {[%clk 0:02:59.9]}. null when the comment has no clock
+export function parseClock(comment) {
+    let match = comment && CLOCK_COMMAND.exec(comment)
+    if(!match) {
+        return null
+    }
+    return parseInt(match[1])*3600+parseInt(match[2])*60+parseFloat(match[3])
+}
+
+// centipawns for white from a comment like {[%eval -0.35]} or {[%eval #3]}. null when the comment has no evaluation
+export function parseEvaluation(comment) {
+    let match = comment && EVAL_COMMAND.exec(comment)
+    if(!match) {
+        return null
+    }
+    let value = parseFloat(match[2])
+    if(match[1]) {
+        return value<0?-MATE_SCORE:MATE_SCORE
+    }
+    return Math.max(-MATE_SCORE, Math.min(MATE_SCORE, Math.round(value*100)))
+}
+
+// Reads the clock and eval commands that lichess and chess.com write in the comments of the moves.
+// returns {timeSpent, evaluations} with a value for every move, null where it is not known.
+// arrays the game has no values for are left out and games without any annotations get null
+export function moveAnnotations(pgn) {
+    let timeControl = TIME_CONTROL.exec((pgn.headers && pgn.headers.TimeControl) || '')
+    // the clocks of correspondence games say nothing about the time spent thinking
+    let startingClock = timeControl?parseInt(timeControl[1]):null
+    let increment = timeControl && timeControl[2]?parseFloat(timeControl[2]):0
+    let previousClocks = [startingClock, startingClock]
+    let timeSpent = []
+    let evaluations = []
+    pgn.moves.forEach((move, ply)=>{
+        let clock = timeControl?parseClock(move.comment):null
+        let previousClock = previousClocks[ply%2]
+        timeSpent.push(clock === null || previousClock === null?null:
+            Math.max(0, Math.round((previousClock+increment-clock)*10)/10))
+        previousClocks[ply%2] = clock
+        evaluations.push(parseEvaluation(move.comment))
+    })
+    let annotations = {}
+    if(timeSpent.some(value=>value !== null)) {
+        annotations.timeSpent = timeSpent
+    }
+    if(evaluations.some(value=>value !== null)) {
+        annotations.evaluations = evaluations
+    }
+    return Object.keys(annotations).length>0?annotations:null
+}
@@ -0,0 +1,51 @@
+import * as Constants from './Constants'
+import {isPlayerMove, turnColor, walkOpeningGraph} from './util'
+import {povChances} from './stockfish/winningChances'
+
+// same thresholds as lichess: how much the winning chances of the side that moved dropped.
+// winning chances go from -1 to 1
+const CLASSIFICATION_THRESHOLDS = [
+    {drop:0.3, classification:Constants.MOVE_CLASSIFICATION_BLUNDER},
+    {drop:0.2, classification:Constants.MOVE_CLASSIFICATION_MISTAKE},
+    {drop:0.1, classification:Constants.MOVE_CLASSIFICATION_INACCURACY}
+]
+
+// needs the evaluation of the position before and after the move.
+// returns null when they are not known or the move is good enough
+export function classifyMove(sourceEvaluation, targetEvaluation, moverColor, uciMove) {
+    if(!sourceEvaluation || !targetEvaluation) {
+        return null
+    }
+    if(sourceEvaluation.bestMove === uciMove) {
+        return Constants.MOVE_CLASSIFICATION_BEST
+    }
+    let drop = povChances(moverColor, sourceEvaluation.score) - povChances(moverColor, targetEvaluation.score)
+    let threshold = CLASSIFICATION_THRESHOLDS.find(threshold=>drop>=threshold.drop)
+    return threshold?threshold.classification:null
+}
+
+export function uciMove(move) {
+    return `${move.from}${move.to}${move.promotion||''}`
+}
+
+// inaccuracies, mistakes and blunders played in the tree, most played first.
+// every entry has the moves to reach the position where the move was played from its start fen
+export function findMistakes(openingGraph, playerColor) {
+    let mistakes = []
+    walkOpeningGraph(openingGraph, Constants.MISTAKES_REPORT_MAX_PLIES, (move, position)=> {
+        if(move.classification && move.classification !== Constants.MOVE_CLASSIFICATION_BEST) {
+            mistakes.push({
+                startFen:position.startFen,
+                fen:position.fen,
+                moves:position.moves,
+                san:move.san,
+                classification:move.classification,
+                moveCount:move.moveCount,
+                byPlayer:isPlayerMove(move, turnColor(position.fen), playerColor)
+            })
+        }
+    })
+    let severity = CLASSIFICATION_THRESHOLDS.map(threshold=>threshold.classification)
+    return mistakes.sort((a, b)=>severity.indexOf(a.classification)-severity.indexOf(b.classification)
+        || b.moveCount-a.moveCount).slice(0, Constants.MISTAKES_REPORT_MAX_ENTRIES)
+}
@@ -1,29 +1,21 @@
-import request from 'request'
-import * as Common from './Common'
+import * as Constants from './Constants'
+import * as LichessExplorerBook from './book/LichessExplorerBook'
+import * as LocalBook from './book/LocalBook'
 
-export function fetchBookMoves(fen, variant, bookSettings, callback) {
-    let ratings = bookSettings.openingBookRating
-    let speeds = bookSettings.openingBookTimeControls
-    let bookType = bookSettings.openingBookType
-    let url = `https://explorer.lichess.ovh/${bookType}?fen=${fen}&play=&variant=${Common.lichessPerf(variant)}&ratings=${joinParams(ratings)}&speeds=${joinParams(speeds)}`
-    request.get(url, (error, response) =>{
-        if(error) {
-            callback({fetch:"failed"})
-            return 
-        }
-        try{
-            callback(JSON.parse(response.body))
-            return
-        } catch (e) {
-            console.log(e)
-        }
-        callback({fetch:"failed"})
-    })
-    return {fetch:"pending"}
-    //https://explorer.lichess.ovh/lichess?fen=rnbqkbnr%2Fpppppppp%2F8%2F8%2F8%2F8%2FPPPPPPPP%2FRNBQKBNR%20w%20KQkq%20-%200%201&play=&variant=kingOfTheHill&speeds%5B%5D=bullet&speeds%5B%5D=blitz&speeds%5B%5D=rapid&speeds%5B%5D=classical&ratings%5B%5D=1600&ratings%5B%5D=1800&ratings%5B%5D=2000&ratings%5B%5D=2200&ratings%5B%5D=2500
+// A book provider has a fetchBookMoves(fen, variant, bookSettings, callback) function.
+// It returns {fetch:"pending"} right away and later calls the callback with
+// {moves:[{san, white, black, draws, averageRating}]} or {fetch:"failed"}
+const bookProviders = new Map()
 
+export function registerBookProvider(bookType, provider) {
+    bookProviders.set(bookType, provider)
 }
 
-function joinParams(paramValues) {
-    return paramValues.join(',')
+export function fetchBookMoves(fen, variant, bookSettings, callback) {
+    let provider = bookProviders.get(bookSettings.openingBookType) || LichessExplorerBook
+    return provider.fetchBookMoves(fen, variant, bookSettings, callback)
 }
+
+registerBookProvider(Constants.OPENING_BOOK_TYPE_MASTERS, LichessExplorerBook)
+registerBookProvider(Constants.OPENING_BOOK_TYPE_LICHESS, LichessExplorerBook)
+registerBookProvider(Constants.OPENING_BOOK_TYPE_LOCAL, LocalBook)
@@ -1,33 +1,211 @@
 import {simplifiedFen, isDateMoreRecentThan} from './util'
 import * as Constants from './Constants'
 import {chessLogic, rootFen} from '../app/chess/ChessLogic'
+import {classifyMove, uciMove} from './MoveClassification'
 
 export default class OpeningGraph {
     constructor(variant) {
         this.graph=new Graph()
         this.hasMoves = false
         this.variant = variant
+        this.moveOrdersCache = new WeakMap() // move orders by graph node. rebuilt when more games reach the node
+        this.sortedGamesCache = new WeakMap() // game indices of a graph node by sort key. rebuilt when more games reach the node
     }
-    setEntries(arrayEntries, pgnStats){
-        this.graph=new Graph(arrayEntries, pgnStats)
+    setEntries(arrayEntries, pgnStats, gameMoves, sources, gameAnnotations){
+        this.graph=new Graph(arrayEntries, pgnStats, gameMoves, sources, gameAnnotations)
         this.hasMoves = true
     }
 
+    // arrays of a .tree file or a workspace tree
+    savedArrays() {
+        return [[...this.graph.nodes.entries()],
+            [...this.graph.pgnStats],
+            [...this.graph.gameMoves],
+            [...this.graph.evaluations.entries()],
+            [...this.graph.gameAnnotations]]
+    }
+
+    // restores the {header, arrays} of a saved tree.
+    // trees saved before the tree could be evaluated do not have evaluations or game annotations
+    setSavedEntries(openingTreeSave) {
+        let header = openingTreeSave.header
+        let arrays = openingTreeSave.arrays
+        this.setEntries(arrays[0], arrays[1], arrays[2], header.sources || legacySources(header, arrays[1]), arrays[4])
+        this.setEvaluations(arrays[3] || [], header.evaluationJob)
+    }
+
     clear() {
         this.graph = new Graph()
         this.hasMoves = false
     }
 
-    addPGN(pgnStats, parsedMoves, lastFen, playerColor) {
+    // every load adds a source so that games from different sites
+    // can be merged into the same tree and told apart later
+    addSource(sourceDetails) {
+        this.graph.sources.push({...sourceDetails, gameCount:0})
+        this.graph.activeSource = this.graph.sources.length-1
+        return this.graph.activeSource
+    }
+
+    getSources() {
+        return this.graph.sources
+    }
+
+    activeSourceGameCount() {
+        let source = this.graph.sources[this.graph.activeSource]
+        return source?source.gameCount:this.graph.pgnStats.length
+    }
+
+    // sources can only be removed if we have the moves of every game
+    // to rebuild the tree. trees saved before sources existed do not have them
+    canRemoveSources() {
+        return this.graph.gameMoves.length === this.graph.pgnStats.length
+    }
+
+    // new games are counted against an existing source when it is updated
+    setActiveSource(sourceIndex) {
+        this.graph.activeSource = sourceIndex
+    }
+
+    // where an interrupted load of the active source can continue from, with the filters it was loaded with.
+    // a null cursor means that all the games were read
+    setActiveSourceCursor(cursor, advancedFilters) {
+        let source = this.graph.sources[this.graph.activeSource]
+        if(source) {
+            source.resume = cursor?{cursor:cursor, advancedFilters:advancedFilters}:null
+        }
+    }
+
+    // date of the most recent game loaded from a source.
+    // used as the starting point when fetching only new games
+    newestGameDate(sourceIndex) {
+        let newestDate = null
+        this.graph.pgnStats.forEach((pgnStats)=>{
+            if(pgnStats.source !== sourceIndex) {
+                return
+            }
+            let date = parseGameDate(pgnStats.date)
+            if(date && (!newestDate || date>newestDate)) {
+                newestDate = date
+            }
+        })
+        return newestDate
+    }
+
+    removeSource(sourceIndex) {
+        let oldGraph = this.graph
+        this.graph = new Graph()
+        this.graph.book = oldGraph.book
+        this.graph.playerColor = oldGraph.playerColor
+        // evaluations depend on the position, not on the games that reached it
+        this.graph.evaluations = oldGraph.evaluations
+        this.graph.evaluationJob = oldGraph.evaluationJob
+        this.hasMoves = false
+        let newSourceIndices = oldGraph.sources.map((source, index)=> {
+            if(index === sourceIndex) {
+                return null
+            }
+            return this.addSource(source)
+        })
+        oldGraph.pgnStats.forEach((oldPgnStats, index)=> {
+            let newSourceIndex = newSourceIndices[oldPgnStats.source]
+            if(!Number.isInteger(newSourceIndex)) {
+                return
+            }
+            let replayedGame = this.replayMoves(oldGraph.gameMoves[index], oldPgnStats.startFen)
+            if(!replayedGame) {
+                return
+            }
+            this.graph.activeSource = newSourceIndex
+            this.addPGN({...oldPgnStats}, replayedGame.parsedMoves,
+                replayedGame.lastFen, oldGraph.playerColor, oldGraph.gameAnnotations[index])
+        })
+    }
+
+    // scores are from white's point of view like {cp:35} or {mate:-3}
+    setEvaluation(fullFen, evaluation) {
+        this.graph.evaluations.set(simplifiedFen(fullFen), evaluation)
+    }
+
+    getEvaluation(fullFen) {
+        return this.graph.evaluations.get(simplifiedFen(fullFen))
+    }
+
+    setEvaluations(evaluationEntries, evaluationJob) {
+        this.graph.evaluations = new Map(evaluationEntries)
+        this.graph.evaluationJob = evaluationJob || null
+    }
+
+    setEvaluationJob(evaluationJob) {
+        this.graph.evaluationJob = evaluationJob
+    }
+
+    getEvaluationJob() {
+        return this.graph.evaluationJob
+    }
+
+    replayMoves(moves, startFen) {
+        let chess = chessLogic(this.variant, startFen)
+        let parsedMoves = []
+        let sans = moves?moves.split(' '):[]
+        for(let i=0;i<sans.length;i++) {
+            let sourceFen = chess.fen()
+            let move = chess.move(sans[i], {sloppy: true})
+            if(!move) {
+                return null
+            }
+            parsedMoves.push({
+                sourceFen:sourceFen,
+                targetFen:chess.fen(),
+                moveSan:move.san
+            })
+        }
+        return {
+            parsedMoves:parsedMoves,
+            lastFen:chess.fen()
+        }
+    }
+
+    // returns false if the game is already in the tree.
+    // annotations are the {timeSpent, evaluations} of the moves of the game
+    addPGN(pgnStats, parsedMoves, lastFen, playerColor, annotations) {
+        if(pgnStats.url) {
+            if(this.graph.gameUrls.has(pgnStats.url)) {
+                return false
+            }
+            this.graph.gameUrls.add(pgnStats.url)
+        }
         pgnStats.index = this.graph.pgnStats.length
+        let activeSource = this.graph.sources[this.graph.activeSource]
+        if(activeSource) {
+            pgnStats.source = this.graph.activeSource
+            activeSource.gameCount++
+        }
         this.graph.pgnStats.push(pgnStats)
+        this.graph.gameMoves.push(parsedMoves.map(parsedMove=>parsedMove.moveSan).join(' '))
+        this.graph.gameAnnotations.push(annotations || null)
         this.graph.playerColor = playerColor
         this.hasMoves = true
-        parsedMoves.forEach(parsedMove => {
+        parsedMoves.forEach((parsedMove, ply) => {
             this.addMoveForFen(parsedMove.sourceFen, parsedMove.targetFen, parsedMove.moveSan, pgnStats)
+            if(annotations) {
+                this.addMoveAnnotations(parsedMove.sourceFen, parsedMove.targetFen, parsedMove.moveSan, annotations, ply)
+            }
         })
         this.addGameResultOnFen(lastFen, pgnStats.index)
         this.addStatsToRoot(pgnStats, this.variant)
+        return true
+    }
+
+    addGameToFen(fullFen, gameIndex) {
+        var currNode = this.getNodeFromGraph(fullFen, true)
+        if(!currNode.games) {
+            currNode.games = []
+        }
+        // a game can pass through the same position more than once
+        if(currNode.games[currNode.games.length-1] !== gameIndex) {
+            currNode.games.push(gameIndex)
+        }
     }
 
     addGameResultOnFen(fullFen, resultIndex) {
@@ -38,12 +216,27 @@ export default class OpeningGraph {
         currNode.gameResults.push(resultIndex)
     }
     addStatsToRoot(pgnStats, variant) {
-        var targetNode = this.getNodeFromGraph(rootFen(variant), true)
+        let gameRootFen = rootFen(variant, pgnStats.startFen)
+        var targetNode = this.getNodeFromGraph(gameRootFen, true)
         if(!targetNode.details) {
             targetNode.details = emptyDetails()
         }
         let newDetails = this.getUpdatedMoveDetails(targetNode.details, pgnStats)
         targetNode.details = newDetails
+        this.addGameToFen(gameRootFen, pgnStats.index)
+    }
+
+    // the positions the games start from with how many games start there. the usual starting position comes first
+    rootPositions() {
+        let defaultRootFen = rootFen(this.variant)
+        let counts = new Map([[defaultRootFen, 0]])
+        this.graph.pgnStats.forEach((pgnStats)=>{
+            let fen = rootFen(this.variant, pgnStats.startFen)
+            counts.set(fen, (counts.get(fen) || 0)+1)
+        })
+        return Array.from(counts.entries())
+            .filter((entry)=>entry[1]>0)
+            .map((entry)=>({fen:entry[0], gameCount:entry[1], isCustom:entry[0] !== defaultRootFen}))
     }
 
     getDetailsForFen(fullFen) {
@@ -61,11 +254,11 @@ export default class OpeningGraph {
     updateCalculatedValues(details) {
         if(Number.isInteger(details.bestWin)) {
             details.bestWinGame = this.graph.pgnStats[details.bestWin]
-            details.bestWinElo = this.getOpponentElo(this.graph.playerColor,details.bestWinGame)
+            details.bestWinElo = this.getOpponentElo(this.gamePlayerColor(details.bestWinGame),details.bestWinGame)
         }
         if(Number.isInteger(details.worstLoss)) {
             details.worstLossGame = this.graph.pgnStats[details.worstLoss]
-            details.worstLossElo = this.getOpponentElo(this.graph.playerColor,details.worstLossGame)
+            details.worstLossElo = this.getOpponentElo(this.gamePlayerColor(details.worstLossGame),details.worstLossGame)
         }
         if(Number.isInteger(details.lastPlayed)) {
             details.lastPlayedGame = this.graph.pgnStats[details.lastPlayed]
@@ -85,6 +278,7 @@ export default class OpeningGraph {
         var targetNode = this.getNodeFromGraph(fullTargetFen, true)
         let newDetails = this.getUpdatedMoveDetails(targetNode.details, resultObject)
         targetNode.details = newDetails
+        this.addGameToFen(fullTargetFen, resultObject.index)
 
         var currNode = this.getNodeFromGraph(fullSourceFen, true)
         if(!currNode.playedBy) {
@@ -97,6 +291,34 @@ export default class OpeningGraph {
         moveCount = moveCount+1
         currNode.playedBy[move] = moveCount
         currNode.playedByMax = Math.max(currNode.playedByMax, moveCount)
+        // with both colors loaded the same position has moves by the player and by the opponents
+        let moverColor = fullSourceFen.split(' ')[1] === 'b'?Constants.PLAYER_COLOR_BLACK:Constants.PLAYER_COLOR_WHITE
+        if(this.graph.playerColor === Constants.PLAYER_COLOR_BOTH && resultObject.playerColor === moverColor) {
+            if(!currNode.playedByPlayer) {
+                currNode.playedByPlayer = {}
+            }
+            currNode.playedByPlayer[move] = (currNode.playedByPlayer[move] || 0)+1
+        }
+    }
+
+    // the time spent on a move is kept with the position it was played in
+    // and the evaluation from the pgn with the position it led to, both as [total, count]
+    addMoveAnnotations(fullSourceFen, fullTargetFen, move, annotations, ply) {
+        let timeSpent = annotations.timeSpent && annotations.timeSpent[ply]
+        if(Number.isFinite(timeSpent)) {
+            let sourceNode = this.getNodeFromGraph(fullSourceFen, true)
+            if(!sourceNode.timeSpent) {
+                sourceNode.timeSpent = {}
+            }
+            let total = sourceNode.timeSpent[move] || [0, 0]
+            sourceNode.timeSpent[move] = [total[0]+timeSpent, total[1]+1]
+        }
+        let evaluation = annotations.evaluations && annotations.evaluations[ply]
+        if(Number.isFinite(evaluation)) {
+            let targetNode = this.getNodeFromGraph(fullTargetFen, true)
+            let total = targetNode.gameEvaluations || [0, 0]
+            targetNode.gameEvaluations = [total[0]+evaluation, total[1]+1]
+        }
     }
 
     addBookNode(fullFen, book) {
@@ -158,7 +380,7 @@ export default class OpeningGraph {
         }
         
         let whiteWin = 0, blackWin = 0, draw = 0, resultInt = 0;
-        let playerColor = this.graph.playerColor
+        let playerColor = this.gamePlayerColor(resultObject)
         if(resultObject.result === '1-0') {
             whiteWin = 1
             resultInt = playerColor === Constants.PLAYER_COLOR_WHITE? 1 : -1
@@ -215,14 +437,45 @@ export default class OpeningGraph {
         }
 
 
+        let playerWin = 0, playerLoss = 0
+        if(playerColor) {
+            playerWin = resultInt === 1?1:0
+            playerLoss = resultInt === -1?1:0
+        }
         currentMoveDetails.blackWins += blackWin
         currentMoveDetails.whiteWins += whiteWin
         currentMoveDetails.draws += draw
+        // trees saved before games kept their color do not have these
+        currentMoveDetails.playerWins = (currentMoveDetails.playerWins || 0)+playerWin
+        currentMoveDetails.playerLosses = (currentMoveDetails.playerLosses || 0)+playerLoss
+        if(Number.isInteger(resultObject.source)) {
+            if(!currentMoveDetails.sources) {
+                // trees saved before sources existed do not have this
+                currentMoveDetails.sources = {}
+            }
+            let sourceDetails = currentMoveDetails.sources[resultObject.source]
+            if(!sourceDetails) {
+                sourceDetails = {blackWins:0, whiteWins:0, draws:0, playerWins:0, playerLosses:0}
+                currentMoveDetails.sources[resultObject.source] = sourceDetails
+            }
+            sourceDetails.blackWins += blackWin
+            sourceDetails.whiteWins += whiteWin
+            sourceDetails.draws += draw
+            sourceDetails.playerWins = (sourceDetails.playerWins || 0)+playerWin
+            sourceDetails.playerLosses = (sourceDetails.playerLosses || 0)+playerLoss
+        }
         currentMoveDetails.totalOpponentElo += parseInt(opponentElo)
         currentMoveDetails.hasData = true
         return currentMoveDetails
     }
 
+    // color the player had in a game. games loaded for both colors keep their own color.
+    // empty when the games are not from a player or the color of the game is not known
+    gamePlayerColor(resultObject) {
+        let playerColor = resultObject.playerColor || this.graph.playerColor
+        return playerColor === Constants.PLAYER_COLOR_BOTH?'':playerColor
+    }
+
     getOpponentElo(playerColor, resultObject) {
         if(playerColor === Constants.PLAYER_COLOR_WHITE) {
             return resultObject.blackElo
@@ -239,11 +492,115 @@ export default class OpeningGraph {
         }
         return null
     }
+    // all the games that passed through this position, not just the ones that ended in it
+    gamesForFen(fullFen, options) {
+        let currNode = this.graph.nodes.get(simplifiedFen(fullFen))
+        if(!currNode || !currNode.games) {
+            return {games:[], totalCount:0}
+        }
+        let games = this.sortedGameIndices(currNode, options.sortBy).map((index)=>this.graph.pgnStats[index])
+            .filter((game)=>this.isResultSelected(game, options.result, this.gamePlayerColor(game)))
+        let pageStart = options.page*options.pageSize
+        return {
+            games:games.slice(pageStart, pageStart+options.pageSize),
+            totalCount:games.length
+        }
+    }
+
+    // indices of the games through the node, latest or highest rated opponent first.
+    // games without a date or an opponent rating come last and games loaded later come first among equals
+    sortedGameIndices(currNode, sortBy) {
+        let cached = this.sortedGamesCache.get(currNode) || {}
+        let sorted = cached[sortBy]
+        if(sorted && sorted.gameCount === currNode.games.length) {
+            return sorted.indices
+        }
+        let sortValues = new Map(currNode.games.map((index)=>[index, this.gameSortValue(this.graph.pgnStats[index], sortBy)]))
+        let indices = [...currNode.games].sort((a,b)=>{
+            let aValue = sortValues.get(a)
+            let bValue = sortValues.get(b)
+            if(aValue !== bValue) {
+                if(aValue === null || bValue === null) {
+                    return aValue === null?1:-1
+                }
+                return bValue-aValue
+            }
+            return b-a
+        })
+        cached[sortBy] = {gameCount:currNode.games.length, indices:indices}
+        this.sortedGamesCache.set(currNode, cached)
+        return indices
+    }
+
+    // time of the game or the rating of the opponent. null when it is not known
+    gameSortValue(game, sortBy) {
+        if(sortBy === Constants.GAMES_SORT_BY_OPPONENT_ELO) {
+            let opponentElo = parseInt(this.getOpponentElo(this.gamePlayerColor(game), game))
+            return isNaN(opponentElo)?null:opponentElo
+        }
+        let date = parseGameDate(game.date)
+        return date?date.getTime():null
+    }
+
+    // the move orders that the games took to reach this position with how many games took each, most played first.
+    // they are rebuilt from the moves of the games that passed through the position.
+    // startFen is where the moves of a move order start. null for the usual starting position
+    moveOrdersForFen(fullFen) {
+        let fen = simplifiedFen(fullFen)
+        let currNode = this.graph.nodes.get(fen)
+        if(!currNode || !currNode.games || !this.canRemoveSources()) {
+            return []
+        }
+        let cached = this.moveOrdersCache.get(currNode)
+        if(cached && cached.gameCount === currNode.games.length) {
+            return cached.moveOrders
+        }
+        let counts = new Map()
+        currNode.games.slice(-Constants.MOVE_ORDERS_MAX_GAMES).forEach((gameIndex)=>{
+            let sans = this.graph.gameMoves[gameIndex].split(' ')
+            let startFen = this.graph.pgnStats[gameIndex].startFen || null
+            let chess = chessLogic(this.variant, startFen)
+            for(let i=0;i<=sans.length;i++) {
+                if(simplifiedFen(chess.fen()) === fen) {
+                    let key = `${startFen}|${sans.slice(0, i).join(' ')}`
+                    let moveOrder = counts.get(key) || {moves:sans.slice(0, i), startFen:startFen, count:0}
+                    moveOrder.count++
+                    counts.set(key, moveOrder)
+                    return
+                }
+                if(i === sans.length || !chess.move(sans[i], {sloppy: true})) {
+                    return
+                }
+            }
+        })
+        let moveOrders = Array.from(counts.values()).sort((a,b)=>b.count-a.count)
+        this.moveOrdersCache.set(currNode, {gameCount:currNode.games.length, moveOrders:moveOrders})
+        return moveOrders
+    }
+
+    isResultSelected(game, resultFilter, playerColor) {
+        if(!resultFilter || resultFilter === Constants.GAMES_RESULT_ALL) {
+            return true
+        }
+        if(game.result === '1/2-1/2') {
+            return resultFilter === Constants.GAMES_RESULT_DRAW
+        }
+        // without a player, results are from white's point of view
+        let playerWon = playerColor === Constants.PLAYER_COLOR_BLACK?
+                game.result === '0-1' : game.result === '1-0'
+        if(playerWon) {
+            return resultFilter === Constants.GAMES_RESULT_WIN
+        }
+        return resultFilter === Constants.GAMES_RESULT_LOSS && (game.result === '1-0' || game.result === '0-1')
+    }
+
     movesForFen(fullFen) {
         let fen = simplifiedFen(fullFen)
 
         var currNode = this.graph.nodes.get(fen)
         if(currNode && currNode.playedBy) {
+            let sourceEvaluation = this.getEvaluation(fullFen)
+            let moverColor = fullFen.split(' ')[1] === 'b'?Constants.PLAYER_COLOR_BLACK:Constants.PLAYER_COLOR_WHITE
             return Array.from(Object.entries(currNode.playedBy)).map((entry)=> {
                 let chess = chessLogic(this.variant, fullFen)
                 let move = chess.move(entry[0], {sloppy: true})
@@ -253,13 +610,20 @@ export default class OpeningGraph {
                     return null;
                 }
                 let targetNodeDetails = this.getDetailsForFen(chess.fen())
+                let targetEvaluation = this.getEvaluation(chess.fen())
+                let targetNode = this.graph.nodes.get(simplifiedFen(chess.fen()))
                 return {
                     orig:move.from,
                     dest:move.to,
                     level:this.levelFor(entry[1], currNode.playedByMax),
                     san:move.san,
                     details:targetNodeDetails,
-                    moveCount:entry[1]
+                    moveCount:entry[1],
+                    evaluation:targetEvaluation,
+                    classification:classifyMove(sourceEvaluation, targetEvaluation, moverColor, uciMove(move)),
+                    timeSpent:averageOf(currNode.timeSpent && currNode.timeSpent[entry[0]]),
+                    gameEvaluation:averageOf(targetNode && targetNode.gameEvaluations),
+                    playerMoveCount:(currNode.playedByPlayer && currNode.playedByPlayer[entry[0]]) || 0
                 }
             }).filter(e=>!!e) // filter out moves that are null because of issue #306
         }        
@@ -280,11 +644,18 @@ export default class OpeningGraph {
 
 
 class Graph {
-    constructor(arrayEntries, pgnStats){
+    constructor(arrayEntries, pgnStats, gameMoves, sources, gameAnnotations){
         this.nodes = new Map()
         this.book = new Map()
         this.pgnStats = []
+        this.gameUrls = new Set() // urls of loaded games. used to avoid adding a game twice
+        this.gameMoves = [] // space separated moves of each game. used to rebuild the tree when a source is removed
+        this.gameAnnotations = [] // clock and evaluation annotations of each game. null when it has none
+        this.sources = []
+        this.activeSource = null
         this.playerColor = ''
+        this.evaluations = new Map() // engine evaluations keyed by simplified fen
+        this.evaluationJob = null // settings of the last batch evaluation so that it can be resumed
         if(arrayEntries) {
             arrayEntries.forEach((entry)=> {
                 this.nodes.set(entry[0],entry[1])
@@ -292,6 +663,21 @@ class Graph {
         }
         if(pgnStats) {
             this.pgnStats = pgnStats
+            pgnStats.forEach((stats)=> {
+                if(stats.url) {
+                    this.gameUrls.add(stats.url)
+                }
+            })
+        }
+        if(gameMoves) {
+            this.gameMoves = gameMoves
+        }
+        if(gameAnnotations) {
+            this.gameAnnotations = gameAnnotations
+        }
+        if(sources) {
+            this.sources = sources
+            this.activeSource = sources.length-1
         }
     }
 }
@@ -302,6 +688,38 @@ class GraphNode {
             //gameResults = []
 }
 
+// trees saved before sources were tracked only know the site they were loaded from
+function legacySources(header, pgnStats) {
+    pgnStats.forEach((stats)=>{
+        stats.source = 0
+    })
+    return [{
+        site:header.site,
+        playerName:header.settings.playerName,
+        playerColor:header.settings.playerColor,
+        advancedFilters:header.advancedFilters,
+        label:header.settings.playerName || 'Saved tree',
+        gameCount:pgnStats.length
+    }]
+}
+
+// pgn dates look like 2020.05.23 and can have unknown parts like 2020.??.??
+function parseGameDate(date) {
+    let parts = date?date.split('.').map(part=>parseInt(part)):[]
+    if(parts.length !== 3 || parts.some(part=>isNaN(part))) {
+        return null
+    }
+    return new Date(parts[0], parts[1]-1, parts[2])
+}
+
+// {average, count} of a [total, count] pair. null when nothing was added
+function averageOf(total) {
+    if(!total || !total[1]) {
+        return null
+    }
+    return {average:total[0]/total[1], count:total[1]}
+}
+
 function emptyDetails() {
     return {
         hasData:false,
@@ -309,7 +727,10 @@ function emptyDetails() {
         blackWins: 0,
         whiteWins: 0,
         draws: 0,
+        playerWins: 0, // results of the player from the color of each game
+        playerLosses: 0,
         totalOpponentElo: 0,
+        sources: {}, // results broken down by the source the games were loaded from
         shortestGame:null,
         longestGame:null,
 //        bestWin:null,
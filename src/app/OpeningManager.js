@@ -1,73 +1,197 @@
 import * as ChessLogic from './chess/ChessLogic'
+import * as Constants from './Constants'
+import * as Common from './Common'
+import {wrapTokens} from './RepertoireExport'
 
+// Keeps the moves explored in the navigator as a tree of variations.
+// The first child of a node is the main line and the other children are its variations
 export default class OpeningManager {
-    plys = []
-    currentIndex = 0
-    constructor(variant) {
-        this.plys = [{pgn:'', fen:ChessLogic.rootFen(variant), move:null}]
-        this.currentIndex = 0
-    }
-    addPly(fen,move) {
-        if(this.currentIndex<this.plys.length-1 && this.plys[this.currentIndex+1].move.san === move.san) {
-            this.moveForward()
-            return
-        }
-        this.plys = this.plys.slice(0,this.currentIndex+1)
-        this.plys.push({
-            pgnAsList:this.pgnAsList(move.san),
-            fen: fen,
-            move: move
-        })
-        this.currentIndex++;
-        return this.plys[this.currentIndex]
+    // customRootFen starts the tree from a position that games were set up from
+    constructor(variant, customRootFen) {
+        this.variant = variant
+        this.nextNodeId = 0
+        this.root = this.createNode(ChessLogic.rootFen(variant, customRootFen), null, null)
+        this.current = this.root
     }
 
-    pgnAsList(san) {
-        let pgnSoFar = this.pgnListSoFar()
-        let pgnList
-        if (!pgnSoFar) {
-            pgnList = []
-        } else {
-            pgnList = [...pgnSoFar]
+    createNode(fen, move, parent) {
+        return {
+            id:this.nextNodeId++,
+            fen:fen,
+            move:move,
+            parent:parent,
+            children:[],
+            collapsed:false
         }
-        let numPlys = this.plys.length
-        if(numPlys%2 !== 0) {
-            pgnList.push({
-                moveNumber:pgnList.length+1,
-                whitePly:san,
-                blackPly:''
-            })
-        } else {
-            let currMove = pgnList[pgnList.length-1]
-            currMove.blackPly = san
-            pgnList[pgnList.length-1] = currMove
+    }
+
+    // playing a move that was already explored from here follows it instead of adding it again
+    addPly(fen, move) {
+        let existingNode = this.current.children.find(child=>child.move.san === move.san)
+        if(existingNode) {
+            this.current = existingNode
+            return existingNode
         }
-        return pgnList
+        let node = this.createNode(fen, move, this.current)
+        this.current.children.push(node)
+        this.current = node
+        return node
     }
 
-    currentMove() {
-        return Math.floor((this.currentIndex-1)/2);
+    addLine(sanMoves) {
+        let chess = ChessLogic.chessLogic(this.variant, this.root.fen)
+        sanMoves.forEach((san)=>{
+            let move = chess.move(san)
+            this.addPly(chess.fen(), move)
+        })
+    }
+
+    // adds the moves of a parsed pgn after the current move. its RAVs become variations
+    addPgnMoves(pgnMoves) {
+        let chess = ChessLogic.chessLogic(this.variant, this.current.fen)
+        for(let i=0;i<pgnMoves.length;i++) {
+            let parent = this.current
+            let move = pgnMoves[i].move && chess.move(pgnMoves[i].move, {sloppy:true})
+            if(!move) {
+                break
+            }
+            this.addPly(chess.fen(), move)
+            let ravs = pgnMoves[i].ravs || []
+            ravs.forEach((rav)=>{
+                let node = this.current
+                this.current = parent
+                this.addPgnMoves(rav.moves)
+                this.current = node
+            })
+        }
     }
 
-    pgnListSoFar(){
-        return this.plys[this.plys.length-1].pgnAsList
+    hasMoves() {
+        return this.root.children.length>0
     }
 
     fen(){
-        return this.plys[this.currentIndex].fen
+        return this.current.fen
     }
 
     moveForward() {
-        return this.moveTo(this.currentIndex+1)
+        return this.moveTo(this.current.children[0])
     }
+
     moveBack() {
-        return this.moveTo(this.currentIndex-1)
+        return this.moveTo(this.current.parent)
+    }
+
+    moveTo(node) {
+        if(node) {
+            this.current = node
+        }
+        return this.current
+    }
+
+    // switches to the previous (-1) or next (1) variation of the current move
+    switchVariation(direction) {
+        let parent = this.current.parent
+        if(!parent) {
+            return this.current
+        }
+        let index = parent.children.indexOf(this.current)
+        return this.moveTo(parent.children[index+direction])
     }
-    moveTo(index) {
-        if(index>=0 && index<this.plys.length) {
-            this.currentIndex = index
+
+    isMainLine(node) {
+        for(let child = node; child.parent; child = child.parent) {
+            if(child.parent.children[0] !== child) {
+                return false
+            }
         }
-        return this.plys[this.currentIndex]
+        return true
+    }
+
+    // moves the variation and every variation it branches from to the front
+    makeMainLine(node) {
+        for(let child = node; child.parent; child = child.parent) {
+            let siblings = child.parent.children
+            siblings.splice(siblings.indexOf(child), 1)
+            siblings.unshift(child)
+        }
+    }
+
+    // removes the move and everything after it. the navigator moves back if the current move was removed
+    deleteBranch(node) {
+        let parent = node.parent
+        if(!parent) {
+            return this.current
+        }
+        parent.children.splice(parent.children.indexOf(node), 1)
+        for(let ancestor = this.current; ancestor; ancestor = ancestor.parent) {
+            if(ancestor === node) {
+                this.current = parent
+                break
+            }
+        }
+        return this.current
+    }
+
+    toggleCollapsed(node) {
+        node.collapsed = !node.collapsed
+    }
+
+    // nodes of the main line after the root
+    mainLine() {
+        let nodes = []
+        for(let node = this.root.children[0]; node; node = node.children[0]) {
+            nodes.push(node)
+        }
+        return nodes
+    }
+
+    // pgn of every explored move with the variations as RAVs
+    toPgn(title) {
+        let headers = {
+            Event:title,
+            Site:"https://www.openingtree.com",
+            Result:"*"
+        }
+        if(this.variant !== Constants.VARIANT_STANDARD) {
+            headers.Variant = Common.lichessVariantHeader(this.variant)
+        }
+        if(this.root.fen !== Constants.ROOT_FEN) {
+            headers.SetUp = "1"
+            headers.FEN = this.root.fen
+        }
+        let tokens = variationTokens(this.root, true)
+        tokens.push("*")
+        return `${Object.entries(headers).map(header=>`[${header[0]} "${header[1]}"]`).join("\n")}\n\n${wrapTokens(tokens)}\n`
+    }
+}
+
+// move number like "3." for white and "3..." for black. black moves only need it after a break in the line
+export function moveNumberText(node, forceNumber) {
+    let fenComponents = node.parent.fen.split(' ')
+    if(fenComponents[1] === 'w') {
+        return `${fenComponents[5]}.`
+    }
+    return forceNumber?`${fenComponents[5]}...`:''
+}
+
+function variationTokens(parent, forceNumber) {
+    let children = parent.children
+    if(children.length === 0) {
+        return []
     }
+    let mainMove = children[0]
+    let tokens = moveTokens(mainMove, forceNumber)
+    children.slice(1).forEach((variation)=>{
+        let variationLine = [...moveTokens(variation, true), ...variationTokens(variation, false)]
+        variationLine[0] = `(${variationLine[0]}`
+        variationLine[variationLine.length-1] = `${variationLine[variationLine.length-1]})`
+        tokens.push(...variationLine)
+    })
+    return [...tokens, ...variationTokens(mainMove, children.length>1)]
+}
 
-}
\ No newline at end of file
+function moveTokens(node, forceNumber) {
+    let numberText = moveNumberText(node, forceNumber)
+    return numberText?[numberText, node.move.san]:[node.move.san]
+}
@@ -1,100 +1,185 @@
 import zlib from 'zlib'
 import {Buffer} from 'buffer'
-import { saveAs } from 'file-saver';
+import streamsaver from 'streamsaver'
 
+// control word written at the start of the file.
+// 0x1 is the older format where the whole file is built in memory
+// 0x3 is the streamed format with a manifest and checksummed chunks
+const FILE_FORMAT_LEGACY = 0x1
+const FILE_FORMAT_STREAMED = 0x3
+const CONTROL_WORD_SIZE = 8
+const CHUNK_SIZE = 1000
+
+// Version 3 file layout
+// [format 0x3][manifest size][deflated manifest json]
+// followed by numChunks of
+// [chunk size][chunk crc32][deflated chunk json]
+// the manifest has the tree header and the sizes of the arrays
+// so that chunks can be written and read one at a time
 export function serializeOpeningTree(treeData, filename, callback) {
-    let chunkedArray = chunk(treeData)
-    let deflatedChunks = []
-    //push version number 1 for later backward compatibility
-    deflatedChunks.push(packControlWord(0x1))
-    deflatedChunks.push(packControlWord(chunkedArray.length))
-    let remainingChunks = chunkedArray.length
-    let hasError = false;
-    chunkedArray.forEach((chunk)=>{
-        zlib.deflate(
-            new Buffer(JSON.stringify(chunk)), 
-            (error,data)=>{
-                remainingChunks--
-                if(error) {
-                    hasError = true
-                }
-                deflatedChunks.push(packControlWord(data.byteLength))
-                deflatedChunks.push(data)
-                if(remainingChunks<=0) {
-                    if(hasError) {
-                        callback("Could not save file")
-                        return
-                    }
-                    saveAs(new Blob(deflatedChunks, {type: "application/octet-stream"}), filename)
-                    callback(null, `Saved opening tree to file ${filename}`)
-                }
-            });
-        })
+    let chunkRanges = getChunkRanges(treeData.arrays)
+    let manifest = {
+        formatVersion:FILE_FORMAT_STREAMED,
+        header:treeData.header,
+        arraySizes:treeData.arrays.map(arr=>arr.length),
+        numChunks:chunkRanges.length
+    }
+    let writer = streamsaver.createWriteStream(filename).getWriter()
+    let failed = (error) => {
+        console.log(error)
+        writer.abort().catch((abortError)=>console.log(abortError))
+        callback("Could not save file")
+    }
+    deflate(manifest).then((manifestData)=>{
+        return writer.write(packControlWords([FILE_FORMAT_STREAMED, manifestData.byteLength]))
+            .then(()=>writer.write(new Uint8Array(manifestData)))
+    }).then(()=>writeChunks(writer, treeData.arrays, chunkRanges, 0))
+        .then(()=>writer.close())
+        .then(()=>callback(null, `Saved opening tree to file ${filename}`), failed)
+}
+
+function writeChunks(writer, arrays, chunkRanges, chunkIndex) {
+    if(chunkIndex>=chunkRanges.length) {
+        return Promise.resolve()
+    }
+    let range = chunkRanges[chunkIndex]
+    let chunk = arrays[range.arrayIndex].slice(range.start, range.end)
+    return deflate(chunk).then((data)=>{
+        return writer.write(packControlWords([data.byteLength, crc32(data)]))
+            .then(()=>writer.write(new Uint8Array(data)))
+    }).then(()=>writeChunks(writer, arrays, chunkRanges, chunkIndex+1))
 }
 
 export function deserializeOpeningTree(file, callback) {
-    let reader = new FileReader()
-    reader.onload = function(evt) {
-        let data = evt.target.result
-        let index = 0
-        let version = unpackControlWord(data.slice(index,index+8))
-        index = index + 8
-        if(version !== 0x1) {
+    readSlice(file, 0, CONTROL_WORD_SIZE).then((data)=>{
+        let version = unpackControlWord(data)
+        if(version === FILE_FORMAT_STREAMED) {
+            readStreamedFile(file, callback)
+        } else if(version === FILE_FORMAT_LEGACY) {
+            readLegacyFile(file, callback)
+        } else {
             callback("File is not an openingtree save file.", null,"Are you loading the correct file?")
+        }
+    }, (e)=>readFailed(e, callback))
+}
+
+function readFailed(e, callback) {
+    callback("Failed to read openingtree file", null, `${e.name}:${e.message}`)
+}
+
+function readStreamedFile(file, callback) {
+    let index = CONTROL_WORD_SIZE
+    readSlice(file, index, index+CONTROL_WORD_SIZE).then((data)=> {
+        let manifestSize = unpackControlWord(data)
+        index = index+CONTROL_WORD_SIZE
+        if(!manifestSize) {
+            callback("Input file not in correct format", null)
             return
         }
-        let numChunks = unpackControlWord(data.slice(index,index+8))
-        index = index + 8
+        readSlice(file, index, index+manifestSize).then((manifestData)=>{
+            index = index+manifestSize
+            inflate(manifestData).then((manifest)=>{
+                let arrays = manifest.arraySizes.map(()=>[])
+                let chunkRanges = getChunkRanges(manifest.arraySizes.map(size=>({length:size})))
+                if(chunkRanges.length !== manifest.numChunks) {
+                    callback("Input file seems corrupted", null, "The file manifest does not match its contents")
+                    return
+                }
+                readChunks(file, index, arrays, chunkRanges, 0).then(()=>{
+                    callback(null, {
+                        header:manifest.header,
+                        arrays:arrays
+                    })
+                }, (error)=>{
+                    console.log(error)
+                    callback(error.message, null, "The file may have been truncated or modified")
+                })
+            }, (error)=>{
+                console.log(error)
+                callback("Input file seems corrupted", null, "Could not read the file manifest")
+            })
+        }, (e)=>readFailed(e, callback))
+    }, (e)=>readFailed(e, callback))
+}
+
+function readChunks(file, index, arrays, chunkRanges, chunkIndex) {
+    if(chunkIndex>=chunkRanges.length) {
+        return Promise.resolve()
+    }
+    let corrupted = () => new Error(`Chunk ${chunkIndex} of the input file is corrupted`)
+    let range = chunkRanges[chunkIndex]
+    let chunkStart = index+2*CONTROL_WORD_SIZE
+    return readSlice(file, index, chunkStart).then((data)=>{
+        let chunkSize = unpackControlWord(data.slice(0, CONTROL_WORD_SIZE))
+        let checksum = unpackControlWord(data.slice(CONTROL_WORD_SIZE))
+        if(chunkSize === null || checksum === null) {
+            throw corrupted()
+        }
+        return readSlice(file, chunkStart, chunkStart+chunkSize).then((chunkData)=>{
+            if(chunkData.byteLength !== chunkSize || crc32(chunkData) !== checksum) {
+                throw corrupted()
+            }
+            return inflate(chunkData).catch(()=>{throw corrupted()})
+        }).then((chunk)=>{
+            if(!Array.isArray(chunk) || chunk.length !== range.end-range.start) {
+                throw corrupted()
+            }
+            Array.prototype.push.apply(arrays[range.arrayIndex], chunk)
+            return readChunks(file, chunkStart+chunkSize, arrays, chunkRanges, chunkIndex+1)
+        })
+    })
+}
+
+function readLegacyFile(file, callback) {
+    readSlice(file, 0, file.size).then((data)=>{
+        let index = CONTROL_WORD_SIZE
+        let numChunks = unpackControlWord(data.slice(index,index+CONTROL_WORD_SIZE))
+        index = index + CONTROL_WORD_SIZE
         if(!numChunks) {
             callback("Input file not in correct format", null)
             return
         }
         getInflatedChunks(data, index, numChunks, callback)
-    };
-    reader.onerror = function(e) {
-        callback("Failed to read openingtree file", null, `${e.target.error.name}:${e.target.error.message}`)
-    }
-    reader.readAsArrayBuffer(file)
+    }, (e)=>readFailed(e, callback))
 }
 
 function getInflatedChunks(data, startIndex, numChunks, callback) {
     let index = startIndex
-    let deflatedChunks = []
+    let inflatedChunks = []
     let remainingChunks = numChunks
-    let hasError=false
-    let handleInflate = (error, data)=> {
+    let corruptedChunk = null
+    let handleInflate = (chunkIndex) => (error, data)=> {
         remainingChunks--
         if(error) {
             console.log(error)
-            hasError=true
-        }
-        try {
-            deflatedChunks.push(JSON.parse(data))
-        } catch (e) {
-            console.log(e)
-            hasError=true
+            corruptedChunk = chunkIndex
+        } else {
+            try {
+                inflatedChunks.push(JSON.parse(data))
+            } catch (e) {
+                console.log(e)
+                corruptedChunk = chunkIndex
+            }
         }
         if(remainingChunks===0) {
-            if(hasError) {
-                callback("Input file seems corrupted", null)
+            if(corruptedChunk !== null) {
+                callback(`Chunk ${corruptedChunk} of the input file is corrupted`, null)
+                return
             }
-            
-            callback(null, reconstructObjectFromChunks(deflatedChunks))
+            callback(null, reconstructObjectFromChunks(inflatedChunks))
         }
-        
     }
-    while(numChunks>0) {
-        let chunkSize = unpackControlWord(data.slice(index,index+8))
-        index = index + 8
+    for(let chunkIndex=0;chunkIndex<numChunks;chunkIndex++) {
+        let chunkSize = unpackControlWord(data.slice(index,index+CONTROL_WORD_SIZE))
+        index = index + CONTROL_WORD_SIZE
         zlib.inflate(
-            Buffer.from(data,index,chunkSize), handleInflate)
+            Buffer.from(data,index,chunkSize), handleInflate(chunkIndex))
         index = index + chunkSize
-        numChunks--
     }
 }
 
-function reconstructObjectFromChunks(deflatedChunks) {
-    let sortedChunks = deflatedChunks.sort((a,b)=>a.index-b.index)
+function reconstructObjectFromChunks(inflatedChunks) {
+    let sortedChunks = inflatedChunks.sort((a,b)=>a.index-b.index)
     let flattenedChunks = sortedChunks.slice(1).map(el=>el.chunk).flat()
     let header = sortedChunks[0]
     let arrays = []
@@ -110,38 +195,93 @@ function reconstructObjectFromChunks(deflatedChunks) {
     }
 }
 
+function readSlice(file, start, end) {
+    return new Promise((resolve, reject)=>{
+        let reader = new FileReader()
+        reader.onload = (evt) => resolve(evt.target.result)
+        reader.onerror = (e) => reject(e.target.error)
+        reader.readAsArrayBuffer(file.slice(start, end))
+    })
+}
+
+function deflate(object) {
+    return new Promise((resolve, reject)=>{
+        zlib.deflate(Buffer.from(JSON.stringify(object)), (error, data)=>{
+            if(error) {
+                reject(error)
+                return
+            }
+            resolve(data)
+        })
+    })
+}
+
+function inflate(arrayBuffer) {
+    return new Promise((resolve, reject)=>{
+        zlib.inflate(Buffer.from(arrayBuffer), (error, data)=>{
+            if(error) {
+                reject(error)
+                return
+            }
+            try {
+                resolve(JSON.parse(data))
+            } catch (e) {
+                reject(e)
+            }
+        })
+    })
+}
+
+function getChunkRanges(arrays) {
+    let chunkRanges = []
+    arrays.forEach((array, arrayIndex)=>{
+        for (let start=0; start<array.length; start+=CHUNK_SIZE) {
+            chunkRanges.push({
+                arrayIndex:arrayIndex,
+                start:start,
+                end:Math.min(start+CHUNK_SIZE, array.length)
+            })
+        }
+    })
+    return chunkRanges
+}
+
 function unpackControlWord(control) {
     let view = new DataView(control)
-    if(view.getUint16(0)!==0x1337 || view.getUint16(6)!==0xC0D3) {
+    if(view.byteLength<CONTROL_WORD_SIZE || view.getUint16(0)!==0x1337 || view.getUint16(6)!==0xC0D3) {
         return null
     }
     return view.getUint32(2)
 }
 
-function packControlWord(control) {
-    var buffer = new ArrayBuffer(8); 
-    var view = new DataView(buffer); 
-    view.setUint16(0, 0x1337)
-    view.setUint32(2, control>>>0)
-    view.setUint16(6, 0xC0D3)
-    return buffer
-}
-
-function chunk(treeData) {
-    let chunk1 = {chunk:treeData.header, index:0, 
-        arraySizes:treeData.arrays.map(arr=>arr.length)}
-    let chunks = [chunk1]
-    treeData.arrays.forEach((array)=>{
-        Array.prototype.push.apply(chunks, chunkArray(array, 1000, chunks.length));
+function packControlWords(controls) {
+    let buffer = new ArrayBuffer(CONTROL_WORD_SIZE*controls.length)
+    let view = new DataView(buffer)
+    controls.forEach((control, index)=>{
+        let offset = index*CONTROL_WORD_SIZE
+        view.setUint16(offset, 0x1337)
+        view.setUint32(offset+2, control>>>0)
+        view.setUint16(offset+6, 0xC0D3)
     })
-    return chunks
+    return new Uint8Array(buffer)
 }
 
-function chunkArray(array, chunkSize, startIndex) {
-    let chunkedArray=[]
-    
-    for (let i=0, chunkIndex=0; i<array.length; i+=chunkSize, chunkIndex++) {
-        chunkedArray.push({chunk:array.slice(i,i+chunkSize), index:startIndex+chunkIndex});
+let crcTable = null
+function crc32(data) {
+    if(!crcTable) {
+        crcTable = []
+        for(let n=0;n<256;n++) {
+            let c = n
+            for(let k=0;k<8;k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c>>>1) : c>>>1
+            }
+            crcTable[n] = c>>>0
+        }
+    }
+    let bytes = new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength)
+    let crc = 0xFFFFFFFF
+    for(let i=0;i<bytes.length;i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc>>>8)
     }
-    return chunkedArray
+    return (crc ^ 0xFFFFFFFF)>>>0
 }
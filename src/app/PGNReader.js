@@ -3,8 +3,10 @@ import LichessIterator from './iterator/LichessIterator'
 import ChessComIterator from './iterator/ChessComIterator'
 import PGNFileIterator from './iterator/PGNFileIterator'
 import * as Constants from './Constants'
+import {moveAnnotations} from './MoveAnnotations'
 import NotablePlayerIterator from './iterator/NotablePlayerIterator'
 import OnlineTournamentIterator from './iterator/OnlineTournamentIterator'
+import LoadProgress from './LoadProgress'
 import { expose } from 'comlink'
 
 export default class PGNReader {
@@ -22,8 +24,10 @@ export default class PGNReader {
     fetchPGNFromSite(playerName, playerColor, site, selectedNotablePlayer,
         selectedNotableEvent, selectedOnlineTournament, shouldDownloadToFile, 
         advancedFilters, notify, showError, stopDownloading, files, 
-        downloadResponse, tokens) {
+        downloadResponse, tokens, resumeCursor, cursorChange, progressChange) {
         this.continueProcessingGames = true
+        this.progress = new LoadProgress(progressChange)
+        this.illegalMoveShown = false
         
         let handleResponse = (result, pendingDownloads) => {
             if(!result) {
@@ -39,19 +43,27 @@ export default class PGNReader {
             } ,1)
             return this.continueProcessingGames
         }
-        let processor = shouldDownloadToFile? downloadResponse: handleResponse
+        let responseHandler = shouldDownloadToFile? downloadResponse: handleResponse
+        let processor = (result, pendingDownloads) => {
+            let continueProcessing = responseHandler(result, pendingDownloads)
+            if(!pendingDownloads) {
+                this.progress.finish()
+            }
+            return continueProcessing
+        }
+        let progress = this.progress
         if (site === Constants.SITE_LICHESS) {
-            new LichessIterator(this.variant,tokens.lichess, playerName, playerColor, advancedFilters, processor, showError)
+            new LichessIterator(this.variant,tokens.lichess, playerName, playerColor, advancedFilters, processor, showError, resumeCursor, cursorChange, progress)
         } else if (site === Constants.SITE_CHESS_DOT_COM) {
-            new ChessComIterator(this.variant,playerName, playerColor, advancedFilters, processor, showError)
+            new ChessComIterator(this.variant,playerName, playerColor, advancedFilters, processor, showError, resumeCursor, cursorChange, progress)
         } else if (site === Constants.SITE_PGN_FILE) {
-            new PGNFileIterator(playerName, files, playerColor, advancedFilters, processor, showError)
+            new PGNFileIterator(playerName, files, playerColor, advancedFilters, processor, showError, progress)
         } else if (site === Constants.SITE_PLAYER_DB) {
-            new NotablePlayerIterator(selectedNotablePlayer, playerColor, advancedFilters, processor, showError)
+            new NotablePlayerIterator(selectedNotablePlayer, playerColor, advancedFilters, processor, showError, progress)
         } else if (site === Constants.SITE_EVENT_DB) {
-            new NotablePlayerIterator(selectedNotableEvent, playerColor, advancedFilters, processor, showError)
+            new NotablePlayerIterator(selectedNotableEvent, playerColor, advancedFilters, processor, showError, progress)
         } else if (site === Constants.SITE_ONLINE_TOURNAMENTS) {
-            new OnlineTournamentIterator(this.variant,tokens.lichess, selectedOnlineTournament, advancedFilters, processor,showError)
+            new OnlineTournamentIterator(this.variant,tokens.lichess, selectedOnlineTournament, advancedFilters, processor,showError, progress)
         }
         return 'done'
         
@@ -70,25 +82,27 @@ export default class PGNReader {
         }
         var pgn = pgnArray[index]
 
-        // ignore pgn files with no moves, or less than 2 moves played
-        // ignore pgn files that do not start with move 1. these are mostly "from position tournaments in lichess"
-        // for this, we need to check that the move number actually exists and is not 1.
-        // there are some pgns that do not have any move numbers and we should assume they start with move 1
-        if(pgn.moves.length>2 && pgn.moves[0] && 
-            (pgn.moves[0].move_number == null || pgn.moves[0].move_number === 1)) {
+        let skippedGame = this.skippedGame(pgn)
+        if(skippedGame) {
+            this.progress.skip(skippedGame.reason, pgn, skippedGame.detail)
+        } else {
             let chess=this.chess
-            chess.load(this.fen)
+            chess.load(pgn.headers.FEN || this.fen)
+            // games set up from another position are rooted there
+            let startFen = chess.fen()
             let pgnParseFailed = false;
             let parsedMoves = []
 
-            pgn.moves.forEach(element => {
+            pgn.moves.forEach((element, moveIndex) => {
+                if(pgnParseFailed) {
+                    return
+                }
                 let sourceFen = chess.fen()
                 let move = chess.move(element.move, {sloppy: true})
                 let targetFen = chess.fen()
                 if(!move){
-                    if(!pgnParseFailed) {
-                        console.log('failed to load game ',  pgn.moves, element.move)
-                    }
+                    console.log('failed to load game ',  pgn.moves, element.move)
+                    this.progress.skip(Constants.SKIP_REASON_ILLEGAL_MOVE, pgn, `illegal move ${element.move} at ply ${moveIndex+1}`)
                     pgnParseFailed=true
                     return
                 }
@@ -99,12 +113,25 @@ export default class PGNReader {
                 })
             })
             if(pgnParseFailed) {
-                showError("Failed to load a game", `${playerName}:${playerColor}`)
+                if(!this.illegalMoveShown) {
+                    this.illegalMoveShown = true
+                    showError("Some games could not be loaded", `${playerName}:${playerColor}`, "The load report lists them with the move that could not be played")
+                }
             } else {
                 let fen = chess.fen()
+                let pgnStats = this.gameResult(pgn,site)
+                // the iterators tell the color of every game when games of both colors are loaded
+                let gameColor = playerColor === Constants.PLAYER_COLOR_BOTH?pgn.playerColor:playerColor
+                if(gameColor) {
+                    pgnStats.playerColor = gameColor
+                }
+                if(startFen !== this.fen) {
+                    pgnStats.startFen = startFen
+                }
                 let parsedPGNDetails = {
-                    pgnStats:this.gameResult(pgn,site),
+                    pgnStats:pgnStats,
                     parsedMoves:parsedMoves,
+                    annotations:moveAnnotations(pgn),
                     latestFen:fen,
                     playerColor:playerColor
                 }
@@ -117,6 +144,32 @@ export default class PGNReader {
 
     }
 
+    // reason and detail to leave a game out of the tree. null when it can be added
+    skippedGame(pgn) {
+        // ignore pgn files with no moves, or less than 2 moves played
+        if(pgn.moves.length<=2 || !pgn.moves[0]) {
+            return {reason:Constants.SKIP_REASON_SHORT_GAME}
+        }
+        if(pgn.headers.FEN) {
+            // the variants other than standard do not tell when a position cannot be set up
+            if(this.chess.load(pgn.headers.FEN) === false) {
+                return {reason:Constants.SKIP_REASON_FROM_POSITION, detail:`cannot set up ${pgn.headers.FEN}`}
+            }
+            return null
+        }
+        // without a FEN header the games have to start with move 1. there are some pgns that
+        // do not have any move numbers and we should assume they start with move 1
+        let moveNumber = pgn.moves[0].move_number
+        if(moveNumber != null && moveNumber !== 1) {
+            return {reason:Constants.SKIP_REASON_FROM_POSITION, detail:`starts at move ${moveNumber} without a FEN header`}
+        }
+        return null
+    }
+
+    loadReport() {
+        return this.progress?this.progress.loadReport():null
+    }
+
     gameResult(pgn, site) {
         let url= null 
         if (site === Constants.SITE_CHESS_DOT_COM) {
@@ -0,0 +1,176 @@
+import {POLYGLOT_RANDOM} from './PolyglotRandom'
+import {simplifiedFen} from './util'
+import {chessLogic} from './chess/ChessLogic'
+
+const ENTRY_SIZE = 16
+const MAX_WEIGHT = 0xFFFF
+const RANDOM_CASTLE = 768
+const RANDOM_EN_PASSANT = 772
+const RANDOM_TURN = 780
+const PIECE_TYPES = 'pnbrqk'
+const CASTLING_RIGHTS = 'KQkq'
+const PROMOTION_PIECES = ' nbrq'
+
+// Polyglot books only support standard chess. Positions are followed from every start position of the games.
+// options:
+//   minGames: moves played fewer times than this are left out
+//   maxPlies: positions deeper than this are left out
+//   scoreWeighted: weight moves by the score of the side that played them instead of only how often they were played
+export function createPolyglotBook(openingGraph, options) {
+    let entries = []
+    let visitedFens = new Set()
+    let pending = openingGraph.rootPositions().map(rootPosition=>({fen:rootPosition.fen, ply:0}))
+    while(pending.length>0) {
+        let position = pending.shift()
+        let fen = simplifiedFen(position.fen)
+        if(visitedFens.has(fen) || position.ply >= options.maxPlies) {
+            continue
+        }
+        visitedFens.add(fen)
+        let bookMoves = bookMovesForFen(openingGraph, position.fen, options)
+        let key = polyglotKey(position.fen)
+        bookMoves.forEach((bookMove)=> {
+            entries.push({
+                key:key,
+                move:bookMove.encodedMove,
+                weight:bookMove.weight
+            })
+            pending.push({fen:bookMove.targetFen, ply:position.ply+1})
+        })
+    }
+    // entries are looked up by binary search, so they need to be sorted by key
+    entries.sort((a, b)=> a.key[0]-b.key[0] || a.key[1]-b.key[1] || b.weight-a.weight)
+    return packEntries(entries)
+}
+
+function bookMovesForFen(openingGraph, fen, options) {
+    let moves = openingGraph.movesForFen(fen)
+    if(!moves) {
+        return []
+    }
+    let turn = fen.split(' ')[1]
+    let bookMoves = moves.filter(move=>move.moveCount>=options.minGames).map((move)=> {
+        let chess = chessLogic(openingGraph.variant, fen)
+        let verboseMove = chess.move(move.san)
+        return {
+            encodedMove:polyglotMove(verboseMove),
+            targetFen:chess.fen(),
+            weight:options.scoreWeighted?move.moveCount*moveScore(move.details, turn):move.moveCount
+        }
+    })
+    // weights are 16 bit. scale them down together to keep their ratios
+    let maxWeight = Math.max(...bookMoves.map(bookMove=>bookMove.weight))
+    let scale = maxWeight>MAX_WEIGHT?MAX_WEIGHT/maxWeight:1
+    bookMoves.forEach((bookMove)=> {
+        bookMove.weight = Math.round(bookMove.weight*scale)
+    })
+    return bookMoves
+}
+
+// score between 0 and 1 for the side that played the move
+function moveScore(details, turn) {
+    if(!details || !details.count) {
+        return 0
+    }
+    let wins = turn === 'w'?details.whiteWins:details.blackWins
+    return (wins+details.draws/2)/details.count
+}
+
+// returns the 64 bit key as [high, low] 32 bit halves
+export function polyglotKey(fen) {
+    let fenComponents = fen.split(' ')
+    let board = boardFromFen(fenComponents[0])
+    let key = [0, 0]
+    board.forEach((piece, square)=> {
+        if(!piece) {
+            return
+        }
+        let pieceKind = 2*PIECE_TYPES.indexOf(piece.toLowerCase()) + (piece === piece.toUpperCase()?1:0)
+        xorRandom(key, 64*pieceKind + square)
+    })
+    CASTLING_RIGHTS.split('').forEach((right, index)=> {
+        if(fenComponents[2].includes(right)) {
+            xorRandom(key, RANDOM_CASTLE+index)
+        }
+    })
+    let enPassantFile = enPassantFileForKey(board, fenComponents[1], fenComponents[3])
+    if(enPassantFile !== null) {
+        xorRandom(key, RANDOM_EN_PASSANT+enPassantFile)
+    }
+    if(fenComponents[1] === 'w') {
+        xorRandom(key, RANDOM_TURN)
+    }
+    return key
+}
+
+export function polyglotKeyHex(fen) {
+    return polyglotKey(fen).map(half=>half.toString(16).padStart(8, '0')).join('')
+}
+
+// castling is encoded as the king capturing its own rook
+export function polyglotMove(verboseMove) {
+    let from = squareIndex(verboseMove.from)
+    let to = squareIndex(verboseMove.to)
+    if(verboseMove.flags.includes('k')) {
+        to = from+3
+    } else if(verboseMove.flags.includes('q')) {
+        to = from-4
+    }
+    let promotion = verboseMove.promotion?PROMOTION_PIECES.indexOf(verboseMove.promotion):0
+    return (promotion<<12) | (from<<6) | to
+}
+
+// the en passant square is only part of the key
+// if a pawn of the side to move can actually capture en passant
+function enPassantFileForKey(board, turn, enPassantSquare) {
+    if(!enPassantSquare || enPassantSquare === '-') {
+        return null
+    }
+    let file = enPassantSquare.charCodeAt(0)-'a'.charCodeAt(0)
+    let rank = turn === 'w'?4:3
+    let ownPawn = turn === 'w'?'P':'p'
+    let isOwnPawn = (f)=> f>=0 && f<8 && board[8*rank+f] === ownPawn
+    return isOwnPawn(file-1) || isOwnPawn(file+1)?file:null
+}
+
+// square index is 8*rank+file with a1 as 0
+function boardFromFen(placement) {
+    let board = new Array(64).fill(null)
+    placement.split('/').forEach((rankString, index)=> {
+        let rank = 7-index
+        let file = 0
+        rankString.split('').forEach((character)=> {
+            if(character>='1' && character<='8') {
+                file += parseInt(character)
+                return
+            }
+            board[8*rank+file] = character
+            file++
+        })
+    })
+    return board
+}
+
+function squareIndex(square) {
+    return 8*(parseInt(square[1])-1) + square.charCodeAt(0)-'a'.charCodeAt(0)
+}
+
+function xorRandom(key, offset) {
+    key[0] = (key[0] ^ POLYGLOT_RANDOM[2*offset])>>>0
+    key[1] = (key[1] ^ POLYGLOT_RANDOM[2*offset+1])>>>0
+}
+
+// each entry is key (8 bytes), move (2), weight (2), learn (4), big endian
+function packEntries(entries) {
+    let buffer = new ArrayBuffer(ENTRY_SIZE*entries.length)
+    let view = new DataView(buffer)
+    entries.forEach((entry, index)=> {
+        let offset = index*ENTRY_SIZE
+        view.setUint32(offset, entry.key[0])
+        view.setUint32(offset+4, entry.key[1])
+        view.setUint16(offset+8, entry.move)
+        view.setUint16(offset+10, entry.weight)
+        view.setUint32(offset+12, 0)
+    })
+    return new Uint8Array(buffer)
+}
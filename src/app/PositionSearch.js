@@ -0,0 +1,118 @@
+import * as Constants from './Constants'
+import {chessLogic} from './chess/ChessLogic'
+import {playerScore} from './GapReport'
+
+const PIECE_LETTERS = {king:'k', queen:'q', rook:'r', bishop:'b', knight:'n', pawn:'p'}
+const PATTERN_CLAUSE = /^(?:(white|black)\s+)?(king|queen|rook|bishop|knight|pawn)s?\s+on\s+(.+)$/
+const SQUARE = /^[a-h][1-8]$/
+
+// Finds the positions of the tree that match a search. The search can be
+//   a fen: the board and the side to move have to match, castling rights are ignored
+//   a move sequence like "1. e4 c5 2. Nf3": positions reached by it in any move order
+//   a board pattern like "pawns on c4/d4/e3, bishop on d3": pieces without a color belong to defaultColor
+// returns {results:[{fen, count, score}]} with the most played positions first, or {error}
+export function searchPositions(openingGraph, searchText, defaultColor) {
+    let query = parseSearch(searchText, openingGraph.variant, defaultColor || Constants.PLAYER_COLOR_WHITE)
+    if(query.error) {
+        return query
+    }
+    let results = []
+    openingGraph.graph.nodes.forEach((node, key)=>{
+        if(!query.matches(key)) {
+            return
+        }
+        let fen = `${key} - 0 1`
+        let details = openingGraph.getDetailsForFen(fen)
+        if(!details.count) {
+            return
+        }
+        results.push({fen:fen, count:details.count, score:playerScore(details, openingGraph.graph.playerColor)})
+    })
+    results.sort((a, b)=>b.count-a.count)
+    return {results:results.slice(0, Constants.POSITION_SEARCH_MAX_RESULTS), totalResults:results.length}
+}
+
+export function parseSearch(searchText, variant, defaultColor) {
+    let text = (searchText || '').trim()
+    if(!text) {
+        return {error:'Enter a fen, moves or a pattern like "pawns on c4/d4/e3, bishop on d3"'}
+    }
+    if(text.split(' ')[0].split('/').length >= 8) {
+        return positionQuery(text)
+    }
+    if(/\bon\b/i.test(text)) {
+        return patternQuery(text.toLowerCase(), defaultColor)
+    }
+    return movesQuery(text, variant)
+}
+
+function positionQuery(fen) {
+    let fenComponents = fen.split(' ')
+    let board = boardPlacement(fenComponents[0])
+    let turn = fenComponents[1]
+    return {
+        matches:(key)=>{
+            let keyComponents = key.split(' ')
+            return boardPlacement(keyComponents[0]) === board && (!turn || keyComponents[1] === turn)
+        }
+    }
+}
+
+function movesQuery(text, variant) {
+    let sans = text.replace(/\d+\.+/g, ' ').split(/\s+/).filter(san=>san && !['1-0', '0-1', '1/2-1/2', '*'].includes(san))
+    let chess = chessLogic(variant)
+    for(let i=0;i<sans.length;i++) {
+        if(!chess.move(sans[i], {sloppy:true})) {
+            return {error:`${sans[i]} is not a legal move here. Search for a fen, moves or a pattern like "bishop on d3"`}
+        }
+    }
+    return positionQuery(chess.fen())
+}
+
+// every clause is like "white pawns on c4/d4" and a clause of only squares repeats the pieces of the previous one
+function patternQuery(text, defaultColor) {
+    let requiredPieces = []
+    let piece = null
+    let clauses = text.split(/,|;|\band\b/).map(clause=>clause.trim()).filter(clause=>clause)
+    for(let i=0;i<clauses.length;i++) {
+        let match = PATTERN_CLAUSE.exec(clauses[i])
+        let squares = (match?match[3]:clauses[i]).split(/[/\s]+/)
+        if(match) {
+            let letter = PIECE_LETTERS[match[2]]
+            piece = (match[1] || defaultColor) === Constants.PLAYER_COLOR_WHITE?letter.toUpperCase():letter
+        }
+        if(!piece || !squares.every(square=>SQUARE.test(square))) {
+            return {error:`Could not understand "${clauses[i]}". Use a pattern like "white pawns on c4/d4, black bishop on g7"`}
+        }
+        for(let j=0;j<squares.length;j++) {
+            requiredPieces.push({square:squares[j], piece:piece})
+        }
+    }
+    return {
+        matches:(key)=>{
+            let squares = boardSquares(key.split(' ')[0])
+            return requiredPieces.every(required=>squares[required.square] === required.piece)
+        }
+    }
+}
+
+// placement of the pieces on the board without the pockets of crazyhouse
+function boardPlacement(boardFen) {
+    return boardFen.replace(/\[.*\]/, '')
+}
+
+function boardSquares(boardFen) {
+    let squares = {}
+    boardPlacement(boardFen).split('/').forEach((rank, rankIndex)=>{
+        let file = 0
+        rank.split('').forEach((char)=>{
+            if(/\d/.test(char)) {
+                file += parseInt(char)
+            } else if(char !== '~') {
+                squares[`${'abcdefgh'[file]}${8-rankIndex}`] = char
+                file++
+            }
+        })
+    })
+    return squares
+}
@@ -0,0 +1,139 @@
+import * as Constants from './Constants'
+import {simplifiedFen, turnColor} from './util'
+import {chessLogic, rootFen} from './chess/ChessLogic'
+import PGNFileIterator from './iterator/PGNFileIterator'
+
+// Repertoire prepared in pgn files with variations. The moves of every game and of its
+// variations (RAVs) are kept by position together with the comments written after them
+export default class Repertoire {
+    constructor(variant, name) {
+        this.variant = variant
+        this.name = name
+        this.positions = new Map()
+        // move lists of the games that start from the starting position. the navigator shows them
+        this.chapters = []
+    }
+
+    // returns false when none of the moves of the game could be played
+    addPgn(parsedPgn) {
+        let setUpFen = parsedPgn.headers && parsedPgn.headers.FEN
+        let movesAdded = this.addMoves(setUpFen || rootFen(this.variant), parsedPgn.moves)
+        if(movesAdded>0 && !setUpFen) {
+            this.chapters.push(parsedPgn.moves)
+        }
+        return movesAdded>0
+    }
+
+    // a RAV replaces the move it follows, so it starts from the position before that move
+    addMoves(fen, pgnMoves) {
+        let chess = chessLogic(this.variant, fen)
+        let movesAdded = 0
+        for(let i=0;i<pgnMoves.length;i++) {
+            let positionFen = chess.fen()
+            let move = pgnMoves[i].move && chess.move(pgnMoves[i].move, {sloppy:true})
+            if(move) {
+                this.addMove(positionFen, move, pgnMoves[i].comment)
+                movesAdded++
+            }
+            let ravs = pgnMoves[i].ravs || []
+            for(let rav of ravs) {
+                movesAdded += this.addMoves(positionFen, rav.moves)
+            }
+            if(!move) {
+                break
+            }
+        }
+        return movesAdded
+    }
+
+    addMove(fen, move, comment) {
+        let key = simplifiedFen(fen)
+        let moves = this.positions.get(key)
+        if(!moves) {
+            moves = new Map()
+            this.positions.set(key, moves)
+        }
+        let commentText = comment?comment.trim():null
+        let existingMove = moves.get(move.san)
+        if(existingMove) {
+            existingMove.comment = existingMove.comment || commentText
+            return
+        }
+        moves.set(move.san, {san:move.san, orig:move.from, dest:move.to, comment:commentText})
+    }
+
+    // [{san, orig, dest, comment}] prepared in the position
+    movesForFen(fen) {
+        let moves = this.positions.get(simplifiedFen(fen))
+        return moves?Array.from(moves.values()):[]
+    }
+
+    hasPosition(fen) {
+        return this.positions.has(simplifiedFen(fen))
+    }
+
+    getMove(fen, san) {
+        let moves = this.positions.get(simplifiedFen(fen))
+        return moves?moves.get(san):undefined
+    }
+
+    positionCount() {
+        return this.positions.size
+    }
+}
+
+// Finds where the games of the tree leave the prepared lines: moves played in a position of the
+// repertoire that the repertoire does not have. Positions are followed from the starting position
+// along the repertoire moves. Every entry has the moves to reach the position and the move that left it,
+// the most played first
+export function findDeviations(openingGraph, repertoire) {
+    let deviations = []
+    let startFen = rootFen(repertoire.variant)
+    let visitedFens = new Set([simplifiedFen(startFen)])
+    let pending = [{fen:startFen, moves:[]}]
+    while(pending.length>0) {
+        let position = pending.shift()
+        let treeMoves = openingGraph.movesForFen(position.fen) || []
+        treeMoves.forEach((treeMove)=>{
+            if(repertoire.getMove(position.fen, treeMove.san)) {
+                return
+            }
+            deviations.push({
+                fen:position.fen,
+                moves:position.moves,
+                san:treeMove.san,
+                color:turnColor(position.fen),
+                moveCount:treeMove.moveCount,
+                details:treeMove.details
+            })
+        })
+        repertoire.movesForFen(position.fen).forEach((move)=>{
+            let chess = chessLogic(repertoire.variant, position.fen)
+            chess.move(move.san)
+            let fen = chess.fen()
+            if(visitedFens.has(simplifiedFen(fen))) {
+                return
+            }
+            visitedFens.add(simplifiedFen(fen))
+            pending.push({fen:fen, moves:[...position.moves, move.san]})
+        })
+    }
+    deviations.sort((a, b)=>b.moveCount-a.moveCount)
+    return deviations.slice(0, Constants.REPERTOIRE_DEVIATIONS_MAX_ENTRIES)
+}
+
+// callback gets the repertoire read from the pgn file, or null when none of its moves could be read
+export function readRepertoireFile(file, variant, showError, callback) {
+    // the iterator reports the whole file at once and then reports that it is done
+    let fileRead = false
+    new PGNFileIterator(null, [file], '', {}, (pgns)=>{
+        if(fileRead) {
+            return false
+        }
+        fileRead = true
+        let repertoire = new Repertoire(variant, file.name)
+        pgns.forEach((pgn)=>repertoire.addPgn(pgn))
+        callback(repertoire.positionCount()>0?repertoire:null)
+        return false
+    }, showError)
+}
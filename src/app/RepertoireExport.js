@@ -0,0 +1,116 @@
+import * as Constants from './Constants'
+import * as Common from './Common'
+import {simplifiedFen, getPerformanceDetails} from './util'
+import {chessLogic, rootFen} from './chess/ChessLogic'
+
+const MAX_LINE_LENGTH = 80
+
+// Builds a pgn game from the tree for every start position of its games. The main line follows
+// the most played move and the other moves become variations. Each move has a comment with its stats.
+// options:
+//   minGames: moves played fewer times than this are left out
+//   maxPlies: moves deeper than this are left out
+export function createRepertoirePgn(openingGraph, options, title) {
+    let startFens = openingGraph.rootPositions().map(rootPosition=>rootPosition.fen)
+    if(startFens.length === 0) {
+        startFens = [rootFen(openingGraph.variant)]
+    }
+    return startFens.map(startFen=>repertoireGame(openingGraph, options, title, startFen)).join("\n")
+}
+
+function repertoireGame(openingGraph, options, title, startFen) {
+    let variant = openingGraph.variant
+    let headers = {
+        Event:title,
+        Site:"https://www.openingtree.com",
+        Result:"*"
+    }
+    if(variant !== Constants.VARIANT_STANDARD) {
+        headers.Variant = Common.lichessVariantHeader(variant)
+    }
+    if(startFen !== Constants.ROOT_FEN) {
+        headers.SetUp = "1"
+        headers.FEN = startFen
+    }
+    let context = {
+        openingGraph:openingGraph,
+        options:options,
+        expandedFens:new Set()
+    }
+    let tokens = lineTokens(context, startFen, 0)
+    tokens.push("*")
+    return `${Object.entries(headers).map(header=>`[${header[0]} "${header[1]}"]`).join("\n")}\n\n${wrapTokens(tokens)}\n`
+}
+
+function lineTokens(context, fen, ply) {
+    // positions reached by transposition are only expanded the first time
+    if(ply >= context.options.maxPlies || context.expandedFens.has(simplifiedFen(fen))) {
+        return []
+    }
+    context.expandedFens.add(simplifiedFen(fen))
+    let moves = repertoireMoves(context, fen)
+    if(moves.length === 0) {
+        return []
+    }
+    // expand the main line first so that it keeps the transpositions it shares with the variations
+    let mainLine = lineTokens(context, moves[0].targetFen, ply+1)
+    let variations = moves.slice(1).map((move)=> {
+        return ["(", ...moveTokens(context, fen, move), ...lineTokens(context, move.targetFen, ply+1), ")"]
+    })
+    return [...moveTokens(context, fen, moves[0]), ...variations.flat(), ...mainLine]
+}
+
+function repertoireMoves(context, fen) {
+    let moves = context.openingGraph.movesForFen(fen)
+    if(!moves) {
+        return []
+    }
+    return moves.filter(move=>move.moveCount>=context.options.minGames)
+        .sort((a,b)=>b.moveCount-a.moveCount)
+        .map((move)=> {
+            let chess = chessLogic(context.openingGraph.variant, fen)
+            chess.move(move.san)
+            return {...move, targetFen:chess.fen()}
+        })
+}
+
+// every move is followed by a comment, so black moves always need their move number
+function moveTokens(context, fen, move) {
+    let fenComponents = fen.split(' ')
+    let moveNumber = fenComponents[5] || 1
+    let numberToken = fenComponents[1] === 'w'?`${moveNumber}.`:`${moveNumber}...`
+    return [numberToken, move.san, `{${moveComment(context, move)}}`]
+}
+
+function moveComment(context, move) {
+    let details = move.details
+    let comment = `${move.moveCount} ${move.moveCount===1?'game':'games'}`
+    if(!details || !details.hasData) {
+        return comment
+    }
+    let performance = getPerformanceDetails(details.totalOpponentElo, details.averageElo,
+        details, context.openingGraph.graph.playerColor)
+    comment = `${comment}, ${performance.results}, score ${performance.score}`
+    if(performance.performanceRating) {
+        comment = `${comment}, performance ${performance.performanceRating}`
+    }
+    return comment
+}
+
+// comments are split across lines at spaces which is allowed in pgn
+export function wrapTokens(tokens) {
+    let lines = []
+    let currentLine = ''
+    tokens.join(' ').split(' ').forEach((word)=> {
+        if(currentLine && currentLine.length+word.length+1 > MAX_LINE_LENGTH) {
+            lines.push(currentLine)
+            currentLine = word
+        } else {
+            currentLine = currentLine?`${currentLine} ${word}`:word
+        }
+    })
+    if(currentLine) {
+        lines.push(currentLine)
+    }
+    return lines.join('\n')
+}
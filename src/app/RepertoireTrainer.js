@@ -0,0 +1,75 @@
+import * as Constants from './Constants'
+import {simplifiedFen} from './util'
+import {getRecord, putRecord, STORE_TRAINING_PROGRESS} from './LocalDatabase'
+
+// Drill mode against the loaded tree.
+// Every position where the player has to find a move is a card that is reviewed with spaced repetition.
+// progress is kept per tree: {cards:{[simplifiedFen]:{startFen, moves, box, due, reviews, lapses}}, mistakes:[]}.
+// moves are played from startFen, null for the usual starting position
+export function emptyProgress() {
+    return {cards:{}, mistakes:[]}
+}
+
+export function loadTrainingProgress(treeName) {
+    return getRecord(STORE_TRAINING_PROGRESS, treeName).then(progress=>progress || emptyProgress())
+}
+
+export function saveTrainingProgress(treeName, progress) {
+    return putRecord(STORE_TRAINING_PROGRESS, treeName, progress)
+}
+
+// opponent moves are picked in proportion to how often they were played
+export function sampleMove(moves, random = Math.random) {
+    let total = moves.reduce((sum, move)=>sum+move.moveCount, 0)
+    let target = random()*total
+    for(let i=0;i<moves.length;i++) {
+        target -= moves[i].moveCount
+        if(target < 0) {
+            return moves[i]
+        }
+    }
+    return moves[moves.length-1]
+}
+
+// the moves accepted as answers: the most played one and any other played often enough
+export function expectedMoves(moves) {
+    if(!moves || moves.length === 0) {
+        return []
+    }
+    let total = moves.reduce((sum, move)=>sum+move.moveCount, 0)
+    let sortedMoves = [...moves].sort((a, b)=>b.moveCount-a.moveCount)
+    return sortedMoves.filter((move, index)=>index === 0 || move.moveCount >= total*Constants.TRAINER_MIN_MOVE_SHARE)
+        .map(move=>move.san)
+}
+
+// a correct answer moves the card to the next box which is reviewed less often.
+// a wrong answer sends it back to the first box
+export function reviewCard(card, startFen, sanMoves, isCorrect, now) {
+    let previousCard = card || {box:0, reviews:0, lapses:0}
+    let intervals = Constants.TRAINER_REVIEW_INTERVALS_DAYS
+    let box = isCorrect?Math.min(previousCard.box+1, intervals.length-1):0
+    return {
+        startFen:startFen,
+        moves:sanMoves,
+        box:box,
+        due:now+intervals[box]*Constants.MILLISECS_IN_DAY,
+        reviews:previousCard.reviews+1,
+        lapses:previousCard.lapses+(isCorrect?0:1)
+    }
+}
+
+export function recordAnswer(progress, fen, startFen, sanMoves, playedSan, expectedSans, now) {
+    let key = simplifiedFen(fen)
+    let isCorrect = expectedSans.includes(playedSan)
+    progress.cards[key] = reviewCard(progress.cards[key], startFen, sanMoves, isCorrect, now)
+    if(!isCorrect) {
+        progress.mistakes = [{startFen:startFen, moves:sanMoves, played:playedSan, expected:expectedSans, time:now},
+            ...progress.mistakes].slice(0, Constants.TRAINER_MAX_LOGGED_MISTAKES)
+    }
+    return isCorrect
+}
+
+// cards that are due, the ones that were due the longest first
+export function dueCards(progress, now) {
+    return Object.values(progress.cards).filter(card=>card.due <= now).sort((a, b)=>a.due-b.due)
+}
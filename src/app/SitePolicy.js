@@ -16,13 +16,6 @@ export function isFilterPanelEnabled(source, playerName) {
 }
 
 export function treeSaveDisabledReason(loadedSite, selectedSite, gamesProcessed, isDownloading){
-    if(selectedSite === Constants.SITE_ONLINE_TOURNAMENTS) {
-        return "Not currently supported for tournaments"
-    }
-    if(selectedSite !== Constants.SITE_LICHESS && 
-        selectedSite !== Constants.SITE_CHESS_DOT_COM) {
-        return "Only supported for chess.com and lichess"
-    }
     if(loadedSite !== selectedSite || gamesProcessed<=0) {
         return "You need to analyze games before saving"
     }
@@ -31,12 +24,39 @@ export function treeSaveDisabledReason(loadedSite, selectedSite, gamesProcessed,
     }
     return ''
 }
-export function exportFileName(source, playerName, playerColor, selectedEvent, extension) {
+// sites where only games played after a date can be fetched
+export function isSourceUpdatable(source) {
+    return source === Constants.SITE_LICHESS || source === Constants.SITE_CHESS_DOT_COM
+}
+
+export function exportFileName(source, playerName, playerColor, selectedEvent, extension, selectedOnlineTournament) {
     if(source === Constants.SITE_EVENT_DB) {
         return `${selectedEvent.name}.${extension}`
     }
+    if(source === Constants.SITE_ONLINE_TOURNAMENTS && selectedOnlineTournament) {
+        return `${selectedOnlineTournament.tournamentType}-${selectedOnlineTournament.tournamentId}.${extension}`
+    }
     if(playerName) {
         return `${playerName}-${playerColor}.${extension}`
     }
     return `openingtree-exportedgames.${extension}`
-}
\ No newline at end of file
+}
+export function sourceLabel(source, playerName, selectedEvent, selectedOnlineTournament, files) {
+    if(source === Constants.SITE_EVENT_DB) {
+        return selectedEvent.name
+    }
+    if(source === Constants.SITE_ONLINE_TOURNAMENTS) {
+        return `lichess ${selectedOnlineTournament.tournamentType} ${selectedOnlineTournament.tournamentId}`
+    }
+    if(source === Constants.SITE_PGN_FILE) {
+        let fileNames = files.map(file=>file.name).join(', ')
+        return playerName?`${playerName} (${fileNames})`:fileNames
+    }
+    if(source === Constants.SITE_LICHESS) {
+        return `${playerName} on lichess`
+    }
+    if(source === Constants.SITE_CHESS_DOT_COM) {
+        return `${playerName} on chess.com`
+    }
+    return playerName
+}
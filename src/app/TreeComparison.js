@@ -0,0 +1,28 @@
+// Compares the moves of the loaded tree with the moves of a second tree in the same position.
+// Moves of the loaded tree get a comparison with the frequency and score in the other tree,
+// or {missing:true} when the other tree never played them.
+// Returns the moves that were only played in the other tree, most played first
+export function compareTreeMoves(moves, comparisonMoves) {
+    let comparisonMap = new Map()
+    comparisonMoves.forEach((move)=>comparisonMap.set(move.san, move))
+    moves.forEach((move)=>{
+        let comparisonMove = comparisonMap.get(move.san)
+        if(!comparisonMove) {
+            move.comparison = {missing:true}
+            return
+        }
+        comparisonMap.delete(move.san)
+        move.comparison = {
+            moveCount:comparisonMove.moveCount,
+            details:comparisonMove.details,
+            score:moveScore(comparisonMove),
+            treeScore:moveScore(move)
+        }
+    })
+    return Array.from(comparisonMap.values()).sort((a, b)=>b.moveCount-a.moveCount)
+}
+
+// score for white in percent, like the scores of the book comparison
+function moveScore(move) {
+    return (move.details.whiteWins+move.details.draws/2)/move.details.count*100
+}
@@ -0,0 +1,168 @@
+import {StockfishEngine} from './stockfish/StockfishEngine'
+import {chessLogic} from './chess/ChessLogic'
+
+// Background job that evaluates the most played positions of the tree one at a time.
+// It runs its own engine so that it does not disturb the analysis of the position on the board.
+// evaluations are kept in the opening graph so that they are saved with the tree
+export default class TreeEvaluator {
+    constructor(openingGraph, onProgress, onError) {
+        this.openingGraph = openingGraph
+        this.onProgress = onProgress
+        this.onError = onError
+        this.engine = null
+        this.queue = []
+        this.total = 0
+        this.depth = null
+        this.running = false
+        this.searching = false
+        this.stopRequested = false
+    }
+
+    start(positionCount, depth) {
+        this.openingGraph.setEvaluationJob({positionCount:positionCount, depth:depth})
+        this.evaluatePositions(topPositions(this.openingGraph, positionCount), depth)
+    }
+
+    // evaluates the given positions without changing the job saved in the tree
+    evaluatePositions(fens, depth) {
+        if(this.searching) {
+            this.interruptSearch()
+        }
+        this.loadPositions(fens, depth)
+        this.resume()
+    }
+
+    // continues the job saved in the tree
+    resume() {
+        if(this.depth === null) {
+            let job = this.openingGraph.getEvaluationJob()
+            if(!job) {
+                return
+            }
+            this.loadPositions(topPositions(this.openingGraph, job.positionCount), job.depth)
+        }
+        if(this.queue.length === 0) {
+            this.onProgress()
+            return
+        }
+        this.running = true
+        if(!this.engine) {
+            this.engine = new StockfishEngine({
+                multiPv:1,
+                onReady:this.evaluateNext.bind(this),
+                onBestMove:this.bestMoveFound.bind(this),
+                onError:this.engineFailed.bind(this)
+            })
+        }
+        this.evaluateNext()
+        this.onProgress()
+    }
+
+    pause() {
+        this.running = false
+        if(this.searching) {
+            this.interruptSearch()
+        }
+        this.onProgress()
+    }
+
+    // the engine still reports a best move for the interrupted search
+    interruptSearch() {
+        this.stopRequested = true
+        this.engine.stop()
+    }
+
+    loadPositions(fens, depth) {
+        this.queue = fens.filter(fen=>!isEvaluated(this.openingGraph, fen, depth))
+        this.total = fens.length
+        this.depth = depth
+    }
+
+    destroy() {
+        this.running = false
+        if(this.engine) {
+            this.engine.destroy()
+            this.engine = null
+        }
+    }
+
+    progress() {
+        return {
+            evaluated:this.total-this.queue.length,
+            total:this.total,
+            running:this.running
+        }
+    }
+
+    evaluateNext() {
+        if(!this.running || this.searching || !this.engine || !this.engine.isReady) {
+            return
+        }
+        if(this.queue.length === 0) {
+            this.running = false
+            this.onProgress()
+            return
+        }
+        this.searching = true
+        this.engine.analyze(this.queue[0], {depth:this.depth, multiPv:1})
+    }
+
+    bestMoveFound(result) {
+        this.searching = false
+        if(this.stopRequested) {
+            this.stopRequested = false
+            this.evaluateNext()
+            return
+        }
+        let fen = this.queue.shift()
+        let line = result.pvLines[0]
+        if(line && result.fen === fen) {
+            this.openingGraph.setEvaluation(fen, {
+                score:line.score,
+                depth:line.depth,
+                bestMove:result.bestMove
+            })
+        }
+        this.onProgress()
+        this.evaluateNext()
+    }
+
+    engineFailed(message) {
+        this.running = false
+        this.searching = false
+        this.onError(message)
+        this.onProgress()
+    }
+}
+
+// positions of the tree that are reached by the most games, most played first.
+// only positions where a move was played are interesting to evaluate
+export function topPositions(openingGraph, positionCount) {
+    let positions = []
+    openingGraph.graph.nodes.forEach((node, fen)=>{
+        if(!node.playedBy) {
+            return
+        }
+        let gameCount = Object.values(node.playedBy).reduce((total, count)=>total+count, 0)
+        positions.push({fen:fen, gameCount:gameCount})
+    })
+    positions.sort((a, b)=>b.gameCount-a.gameCount)
+    // the engine needs a full fen. en passant is not part of the simplified fen
+    return positions.slice(0, positionCount).map(position=>`${position.fen} - 0 1`)
+}
+
+// the position and the positions reached by the moves played from it.
+// evaluating them is enough to classify the moves of the position
+export function positionAndReplies(openingGraph, fen) {
+    let moves = openingGraph.movesForFen(fen) || []
+    return [fen, ...moves.map((move)=>{
+        let chess = chessLogic(openingGraph.variant, fen)
+        chess.move(move.san)
+        return chess.fen()
+    })]
+}
+
+export function isEvaluated(openingGraph, fen, depth) {
+    let evaluation = openingGraph.getEvaluation(fen)
+    return !!evaluation && evaluation.depth >= depth
+}
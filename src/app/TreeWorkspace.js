@@ -0,0 +1,51 @@
+import * as Constants from './Constants'
+import {getRecord, getAllRecords, putRecord, deleteRecord, STORE_TREES, STORE_TREE_SUMMARIES} from './LocalDatabase'
+
+// Local workspace of trees kept in IndexedDB so that they survive a reload.
+// Each tree is stored under its name in the same shape as a .tree file {header, arrays}
+// with a small summary next to it so that the recent trees can be listed without reading them all
+export function saveTree(name, openingTreeObject) {
+    let header = openingTreeObject.header
+    let summary = {
+        name:name,
+        savedAt:Date.now(),
+        gamesProcessed:header.gamesProcessed,
+        variant:header.variant
+    }
+    // the header goes through json like it does in a .tree file so that only plain data is stored
+    let record = {
+        header:JSON.parse(JSON.stringify(header)),
+        arrays:openingTreeObject.arrays
+    }
+    return putRecord(STORE_TREES, name, record)
+        .then(()=>putRecord(STORE_TREE_SUMMARIES, name, summary))
+        .then(()=>removeOldTrees())
+}
+
+export function loadTree(name) {
+    return getRecord(STORE_TREES, name)
+}
+
+export function deleteTree(name) {
+    return deleteRecord(STORE_TREES, name).then(()=>deleteRecord(STORE_TREE_SUMMARIES, name))
+}
+
+// most recently saved first
+export function recentTrees() {
+    return getAllRecords(STORE_TREE_SUMMARIES).then((summaries)=>summaries.sort((a, b)=>b.savedAt-a.savedAt))
+}
+
+// trees built from the same sources replace each other
+export function workspaceTreeName(sources, variant) {
+    let name = sources.map((source)=>source.playerColor?`${source.label} as ${source.playerColor}`:source.label)
+        .join(', ') || 'Opening tree'
+    if(variant && variant !== Constants.VARIANT_STANDARD) {
+        return `${name} (${variant})`
+    }
+    return name
+}
+
+function removeOldTrees() {
+    return recentTrees().then((summaries)=>Promise.all(
+        summaries.slice(Constants.WORKSPACE_MAX_TREES).map(summary=>deleteTree(summary.name))))
+}
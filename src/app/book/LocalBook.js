@@ -0,0 +1,165 @@
+import * as Constants from '../Constants'
+import {simplifiedFen} from '../util'
+import {chessLogic} from '../chess/ChessLogic'
+import PGNFileIterator from '../iterator/PGNFileIterator'
+import {getRecord, updateRecords, clearStore, countRecords, STORE_BOOK_POSITIONS} from '../LocalDatabase'
+
+// Book provider backed by pgn databases imported into IndexedDB.
+// Every position is stored under its simplified fen with the results of the moves played from it:
+// {moves:{e4:{white, black, draws, ratingSum, ratingCount}}}
+export function fetchBookMoves(fen, variant, bookSettings, callback) {
+    getRecord(STORE_BOOK_POSITIONS, bookKey(variant, fen)).then((record)=>{
+        callback(bookMovesFromRecord(record))
+    }, (error)=>{
+        console.log(error)
+        callback({fetch:"failed"})
+    })
+    return {fetch:"pending"}
+}
+
+// files are imported one after the other to keep the memory use down
+export function importPgnFiles(files, variant, onProgress, showError, callback) {
+    let gamesIndexed = 0
+    let importFile = (fileIndex) => {
+        if(fileIndex >= files.length) {
+            callback(null, gamesIndexed)
+            return
+        }
+        // the iterator reports the whole file at once and then reports that it is done
+        let fileStarted = false
+        new PGNFileIterator(null, [files[fileIndex]], '', {}, (pgns, pending)=>{
+            if(fileStarted) {
+                return false
+            }
+            if(pgns.length > 0) {
+                fileStarted = true
+                importGames(pgns, 0, variant, (games)=>{
+                    gamesIndexed += games
+                    onProgress(gamesIndexed)
+                }).then(()=>importFile(fileIndex+1), (error)=>{
+                    console.log(error)
+                    callback("Could not save the opening book", gamesIndexed)
+                })
+            } else if(!pending) {
+                fileStarted = true
+                importFile(fileIndex+1)
+            }
+            return true
+        }, showError)
+    }
+    importFile(0)
+}
+
+export function clearLocalBook() {
+    return clearStore(STORE_BOOK_POSITIONS)
+}
+
+export function localBookPositionCount() {
+    return countRecords(STORE_BOOK_POSITIONS)
+}
+
+function importGames(pgns, startIndex, variant, onBatchDone) {
+    if(startIndex >= pgns.length) {
+        return Promise.resolve()
+    }
+    let batch = pgns.slice(startIndex, startIndex+Constants.LOCAL_BOOK_BATCH_SIZE)
+    let positions = indexGames(batch, variant)
+    return updateRecords(STORE_BOOK_POSITIONS, positions, mergeBookRecords).then(()=>{
+        onBatchDone(batch.length)
+        // let the browser breathe between batches
+        return new Promise((resolve)=>setTimeout(resolve, 1))
+    }).then(()=>importGames(pgns, startIndex+batch.length, variant, onBatchDone))
+}
+
+export function indexGames(pgns, variant) {
+    let positions = new Map()
+    pgns.forEach((pgn)=> {
+        if(pgn.result === '*') {
+            // unfinished games say nothing about the moves
+            return
+        }
+        let chess = chessLogic(variant, pgn.headers.FEN)
+        let rating = gameRating(pgn.headers)
+        let numberOfPlies = Math.min(pgn.moves.length, Constants.LOCAL_BOOK_MAX_PLIES)
+        for(let i=0;i<numberOfPlies;i++) {
+            let key = bookKey(variant, chess.fen())
+            let move = chess.move(pgn.moves[i].move, {sloppy: true})
+            if(!move) {
+                break
+            }
+            let record = positions.get(key) || {moves:{}}
+            addResult(record, move.san, pgn.result, rating)
+            positions.set(key, record)
+        }
+    })
+    return positions
+}
+
+export function mergeBookRecords(existingRecord, newRecord) {
+    if(!existingRecord) {
+        return newRecord
+    }
+    Object.entries(newRecord.moves).forEach(([san, stats])=> {
+        let existingStats = existingRecord.moves[san]
+        if(!existingStats) {
+            existingRecord.moves[san] = stats
+            return
+        }
+        existingStats.white += stats.white
+        existingStats.black += stats.black
+        existingStats.draws += stats.draws
+        existingStats.ratingSum += stats.ratingSum
+        existingStats.ratingCount += stats.ratingCount
+    })
+    return existingRecord
+}
+
+// same shape as the lichess explorer response
+export function bookMovesFromRecord(record) {
+    if(!record) {
+        return {moves:[]}
+    }
+    let moves = Object.entries(record.moves).map(([san, stats])=> {
+        return {
+            san:san,
+            white:stats.white,
+            black:stats.black,
+            draws:stats.draws,
+            averageRating:stats.ratingCount?Math.round(stats.ratingSum/stats.ratingCount):null
+        }
+    })
+    moves.sort((a, b)=>(b.white+b.black+b.draws)-(a.white+a.black+a.draws))
+    return {moves:moves}
+}
+
+export function bookKey(variant, fen) {
+    return `${variant}:${simplifiedFen(fen)}`
+}
+
+function addResult(record, san, result, rating) {
+    let stats = record.moves[san]
+    if(!stats) {
+        stats = {white:0, black:0, draws:0, ratingSum:0, ratingCount:0}
+        record.moves[san] = stats
+    }
+    if(result === '1-0') {
+        stats.white++
+    } else if(result === '0-1') {
+        stats.black++
+    } else {
+        stats.draws++
+    }
+    if(rating) {
+        stats.ratingSum += rating
+        stats.ratingCount++
+    }
+}
+
+// average rating of both players, or of the one whose rating is known
+function gameRating(headers) {
+    let ratings = [headers.WhiteElo, headers.BlackElo].map(elo=>parseInt(elo)).filter(elo=>!isNaN(elo))
+    if(ratings.length === 0) {
+        return null
+    }
+    return ratings.reduce((total, elo)=>total+elo, 0)/ratings.length
+}
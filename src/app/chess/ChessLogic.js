@@ -18,7 +18,11 @@ export function chessLogic(variant, fen) {
     return new Chess(fen)
 }
 
-export function rootFen(variant) {
+// customRootFen is the position that games were set up from, if they did not start from the usual one
+export function rootFen(variant, customRootFen) {
+    if(customRootFen) {
+        return customRootFen
+    }
     if(variant === Constants.VARIANT_RACING_KINGS) {
         return Constants.RACING_KINGS_ROOT_FEN
     }
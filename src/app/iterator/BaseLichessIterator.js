@@ -2,10 +2,12 @@ import { parse }  from '../PGNParser'
 import * as Constants from '../Constants'
 import {trackEvent} from '../Analytics'
 import BaseUrlIterator from './BaseUrlIterator'
+import {parseErrorDetail} from './IteratorUtils'
 
 export default class BaseLichessIterator {
 
-    constructor(accessToken, url, ready, showError, postFilter, notFoundError, couldNotLoadError) {
+    // completed is called when all the games were read, not when the download failed or was stopped
+    constructor(accessToken, url, ready, showError, postFilter, notFoundError, couldNotLoadError, completed, progress) {
         
         new BaseUrlIterator(url, 
             this.getAuth(accessToken), false,
@@ -19,13 +21,16 @@ export default class BaseLichessIterator {
                 showError('Failed to connect to lichess.org. Lichess might be down right now', null, "Some addons like 'Piracy Badger' can also cause this.")
                 ready([], false)
             }, (pgnStringArray) => {
-                let parsedPGNs = pgnStringArray.map((pgnString)=> {
+                let pgnStrings = pgnStringArray.filter(pgnString=>!!pgnString)
+                progress.gamesFound(pgnStrings.length)
+                let parsedPGNs = pgnStrings.map((pgnString)=> {
                     try {
                         return parse(pgnString)[0]
                     } catch (e) {
                         console.log("Failed to parse pgn", pgnString)
                         console.log(e)
                         trackEvent(Constants.EVENT_CATEGORY_ERROR, "parseFailedLichess", url)
+                        progress.skip(Constants.SKIP_REASON_PARSE_FAILURE, pgnString, parseErrorDetail(e))
                         return null
                     }
                 })
@@ -33,6 +38,9 @@ export default class BaseLichessIterator {
                 let continueProcessing = ready(parsedPGNs.filter(postFilter), true)
                 return continueProcessing
             }, ()=>{
+                if(completed) {
+                    completed()
+                }
                 ready([], false)
             })
     }
@@ -1,4 +1,4 @@
-import request from 'request'
+import {fetchUrl} from './RetryingFetch'
 import {normalizePGN} from './IteratorUtils'
 import {trimString} from '../Common'
 
@@ -7,14 +7,10 @@ export default class BaseUrlIterator {
     constructor(url, auth, shouldNormalizePGN, responseCodeCallback, errorCallback, dataCallback, endCallback) {
         let remainingBody=''
 
-        let requestObject = request.get(
-                url, 
-                { json: false , 
-                    auth: auth
-                }).on('error', errorCallback)
-            .on('response',(response)=>{
-                return responseCodeCallback(response.statusCode)
-            }).on('data', (data) => {
+        fetchUrl(url, {auth: auth}, {
+            onError: errorCallback,
+            onResponse: responseCodeCallback,
+            onData: (data) => {
                 let newBody = shouldNormalizePGN? 
                     normalizePGN(remainingBody + data.toString()):
                     remainingBody + data.toString()
@@ -22,13 +18,13 @@ export default class BaseUrlIterator {
                 let body = newBody.slice(0, lastValidPGN)
 
                 remainingBody = newBody.slice(lastValidPGN)
-                if(!this.callDataCallback(body, dataCallback)) {
-                    requestObject.abort()
-                }
-            }).on('end', () => {
+                return !!this.callDataCallback(body, dataCallback)
+            },
+            onEnd: () => {
                 this.callDataCallback(remainingBody, dataCallback)
                 endCallback()
-            })
+            }
+        })
     }
 
     callDataCallback(body, dataCallback) {
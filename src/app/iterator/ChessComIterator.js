@@ -1,19 +1,20 @@
-import ChessWebAPI from 'chess-web-api'
 import { parse }  from '../PGNParser'
-import request from 'request'
 import * as Constants from '../Constants'
 import * as Common from '../Common'
 import {isOpponentEloInSelectedRange} from '../util'
 import {trackEvent} from '../Analytics'
-import {normalizePGN} from './IteratorUtils'
+import {normalizePGN, parseErrorDetail} from './IteratorUtils'
+import {fetchText} from './RetryingFetch'
 
 export default class ChessComIterator {
 
-    constructor(variant, playerName, playerColor, advancedFilters, ready, showError) {
-        let chessAPI = new ChessWebAPI({
-            queue: true,
-        });
+    // resumeCursor continues a load that was interrupted. cursorChange is told the last monthly archive
+    // that was read along with all the newer ones, and gets null once every archive was read
+    constructor(variant, playerName, playerColor, advancedFilters, ready, showError, resumeCursor, cursorChange, progress) {
         let pendingRequests = 0;
+        let fetches = []
+        let archives = []
+        let failedArchives = 0
         
         let filterFromDate = advancedFilters[Constants.FILTER_NAME_FROM_DATE]
         let filterToDate = advancedFilters[Constants.FILTER_NAME_TO_DATE]
@@ -33,55 +34,101 @@ export default class ChessComIterator {
             toMonth++
         }
 
-        let parseGames= (archiveResponse)=>{
+        // color the player had in a chess.com game. undefined when the player did not play that color
+        let playerColorIn = (game) => [Constants.PLAYER_COLOR_WHITE, Constants.PLAYER_COLOR_BLACK].find(
+            (color)=>(playerColor === color || playerColor === Constants.PLAYER_COLOR_BOTH) &&
+                game[color].username.toLowerCase() === playerName.toLowerCase())
+
+        let parseGames= (archive, games)=>{
             pendingRequests--
-            let continueProcessing = ready(archiveResponse.body.games.filter(
+            progress.setCurrentStep(`archive ${archive.month}/${archive.year}`)
+            progress.gamesFound(games.length)
+            let continueProcessing = ready(games.filter(
                 game=>{
                     if(game.end_time < minEpochTimeInSeconds || game.end_time > maxEpochTimeInSeconds) {
+                        progress.skip(Constants.SKIP_REASON_DATE, game.pgn)
                         return false
                     }
-                    if(game.rules!==Common.chessDotComRules(variant) || game[playerColor].username.toLowerCase() !== playerName.toLowerCase()) {
+                    if(game.rules!==Common.chessDotComRules(variant)) {
+                        progress.skip(Constants.SKIP_REASON_VARIANT, game.pgn, game.rules)
                         return false
                     }
-                    let ratedMode = advancedFilters[Constants.FILTER_NAME_RATED]
-                    if(ratedMode === 'rated' && !game.rated) {
+                    let gameColor = playerColorIn(game)
+                    if(!gameColor) {
+                        progress.skip(Constants.SKIP_REASON_PLAYER, game.pgn)
                         return false
-                    } else if (ratedMode === 'casual' && game.rated) {
+                    }
+                    let ratedMode = advancedFilters[Constants.FILTER_NAME_RATED]
+                    if((ratedMode === 'rated' && !game.rated) || (ratedMode === 'casual' && game.rated)) {
+                        progress.skip(Constants.SKIP_REASON_RATED, game.pgn)
                         return false
                     }
                     if(!advancedFilters[game.time_class]) {
+                        progress.skip(Constants.SKIP_REASON_TIME_CONTROL, game.pgn, game.time_class)
                         return false
                     }
                     let opponentFilter = advancedFilters[Constants.FILTER_NAME_OPPONENT]
                     if(opponentFilter) {
-                        let opponent = playerColor === Constants.PLAYER_COLOR_WHITE?game.black.username:game.white.username
+                        let opponent = gameColor === Constants.PLAYER_COLOR_WHITE?game.black.username:game.white.username
                         if(opponentFilter.toLowerCase() !== opponent.toLowerCase()) {
+                            progress.skip(Constants.SKIP_REASON_OPPONENT, game.pgn)
                             return false
                         }
                     }
                     
-                    let opponentElo = playerColor === Constants.PLAYER_COLOR_WHITE?game.black.rating:game.white.rating
+                    let opponentElo = gameColor === Constants.PLAYER_COLOR_WHITE?game.black.rating:game.white.rating
                     if(!isOpponentEloInSelectedRange(opponentElo, advancedFilters[Constants.FILTER_NAME_ELO_RANGE])) {
+                        progress.skip(Constants.SKIP_REASON_RATING, game.pgn, `opponent rated ${opponentElo}`)
                         return false
                     }
                     return true 
                 }).map(
                     game=> {
                         try {
-                            return parse(normalizePGN(game.pgn))[0]
+                            let parsedGame = parse(normalizePGN(game.pgn))[0]
+                            parsedGame.playerColor = playerColorIn(game)
+                            return parsedGame
                         } catch (e) {
                             console.log("failed to parse pgn", game)
                             console.log(e)
                             trackEvent(Constants.EVENT_CATEGORY_ERROR, "parseFailedChessCom", `${playerName}:${playerColor}`)
+                            progress.skip(Constants.SKIP_REASON_PARSE_FAILURE, game.pgn, parseErrorDetail(e))
                             return null
                         }
                     }).filter(game=> game !== null), pendingRequests>0)
+            progress.archiveRead()
             if(!continueProcessing) {
                 //cancel all pending requests
-                while(chessAPI.dequeue()){}
+                fetches.forEach(fetch=>fetch.abort())
                 pendingRequests = 0
                 ready([],false)
+                return
             }
+            this.reportCursor(archives, failedArchives, pendingRequests, cursorChange)
+        }
+
+        let fetchArchive = (archive) => {
+            pendingRequests++
+            fetches.push(fetchText(`https://api.chess.com/pub/player/${playerName}/games/${archive.year}/${archive.month}`, {},
+                (error, statusCode, body) => {
+                    let games = null
+                    if(!error && statusCode === 200) {
+                        try {
+                            games = JSON.parse(body).games
+                        } catch(e) {
+                            games = null
+                        }
+                    }
+                    if(!games) {
+                        if(failedArchives === 0) {
+                            showError(`Could not load the games of ${archive.month}/${archive.year} from chess.com`, null,
+                                "The other months are still loaded. The load can be resumed later from the loaded sources")
+                        }
+                        failedArchives++
+                    }
+                    archive.isRead = !!games
+                    parseGames(archive, games || [])
+                }))
         }
 
 
@@ -105,37 +152,44 @@ export default class ChessComIterator {
             console.log("should not happen")
             return true
         }
-        let fetchAllGames = function(responseBody) {
+        let fetchAllGames = (responseBody) => {
             responseBody.archives.reverse().forEach((archiveUrl)=>{
 
                 let components=archiveUrl.split('/')
                 let year=components[components.length-2]
                 let month=components[components.length-1]
-                if(shouldFetchGamesFromArchive(month,year)) {
-                    pendingRequests++
-                    chessAPI.dispatch(chessAPI.getPlayerCompleteMonthlyArchives, parseGames, [playerName, year, month]);
+                // archives are read newest first so the ones up to the cursor were read before
+                if(shouldFetchGamesFromArchive(month,year) &&
+                    (!resumeCursor || `${year}/${month}` < resumeCursor.archive)) {
+                    archives.push({year:year, month:month, isRead:false})
                 }
             })
-            if(pendingRequests === 0) {
+            progress.setArchiveCount(archives.length)
+            archives.forEach(fetchArchive)
+            if(pendingRequests === 0 && resumeCursor) {
+                // everything was read before the load was interrupted
+                this.reportCursor(archives, 0, 0, cursorChange)
+                ready([], false)
+            } else if(pendingRequests === 0) {
                 showError('Could not find games for chess.com user '+playerName)
                 ready([], false)
             }
         }
 
-        request(`https://api.chess.com/pub/player/${playerName}/games/archives`, function (error, response, body) {
+        fetchText(`https://api.chess.com/pub/player/${playerName}/games/archives`, {}, function (error, statusCode, body) {
             if(error) {
                 showError('Failed to connect to chess.com. chess.com might be down at the moment', null, "Some addons like 'Piracy Badger' can also cause this.")
                 ready([], false)
-            } else if(response.statusCode === 404) {
+            } else if(statusCode === 404) {
                 showError('Could not find chess.com user '+playerName)
                 ready([], false)
-            } else if (response.statusCode !== 200) {
+            } else if (statusCode !== 200) {
                 showError('Could not load games for chess.com user '+playerName)
                 ready([], false)
             } else {
-                if(response.body) {
+                if(body) {
                     try{
-                        let jsonBody = JSON.parse(response.body)
+                        let jsonBody = JSON.parse(body)
                         fetchAllGames(jsonBody)
                     }catch(e) {
                         showError('Could not find games for chess.com user '+playerName)
@@ -146,5 +200,19 @@ export default class ChessComIterator {
         });
     }
 
-
-}
\ No newline at end of file
+    // the cursor is the oldest archive that was read along with all the newer ones
+    reportCursor(archives, failedArchives, pendingRequests, cursorChange) {
+        if(!cursorChange) {
+            return
+        }
+        if(pendingRequests === 0 && failedArchives === 0) {
+            cursorChange(null)
+            return
+        }
+        let firstUnread = archives.findIndex(archive=>!archive.isRead)
+        let lastRead = archives[(firstUnread<0?archives.length:firstUnread)-1]
+        if(lastRead) {
+            cursorChange({archive:`${lastRead.year}/${lastRead.month}`})
+        }
+    }
+}
@@ -1,4 +1,5 @@
 import normalizeNewLine from 'normalize-newline'
+import * as Constants from '../Constants'
 
 export function normalizePGN(pgnString) {
     // parser cannot handle \r characters
@@ -23,3 +24,28 @@ export function normalizePGN(pgnString) {
 
     return dataString
 }
+
+// color the player had in a game, found from the White and Black headers. with a single color
+// selected only that header is checked. null when isPlayer matches neither header
+export function playerColorInGame(playerColor, headers, isPlayer) {
+    let colors = playerColor === Constants.PLAYER_COLOR_BOTH?
+        [Constants.PLAYER_COLOR_WHITE, Constants.PLAYER_COLOR_BLACK]:[playerColor]
+    let gameColor = colors.find((color)=>isPlayer(headers[color === Constants.PLAYER_COLOR_WHITE?'White':'Black']))
+    return gameColor === undefined?null:gameColor
+}
+
+// pgn text of a parsed game. the moves are written without their comments
+export function pgnString(game){
+    return `${Object.entries(game.headers).map(header=>`[${header[0]} "${header[1]}"]`).join("\n")}
+                \n${game.moves.map((moveObject, index)=>{
+                    return `${index%2!==0?'':index/2+1+"."} ${moveObject.move}`
+                }).join(' ')} ${game.result}\n\n\n`
+}
+
+// where the parser stopped reading a game and why
+export function parseErrorDetail(error) {
+    if(!error.location) {
+        return error.message
+    }
+    return `line ${error.location.start.line}, column ${error.location.start.column}: ${error.message}`
+}
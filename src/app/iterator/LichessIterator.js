@@ -2,37 +2,133 @@ import {getTimeControlsArray, isOpponentEloInSelectedRange} from '../util'
 import * as Constants from '../Constants'
 import * as Common from '../Common'
 import BaseLichessIterator from './BaseLichessIterator'
+import {playerColorInGame} from './IteratorUtils'
+import {fetchText} from './RetryingFetch'
+
+const STANDARD_PERFS = [Constants.TIME_CONTROL_ULTRA_BULLET, Constants.TIME_CONTROL_BULLET, Constants.TIME_CONTROL_BLITZ,
+    Constants.TIME_CONTROL_RAPID, Constants.TIME_CONTROL_CLASSICAL, Constants.TIME_CONTROL_CORRESPONDENCE]
 
 export default class LichessIterator {
 
-    constructor(variant, accessToken, playerName, playerColor, advancedFilters, ready, showError) {
+    // resumeCursor continues a load that was interrupted. cursorChange is told where to continue from
+    // as games are read and gets null once all of them were read
+    constructor(variant, accessToken, playerName, playerColor, advancedFilters, ready, showError, resumeCursor, cursorChange, progress) {
         let lichessBaseURL = `https://lichess.org/api/games/user/`
         let playerNameFilter = encodeURIComponent(playerName)
-        let colorFilter = `?color=${playerColor}`
+        let isBothColors = playerColor === Constants.PLAYER_COLOR_BOTH
+        // the other filters are appended with & so the query is started even without a color
+        let colorFilter = isBothColors?'?':`?color=${playerColor}`
         let ratedFilter = `${advancedFilters[Constants.FILTER_NAME_RATED]==="all"?"":`&rated=${advancedFilters[Constants.FILTER_NAME_RATED]==="rated"?"true":"false"}`}`
         let fromDateFilter = advancedFilters[Constants.FILTER_NAME_FROM_DATE]
         let toDateFilter = advancedFilters[Constants.FILTER_NAME_TO_DATE]
         let timeSinceFilter = `${fromDateFilter?`&since=${fromDateFilter.getTime()}`:""}`
         let timeUntilFilter = `${toDateFilter?`&until=${toDateFilter.getTime()+Constants.MILLISECS_IN_DAY}`:""}`
+        if(resumeCursor) {
+            // the headers only have seconds so the games of that second are read again. they are skipped as duplicates
+            timeUntilFilter = `&until=${resumeCursor.until+999}`
+        }
         let selectedTimeControls = getTimeControlsArray(Constants.SITE_LICHESS, advancedFilters, true)
         let perfs =this.getPerfs(variant,selectedTimeControls)
         let perfFilter = perfs?`&perfType=${perfs}`:''
         let vsFilter = advancedFilters[Constants.FILTER_NAME_OPPONENT] ?`&vs=${advancedFilters[Constants.FILTER_NAME_OPPONENT]}`: ''
-        let url = lichessBaseURL+playerNameFilter+colorFilter+ratedFilter+perfFilter+timeSinceFilter+timeUntilFilter+vsFilter
-        new BaseLichessIterator(accessToken, url, ready, showError, 
+        // clocks and evaluations are written as comments so that the tree can keep the time spent and the evaluations
+        let annotationsFilter = '&clocks=true&evals=true'
+        let url = lichessBaseURL+playerNameFilter+colorFilter+ratedFilter+perfFilter+timeSinceFilter+timeUntilFilter+vsFilter+annotationsFilter
+        if(!resumeCursor && !fromDateFilter && !toDateFilter && !vsFilter) {
+            fetchText(`https://lichess.org/api/user/${playerNameFilter}`, {}, (error, statusCode, body)=>{
+                if(error || statusCode !== 200) {
+                    return
+                }
+                try {
+                    let expectedTotal = this.expectedGames(JSON.parse(body), perfs,
+                        advancedFilters[Constants.FILTER_NAME_RATED], isBothColors)
+                    let downloadLimit = advancedFilters[Constants.FILTER_NAME_DOWNLOAD_LIMIT]
+                    if(expectedTotal !== null && downloadLimit < Constants.MAX_DOWNLOAD_LIMIT) {
+                        expectedTotal = Math.min(expectedTotal, downloadLimit)
+                    }
+                    progress.setExpectedTotal(expectedTotal)
+                } catch(e) {
+                    console.log("could not read the game counts of", playerName, e)
+                }
+            })
+        }
+        // lichess sends the newest games first so a load continues from the oldest game read
+        let readyWithCursor = (pgns, pendingDownloads) => {
+            let continueProcessing = ready(pgns, pendingDownloads)
+            let oldestGame = pgns[pgns.length-1]
+            let until = oldestGame && this.gameStartTime(oldestGame.headers)
+            if(oldestGame && oldestGame.headers.UTCDate) {
+                progress.setCurrentStep(`games played on ${oldestGame.headers.UTCDate}`)
+            }
+            if(until && cursorChange) {
+                cursorChange({until:until})
+            }
+            return continueProcessing
+        }
+        new BaseLichessIterator(accessToken, url, readyWithCursor, showError, 
             (pgn)=>{
-                if(!pgn || pgn.headers.Variant !== Common.lichessVariantHeader(variant)
-                    || !this.timeControlFilter(selectedTimeControls,pgn.headers.TimeControl)) {
+                if(!pgn) {
+                    return false
+                }
+                if(!Common.isLichessGameOfVariant(variant, pgn.headers.Variant)) {
+                    progress.skip(Constants.SKIP_REASON_VARIANT, pgn, pgn.headers.Variant)
+                    return false
+                }
+                if(!this.timeControlFilter(selectedTimeControls,pgn.headers.TimeControl)) {
+                    progress.skip(Constants.SKIP_REASON_TIME_CONTROL, pgn, pgn.headers.TimeControl)
+                    return false
+                }
+                let gameColor = isBothColors?playerColorInGame(playerColor, pgn.headers,
+                    (name)=>!!name && name.toLowerCase() === playerName.toLowerCase()):playerColor
+                if(!gameColor) {
+                    progress.skip(Constants.SKIP_REASON_PLAYER, pgn)
                     return false
                 }
-                let opponentElo = playerColor === Constants.PLAYER_COLOR_WHITE?pgn.headers.BlackElo:pgn.headers.WhiteElo
+                pgn.playerColor = gameColor
+                let opponentElo = gameColor === Constants.PLAYER_COLOR_WHITE?pgn.headers.BlackElo:pgn.headers.WhiteElo
                 if(!isOpponentEloInSelectedRange(opponentElo, advancedFilters[Constants.FILTER_NAME_ELO_RANGE])) {
+                    progress.skip(Constants.SKIP_REASON_RATING, pgn, `opponent rated ${opponentElo}`)
                     return false
                 }
                 return true
             },
             'Could not find lichess user ' + playerName,
-            'Could not load games of lichess user ' + playerName)
+            'Could not load games of lichess user ' + playerName,
+            ()=>{
+                if(cursorChange) {
+                    cursorChange(null)
+                }
+            }, progress)
+    }
+
+    // lichess counts the rated games of every perf. casual games are taken to be spread like the rated ones.
+    // games played before the date filters are counted too, so this is only an estimate
+    expectedGames(user, perfs, ratedFilter, isBothColors) {
+        let count = user.count || {}
+        if(!count.rated) {
+            return null
+        }
+        let perfNames = perfs?perfs.split(','):STANDARD_PERFS
+        let ratedGames = perfNames.reduce((total, perf)=>total+((user.perfs && user.perfs[perf] && user.perfs[perf].games) || 0), 0)
+        let share = count.all/count.rated
+        if(ratedFilter === 'rated') {
+            share = 1
+        } else if(ratedFilter === 'casual') {
+            share = (count.all-count.rated)/count.rated
+        }
+        let games = Math.round(ratedGames*share)
+        return isBothColors?games:Math.round(games/2)
+    }
+
+    // milliseconds from the UTCDate and UTCTime headers. null when they are missing
+    gameStartTime(headers) {
+        let date = /^(\d+)\.(\d+)\.(\d+)$/.exec(headers.UTCDate || '')
+        let time = /^(\d+):(\d+):(\d+)$/.exec(headers.UTCTime || '')
+        if(!date || !time) {
+            return null
+        }
+        return Date.UTC(parseInt(date[1]), parseInt(date[2])-1, parseInt(date[3]),
+            parseInt(time[1]), parseInt(time[2]), parseInt(time[3]))
     }
 
     getPerfs(variant, selectedTimeControls) {
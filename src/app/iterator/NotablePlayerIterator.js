@@ -2,9 +2,9 @@ import PGNUrlIterator from './PGNUrlIterator'
 
 export default class NotablePlayerIterator {
 
-    constructor(selectedPlayer, playerColor, advancedFilters, ready, showError) {
+    constructor(selectedPlayer, playerColor, advancedFilters, ready, showError, progress) {
         let lowerCaseAliases = selectedPlayer.pgnAliases?selectedPlayer.pgnAliases.map(alias=>alias.toLowerCase()):null
-        new PGNUrlIterator(selectedPlayer.pgnUrl, lowerCaseAliases, playerColor, ready, showError)
+        new PGNUrlIterator(selectedPlayer.pgnUrl, lowerCaseAliases, playerColor, ready, showError, progress)
     }
 
 }
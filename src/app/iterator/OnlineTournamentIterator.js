@@ -1,19 +1,25 @@
 import BaseLichessIterator from './BaseLichessIterator'
 import * as Common from '../Common'
+import * as Constants from '../Constants'
 
 export default class OnlineTournamentIterator {
 
-    constructor(variant, accessToken, onlineTournament, advancedFilters, ready, showError) {
+    constructor(variant, accessToken, onlineTournament, advancedFilters, ready, showError, progress) {
             new BaseLichessIterator(accessToken, 
                 `https://lichess.org/api/${onlineTournament.tournamentType}/${onlineTournament.tournamentId}/games`, 
                 ready, showError, (pgn)=>{
-                    if(!pgn || pgn.headers.Variant !== Common.lichessVariantHeader(variant)) {
+                    if(!pgn) {
+                        return false
+                    }
+                    if(!Common.isLichessGameOfVariant(variant, pgn.headers.Variant)) {
+                        progress.skip(Constants.SKIP_REASON_VARIANT, pgn, pgn.headers.Variant)
                         return false
                     }
                     return true
                 },
                 'Could not find tournament',
-                'Could not load games from tournament')
+                'Could not load games from tournament',
+                null, progress)
         
     }
 
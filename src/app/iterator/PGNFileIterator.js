@@ -1,43 +1,55 @@
 import { parse }  from '../PGNParser'
 import * as Constants from '../Constants'
 import {trackEvent} from '../Analytics'
-import {normalizePGN} from './IteratorUtils'
+import {normalizePGN, playerColorInGame, parseErrorDetail} from './IteratorUtils'
 import {trimString} from '../Common'
+import LoadProgress from '../LoadProgress'
 
 export default class PGNFileIterator {
 
-    constructor(playerName, files, playerColor, advancedFilters, ready, showError) {
+    // every file counts as an archive of the progress
+    constructor(playerName, files, playerColor, advancedFilters, ready, showError, progress = new LoadProgress()) {
+        progress.setArchiveCount(files.length)
         files.forEach((file)=>{
-            let reader = this.setupReader(playerName, playerColor, advancedFilters, ready, showError)
+            let reader = this.setupReader(playerName, playerColor, advancedFilters, ready, showError, progress, file.name)
             reader.readAsText(file)
         })
     }
 
-    setupReader(playerName, playerColor, advancedFilters, ready, showError) {
+    setupReader(playerName, playerColor, advancedFilters, ready, showError, progress, fileName) {
         let reader = new FileReader()
-        let playerColorHeaderName = playerColor === Constants.PLAYER_COLOR_WHITE? 'White': 'Black'
         let lowerCasePlayerName = playerName? playerName.toLowerCase() : null
         reader.onload = function(evt) {
             let fileData = normalizePGN(evt.target.result);
-            let pgnsArray = fileData.split("\n\n\n")
+            let pgnsArray = fileData.split("\n\n\n").filter(pgnString=>!!trimString(pgnString))
+            progress.setCurrentStep(`file ${fileName}`)
+            progress.gamesFound(pgnsArray.length)
 
             let parsedPGNs = pgnsArray.map((pgnString)=> {
                 try {
                     let parsedPGN =  parse(trimString(pgnString))[0]
-                    let playerColorHeaderValue = parsedPGN.headers[playerColorHeaderName]
-                    if(playerName && playerColorHeaderValue && !playerColorHeaderValue.toLowerCase().includes(lowerCasePlayerName)) {
+                    if(!playerName) {
+                        return parsedPGN
+                    }
+                    let gameColor = playerColorInGame(playerColor, parsedPGN.headers,
+                        (headerValue)=>!headerValue || headerValue.toLowerCase().includes(lowerCasePlayerName))
+                    if(!gameColor) {
                         // filter out games not from selected player
+                        progress.skip(Constants.SKIP_REASON_PLAYER, pgnString)
                         return null
                     }
+                    parsedPGN.playerColor = gameColor
                     return parsedPGN
                 } catch (e) {
                     console.log("failed to parse pgn", pgnString)
                     console.log(e)
                     trackEvent(Constants.EVENT_CATEGORY_ERROR, "parseFailedPGNFile", playerName)
+                    progress.skip(Constants.SKIP_REASON_PARSE_FAILURE, pgnString, parseErrorDetail(e))
                     return null
                 }
             })
             ready(parsedPGNs.filter(pgn=>!!pgn), true)
+            progress.archiveRead()
         };
         reader.onerror = function(e) {
             showError("Failed to load pgn file", null, e.target.error.name+":"+e.target.error.message)
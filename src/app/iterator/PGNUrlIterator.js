@@ -2,11 +2,11 @@ import { parse }  from '../PGNParser'
 import * as Constants from '../Constants'
 import {trackEvent} from '../Analytics'
 import BaseUrlIterator from './BaseUrlIterator'
+import {playerColorInGame, parseErrorDetail} from './IteratorUtils'
 
 export default class PGNUrlIterator {
 
-    constructor(url, lowerCasePlayerNames, playerColor, ready, showError) {
-        let playerColorHeaderName = playerColor === Constants.PLAYER_COLOR_WHITE? 'White': 'Black'
+    constructor(url, lowerCasePlayerNames, playerColor, ready, showError, progress) {
         new BaseUrlIterator(url, null, true, 
             (responseCode)=>{
                 if (responseCode !== 200) {
@@ -16,7 +16,9 @@ export default class PGNUrlIterator {
                 showError('Could not connect to url')
                 ready([], false)
             }, (pgnStringArray) => {
-                let parsedPGNs = pgnStringArray.map((pgnString)=> {
+                let pgnStrings = pgnStringArray.filter(pgnString=>!!pgnString)
+                progress.gamesFound(pgnStrings.length)
+                let parsedPGNs = pgnStrings.map((pgnString)=> {
                     try {
 
                         return parse(pgnString)[0]
@@ -24,6 +26,7 @@ export default class PGNUrlIterator {
                         console.log("Failed to parse pgn", pgnString)
                         console.log(e)
                         trackEvent(Constants.EVENT_CATEGORY_ERROR, "parseFailedPGNUrl")
+                        progress.skip(Constants.SKIP_REASON_PARSE_FAILURE, pgnString, parseErrorDetail(e))
                         return null
                     }
                 })
@@ -33,12 +36,18 @@ export default class PGNUrlIterator {
                         return false
                     }
 
-                    if((!game.headers[playerColorHeaderName]) 
-                        || lowerCasePlayerNames 
-                        && !lowerCasePlayerNames.includes(
-                            game.headers[playerColorHeaderName].toLowerCase())) {
+                    if(!lowerCasePlayerNames && playerColor === Constants.PLAYER_COLOR_BOTH) {
+                        // without names there is no telling which side the games were loaded for
+                        return true
+                    }
+                    let gameColor = playerColorInGame(playerColor, game.headers,
+                        (headerValue)=>!!headerValue && (!lowerCasePlayerNames
+                            || lowerCasePlayerNames.includes(headerValue.toLowerCase())))
+                    if(!gameColor) {
+                        progress.skip(Constants.SKIP_REASON_PLAYER, game)
                         return false
                     }
+                    game.playerColor = gameColor
                     return true
                 }), true)
                 return continueProcessing
@@ -0,0 +1,187 @@
+import request from 'request'
+import * as Constants from '../Constants'
+
+// requests running against every host and the ones waiting for their turn
+const hosts = new Map()
+
+// Fetches a url through a queue per host so that only a few requests run against the same site at once.
+// Connection errors, 429 and 5xx responses are retried with exponential backoff. A 429 also makes the
+// other requests to the host wait, for as long as its Retry-After header asks.
+// Failures after some data was passed on are not retried since the data would be passed again.
+// the iterators keep a cursor to continue from instead
+// handlers: onResponse(statusCode), onData(chunk) that returns false to stop the download, onEnd() and onError(error).
+// only one of onEnd and onError is called, and none of them after abort()
+export function fetchUrl(url, options, handlers) {
+    let settings = {
+        auth:null,
+        maxRetries:Constants.FETCH_MAX_RETRIES,
+        retryBaseDelayMs:Constants.FETCH_RETRY_BASE_DELAY_MS,
+        rateLimitDelayMs:Constants.FETCH_RATE_LIMIT_DELAY_MS,
+        maxRequestsPerHost:Constants.FETCH_MAX_REQUESTS_PER_HOST,
+        ...options
+    }
+    let fetch = {aborted:false, requestObject:null, done:null}
+    let attempt = (retryCount) => {
+        whenHostIsFree(url, settings.maxRequestsPerHost, (release) => {
+            if(fetch.aborted) {
+                release()
+                return
+            }
+            let isDone = false
+            let hasData = false
+            let done = () => {
+                isDone = true
+                release()
+            }
+            let retry = (delayMs) => {
+                done()
+                setTimeout(()=>attempt(retryCount+1), delayMs)
+            }
+            let requestObject = request.get(url, {json:false, auth:settings.auth})
+            fetch.requestObject = requestObject
+            fetch.done = done
+            requestObject.on('error', (error)=>{
+                if(isDone || fetch.aborted) {
+                    return
+                }
+                if(!hasData && retryCount<settings.maxRetries) {
+                    retry(backoffDelay(settings, retryCount))
+                    return
+                }
+                done()
+                handlers.onError(error)
+            }).on('response', (response)=>{
+                let delayMs = retryDelay(response, settings, retryCount)
+                if(delayMs !== null) {
+                    if(response.statusCode === 429) {
+                        pauseHost(url, delayMs)
+                    }
+                    requestObject.abort()
+                    retry(delayMs)
+                    return
+                }
+                handlers.onResponse(response.statusCode)
+            }).on('data', (data)=>{
+                if(isDone || fetch.aborted) {
+                    return
+                }
+                hasData = true
+                if(handlers.onData(data) === false) {
+                    fetch.abort()
+                }
+            }).on('end', ()=>{
+                if(isDone || fetch.aborted) {
+                    return
+                }
+                done()
+                handlers.onEnd()
+            })
+        })
+    }
+    fetch.abort = () => {
+        if(fetch.aborted) {
+            return
+        }
+        fetch.aborted = true
+        if(fetch.requestObject) {
+            fetch.requestObject.abort()
+            fetch.done()
+        }
+    }
+    attempt(0)
+    return {abort:fetch.abort}
+}
+
+// fetches the whole body. callback(error, statusCode, body)
+export function fetchText(url, options, callback) {
+    let statusCode = null
+    let chunks = []
+    return fetchUrl(url, options, {
+        onResponse:(responseCode)=>{
+            statusCode = responseCode
+        },
+        onData:(data)=>{
+            chunks.push(data.toString())
+        },
+        onEnd:()=>callback(null, statusCode, chunks.join('')),
+        onError:(error)=>callback(error, statusCode, null)
+    })
+}
+
+// milliseconds to wait before asking again. null when the response is final
+function retryDelay(response, settings, retryCount) {
+    let statusCode = response.statusCode
+    if(retryCount>=settings.maxRetries || (statusCode !== 429 && statusCode<500)) {
+        return null
+    }
+    let retryAfter = retryAfterMs(response.headers && response.headers['retry-after'])
+    if(retryAfter !== null) {
+        return retryAfter>Constants.FETCH_RETRY_MAX_DELAY_MS?null:retryAfter
+    }
+    return statusCode === 429?settings.rateLimitDelayMs:backoffDelay(settings, retryCount)
+}
+
+function backoffDelay(settings, retryCount) {
+    return settings.retryBaseDelayMs*Math.pow(2, retryCount)
+}
+
+// Retry-After is either a number of seconds or a date
+function retryAfterMs(header) {
+    if(!header) {
+        return null
+    }
+    if(/^\d+$/.test(header.trim())) {
+        return parseInt(header)*1000
+    }
+    let date = Date.parse(header)
+    return isNaN(date)?null:Math.max(0, date-Date.now())
+}
+
+function hostQueue(url) {
+    let match = /^[a-z]+:\/\/([^/?#]+)/i.exec(url)
+    let host = match?match[1].toLowerCase():url
+    let queue = hosts.get(host)
+    if(!queue) {
+        queue = {running:0, waiting:[], pausedUntil:0, timer:null}
+        hosts.set(host, queue)
+    }
+    return queue
+}
+
+// start is called with a function to call once the request is over
+function whenHostIsFree(url, maxRequests, start) {
+    let queue = hostQueue(url)
+    queue.waiting.push({start:start, maxRequests:maxRequests})
+    startWaiting(queue)
+}
+
+function pauseHost(url, delayMs) {
+    let queue = hostQueue(url)
+    queue.pausedUntil = Math.max(queue.pausedUntil, Date.now()+delayMs)
+}
+
+function startWaiting(queue) {
+    let pauseMs = queue.pausedUntil-Date.now()
+    if(pauseMs>0) {
+        if(!queue.timer) {
+            queue.timer = setTimeout(()=>{
+                queue.timer = null
+                startWaiting(queue)
+            }, pauseMs)
+        }
+        return
+    }
+    while(queue.waiting.length>0 && queue.running<queue.waiting[0].maxRequests) {
+        let next = queue.waiting.shift()
+        let isReleased = false
+        queue.running++
+        next.start(()=>{
+            if(isReleased) {
+                return
+            }
+            isReleased = true
+            queue.running--
+            startWaiting(queue)
+        })
+    }
+}
@@ -361,6 +361,14 @@ export class StockfishEngine {
     }
   }
 
+  /**
+   * Set the playing strength used by the following searches
+   * @param {number} skillLevel - Stockfish skill level (0-20)
+   */
+  setSkillLevel(skillLevel) {
+    this.send('setoption name Skill Level value ' + Math.max(0, Math.min(20, skillLevel)));
+  }
+
   /**
    * Destroy the engine and release resources
    */
@@ -1,5 +1,6 @@
 import * as Constants from '../app/Constants'
 import * as Common from '../app/Common'
+import {chessLogic} from './chess/ChessLogic'
 
 export function createSubObjectWithProperties(mainObject, properties) {
     let subObject = {}
@@ -23,6 +24,11 @@ export function getTimeControlsArray(site,timeControlState, selected) {
     return allTimeControls.filter((timeControl)=>!!timeControlState[timeControl] === selected)
 }
 
+// sans of a line from the start position like 1. e4 e5 2. Nf3
+export function moveText(moves) {
+    return moves.map((san, index)=>index%2===0?`${index/2+1}. ${san}`:san).join(' ')
+}
+
 export function simplifyCount(count){
     if(count>=1000000){
         return `${(count/1000000).toFixed(1)}M`
@@ -34,11 +40,18 @@ export function simplifyCount(count){
     return count
 }
 
-export function getPerformanceDetails(totalOpponentElo, averageElo, white, draws, black, playerColor) {
-    let totalGames = white + draws + black
+// results are the whiteWins, draws and blackWins of a position. with both colors loaded
+// the playerWins and playerLosses counted from the color of every game are used instead
+export function getPerformanceDetails(totalOpponentElo, averageElo, results, playerColor) {
+    let draws = results.draws
+    let totalGames = results.whiteWins + draws + results.blackWins
     let averageOpponentElo = totalOpponentElo?Math.round(totalOpponentElo/totalGames):null
-    let playerWins = playerColor === Constants.PLAYER_COLOR_BLACK?black:white
-    let playerLosses = playerColor !== Constants.PLAYER_COLOR_BLACK?black:white
+    let playerWins = playerColor === Constants.PLAYER_COLOR_BLACK?results.blackWins:results.whiteWins
+    let playerLosses = playerColor !== Constants.PLAYER_COLOR_BLACK?results.blackWins:results.whiteWins
+    if(playerColor === Constants.PLAYER_COLOR_BOTH) {
+        playerWins = results.playerWins || 0
+        playerLosses = results.playerLosses || 0
+    }
     let score = playerWins+(draws/2)
     let scorePercentage = score*100/totalGames
     let ratingChange = Common.DP_TABLE[Math.round(scorePercentage)]
@@ -51,11 +64,62 @@ export function getPerformanceDetails(totalOpponentElo, averageElo, white, draws
         performanceRating:performanceRating,
         averageOpponentElo: averageOpponentElo,// avg rating of opponents only
         averageElo:averageElo, // avg rating of all players
-        score:`${Number.isInteger(scorePercentage)?scorePercentage:scorePercentage.toFixed(1)}% for ${playerColor === Constants.PLAYER_COLOR_BLACK?'black':'white'}`,
+        score:`${Number.isInteger(scorePercentage)?scorePercentage:scorePercentage.toFixed(1)}% for ${scoreSide(playerColor)}`,
         ratingChange:`${ratingChange===0?'':(ratingChange>0?'+':'-')}${Math.abs(ratingChange)}`
     }
 }
 
+function scoreSide(playerColor) {
+    if(playerColor === Constants.PLAYER_COLOR_BOTH) {
+        return 'the player'
+    }
+    return playerColor === Constants.PLAYER_COLOR_BLACK?'black':'white'
+}
+
+// with both colors loaded a move is the player's when the player played it in most of its games
+export function isPlayerMove(move, moverColor, playerColor) {
+    if(playerColor === Constants.PLAYER_COLOR_BOTH) {
+        return move.playerMoveCount*2 > move.moveCount
+    }
+    return moverColor === playerColor
+}
+
+export function turnColor(fen) {
+    return fen.split(' ')[1] === 'w' ? Constants.PLAYER_COLOR_WHITE : Constants.PLAYER_COLOR_BLACK
+}
+
+// breadth first walk over the moves of the graph up to maxPlies deep from every start position of its games.
+// every position is expanded once. visitMove gets the move, the position it was played in
+// ({startFen, fen, moves} where the moves are played from startFen, null for the usual starting position),
+// all the moves of that position and the position it leads to, or null when that position was already reached
+export function walkOpeningGraph(openingGraph, maxPlies, visitMove) {
+    let pending = openingGraph.rootPositions().map((rootPosition)=>({
+        startFen:rootPosition.isCustom?rootPosition.fen:null,
+        fen:rootPosition.fen,
+        moves:[]
+    }))
+    let visitedFens = new Set(pending.map((position)=>simplifiedFen(position.fen)))
+    while(pending.length>0) {
+        let position = pending.shift()
+        let moves = openingGraph.movesForFen(position.fen)
+        if(!moves || position.moves.length >= maxPlies) {
+            continue
+        }
+        moves.forEach((move)=> {
+            let chess = chessLogic(openingGraph.variant, position.fen)
+            chess.move(move.san)
+            let fen = chess.fen()
+            let nextPosition = null
+            if(!visitedFens.has(simplifiedFen(fen))) {
+                visitedFens.add(simplifiedFen(fen))
+                nextPosition = {startFen:position.startFen, fen:fen, moves:[...position.moves, move.san]}
+                pending.push(nextPosition)
+            }
+            visitMove(move, position, moves, nextPosition)
+        })
+    }
+}
+
 export function isOpponentEloInSelectedRange(elo, range) {
     if(range[1]===Constants.MAX_ELO_RATING) {
         return elo>=range[0]
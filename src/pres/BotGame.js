@@ -0,0 +1,247 @@
+import React from 'react'
+import { Button as MaterialUIButton, TextField } from '@material-ui/core'
+import PlayArrow from '@material-ui/icons/PlayArrow'
+import Flag from '@material-ui/icons/Flag'
+import GetApp from '@material-ui/icons/GetApp'
+import streamsaver from 'streamsaver'
+import * as Constants from '../app/Constants'
+import {trackEvent} from '../app/Analytics'
+import {chessLogic, rootFen} from '../app/chess/ChessLogic'
+import {turnColor} from '../app/util'
+import BotPlayer, {createBotGamePgn, isRepertoireMove} from '../app/BotPlayer'
+
+export default class BotGame extends React.Component {
+    constructor(props) {
+        super(props)
+        this.state = {
+            active:false,
+            skillLevel:Constants.BOT_DEFAULT_SKILL_LEVEL,
+            moves:[],
+            result:null,
+            engineThinking:false
+        }
+        this.bot = null
+        this.gameFen = null
+        this.startFen = null
+        this.waitingForStart = false
+        this.botMoveTimer = null
+        this.encoder = new TextEncoder()
+    }
+
+    componentDidUpdate(prevProps) {
+        if(this.bot && this.botGraph !== this.props.openingGraph.graph) {
+            // a new tree was loaded
+            this.stopGame('*')
+            this.bot.destroy()
+            this.bot = null
+        }
+        if(!this.state.active || prevProps.fen === this.props.fen) {
+            return
+        }
+        if(this.waitingForStart) {
+            this.waitingForStart = false
+            this.gameFen = this.props.fen
+            this.nextTurn()
+            return
+        }
+        this.moveMade()
+    }
+
+    componentWillUnmount() {
+        clearTimeout(this.botMoveTimer)
+        if(this.bot) {
+            this.bot.destroy()
+        }
+    }
+
+    botName() {
+        return this.props.openingGraph.getSources().map(source=>source.label).join(', ') || 'Opening tree'
+    }
+
+    botColor() {
+        if(this.props.settings.playerColor && this.props.settings.playerColor !== Constants.PLAYER_COLOR_BOTH) {
+            return this.props.settings.playerColor
+        }
+        return this.props.settings.orientation === Constants.PLAYER_COLOR_WHITE?
+            Constants.PLAYER_COLOR_BLACK:Constants.PLAYER_COLOR_WHITE
+    }
+
+    userColor() {
+        return this.botColor() === Constants.PLAYER_COLOR_WHITE?
+            Constants.PLAYER_COLOR_BLACK:Constants.PLAYER_COLOR_WHITE
+    }
+
+    getBot() {
+        if(!this.bot) {
+            this.bot = new BotPlayer(this.props.openingGraph, this.state.skillLevel,
+                this.botMoved.bind(this), this.engineFailed.bind(this))
+            this.botGraph = this.props.openingGraph.graph
+        }
+        return this.bot
+    }
+
+    skillLevelChange(e) {
+        let value = parseInt(e.target.value)
+        let skillLevel = isNaN(value)?0:Math.max(0, Math.min(Constants.BOT_MAX_SKILL_LEVEL, value))
+        this.setState({skillLevel:skillLevel})
+        if(this.bot) {
+            this.bot.setSkillLevel(skillLevel)
+        }
+    }
+
+    startGame() {
+        this.getBot()
+        this.setState({active:true, moves:[], result:null})
+        this.props.setTrainingColor(this.userColor())
+        // games start from the usual starting position even when another start position is selected
+        this.startFen = rootFen(this.props.variant)
+        if(this.props.fen === this.startFen) {
+            this.gameFen = this.startFen
+            this.nextTurn()
+        } else {
+            this.waitingForStart = true
+            this.props.goToLine([], null)
+        }
+        trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "BotGameStart", null, this.state.skillLevel)
+    }
+
+    stopGame(result) {
+        clearTimeout(this.botMoveTimer)
+        this.waitingForStart = false
+        if(this.bot) {
+            this.bot.cancel()
+        }
+        if(!this.state.active) {
+            return
+        }
+        this.setState({active:false, result:result, engineThinking:false})
+        this.props.setTrainingColor(null)
+    }
+
+    resign() {
+        this.stopGame(this.userColor() === Constants.PLAYER_COLOR_WHITE?'0-1':'1-0')
+        trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "BotGameResign", null, this.state.moves.length)
+    }
+
+    moveMade() {
+        let lastMove = this.props.lastMove
+        let chess = chessLogic(this.props.variant, this.gameFen)
+        if(!lastMove || !chess.move(lastMove.san) || chess.fen() !== this.props.fen) {
+            // the board was moved somewhere else
+            this.stopGame('*')
+            return
+        }
+        let move = {
+            san:lastMove.san,
+            inRepertoire:isRepertoireMove(this.props.openingGraph, this.gameFen, lastMove.san)
+        }
+        this.gameFen = this.props.fen
+        this.setState({moves:[...this.state.moves, move]})
+        if(chess.game_over()) {
+            this.stopGame(gameResult(chess))
+            return
+        }
+        this.nextTurn()
+    }
+
+    nextTurn() {
+        if(turnColor(this.gameFen) !== this.botColor()) {
+            return
+        }
+        let fen = this.gameFen
+        this.botMoveTimer = setTimeout(()=>{
+            this.setState({engineThinking:!this.props.openingGraph.movesForFen(fen)})
+            this.getBot().play(fen)
+        }, Constants.BOT_MOVE_DELAY_MS)
+    }
+
+    botMoved(move) {
+        this.setState({engineThinking:false})
+        if(!this.state.active) {
+            return
+        }
+        this.props.onMove(move.san)
+    }
+
+    engineFailed(message) {
+        this.stopGame('*')
+        this.props.showError("Engine failed while playing", null, message, Constants.ERROR_ACTION_NONE)
+    }
+
+    downloadPgn() {
+        let botName = this.botName()
+        let isBotWhite = this.botColor() === Constants.PLAYER_COLOR_WHITE
+        let today = new Date()
+        let headers = {
+            Event:`Training game against ${botName}`,
+            Site:"https://www.openingtree.com",
+            Date:`${today.getFullYear()}.${`${today.getMonth()+1}`.padStart(2, '0')}.${`${today.getDate()}`.padStart(2, '0')}`,
+            White:isBotWhite?botName:"You",
+            Black:isBotWhite?"You":botName,
+            Result:this.state.result || '*'
+        }
+        let filename = "game-against-tree.pgn"
+        let writer = streamsaver.createWriteStream(filename).getWriter()
+        writer.write(this.encoder.encode(createBotGamePgn(this.startFen, this.state.moves, headers, botName))).then(()=>{
+            writer.close()
+            this.props.showInfo(`Saved game to file ${filename}`)
+        }, (error)=>{
+            console.log(error)
+            writer.abort()
+            this.props.showError("Could not save file")
+        })
+        trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "BotGameDownload", null, this.state.moves.length)
+    }
+
+    statusText() {
+        if(this.state.active) {
+            let outOfRepertoire = this.state.moves.some(move=>!move.inRepertoire)
+            return `${outOfRepertoire?'Out of the repertoire. ':''}${this.state.engineThinking?'The engine is thinking':''}`
+        }
+        if(this.state.result) {
+            return `Game over ${this.state.result}`
+        }
+        return null
+    }
+
+    render() {
+        if(!this.props.gamesProcessed || this.props.variant !== Constants.VARIANT_STANDARD) {
+            return null
+        }
+        let isTraining = !!this.props.trainingColor && !this.state.active
+        return <div className="littlePaddingTop">
+            <div><b>Play against the tree</b></div>
+            <div className="smallText">
+                Play a full game as {this.userColor()}. The bot plays the moves of the tree as often as they were played and the engine takes over once the game leaves the tree
+            </div>
+            <div className="littlePaddingTop">
+                <TextField type="number" label="Engine skill level" value={this.state.skillLevel}
+                    onChange={this.skillLevelChange.bind(this)}/>
+            </div>
+            <div className="littlePaddingTop">
+                {this.state.active?
+                <MaterialUIButton onClick={this.resign.bind(this)} variant="contained" color="default"
+                    startIcon={<Flag/>} disableElevation>
+                    Resign
+                </MaterialUIButton>:
+                <MaterialUIButton onClick={this.startGame.bind(this)} variant="contained" color="default"
+                    startIcon={<PlayArrow/>} disableElevation disabled={isTraining}>
+                    Play a game
+                </MaterialUIButton>} {!this.state.active && this.state.moves.length>0?
+                <MaterialUIButton onClick={this.downloadPgn.bind(this)} variant="contained" color="default"
+                    startIcon={<GetApp/>} disableElevation>
+                    Download pgn
+                </MaterialUIButton>:null}
+            </div>
+            <div className="smallText">{this.statusText()}</div>
+        </div>
+    }
+}
+
+function gameResult(chess) {
+    if(!chess.in_checkmate()) {
+        return '1/2-1/2'
+    }
+    // the side to move is mated
+    return chess.turn() === 'w'?'0-1':'1-0'
+}
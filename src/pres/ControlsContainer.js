@@ -16,10 +16,18 @@ import {
 } from 'reactstrap';
 import classnames from 'classnames';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
-import { faUser, faList, faCog, faChartBar, faBook, faMicrochip } from '@fortawesome/free-solid-svg-icons'
+import { faUser, faList, faCog, faChartBar, faBook, faMicrochip, faGraduationCap } from '@fortawesome/free-solid-svg-icons'
 import MovesList from './moves/MovesList'
 import BookMoves from './moves/BookMoves'
+import GamesList from './moves/GamesList'
+import GapReport from './GapReport'
+import MistakesReport from './MistakesReport'
+import PositionSearch from './PositionSearch'
+import RepertoireImport from './RepertoireImport'
+import Trainer from './Trainer'
+import BotGame from './BotGame'
 import StockfishAnalysis from './analysis/StockfishAnalysis'
+import TreeEvaluation from './analysis/TreeEvaluation'
 import {trackEvent} from '../app/Analytics'
 import * as Constants from '../app/Constants'
 import ReportControls from './ReportControls'
@@ -142,6 +150,14 @@ export default class ControlsContainer extends React.Component {
             <FontAwesomeIcon icon={faMicrochip} /> {this.state.activeTab === 'analysis'?"Analysis":""}
           </NavLink>
         </NavItem>
+        <NavItem>
+          <NavLink
+            className={classnames({ active: this.state.activeTab === 'train' })}
+            onClick={() => { this.toggle('train'); }}
+          >
+            <FontAwesomeIcon icon={faGraduationCap} /> {this.state.activeTab === 'train'?"Train":""}
+          </NavLink>
+        </NavItem>
         <NavItem>
           <NavLink
             className={classnames({ active: this.state.activeTab === 'report' })}
@@ -168,12 +184,14 @@ export default class ControlsContainer extends React.Component {
               settings = {this.props.settings}
               onChange = {this.props.settingsChange}
               notify = {this.props.updateProcessedGames}
+              removeSource = {this.props.removeSource}
               showError = {this.props.showError}
               showInfo = {this.props.showInfo}
               setDownloading = {this.props.setDownloading}
               isDownloading = {this.props.isDownloading}
               openingGraph={this.props.openingGraph}
               importCallback={this.props.importCallback}
+              setComparison={this.props.setComparison}
               variant={this.props.variant}
               variantChange={this.props.variantChange}
               oauthManager={this.props.oauthManager}
@@ -183,9 +201,19 @@ export default class ControlsContainer extends React.Component {
             <MovesList
               switchToUserTab={this.switchToUserTab.bind(this)}
               playerMoves={this.props.playerMoves}
+              onlyInComparison={this.props.onlyInComparison}
+              comparisonName={this.props.comparisonName}
+              clearComparison={this.props.clearComparison}
+              repertoireName={this.props.repertoire?this.props.repertoire.name:null}
+              moveOrdersAfter={this.props.moveOrdersAfter}
+              goToLine={this.props.goToLine}
+              rootPositions={this.props.openingGraph.rootPositions()}
+              rootFen={this.props.rootFen}
+              selectRoot={this.props.selectRoot}
               gameResults={this.props.gameResults}
               onMove={this.props.onMove}
               settings={this.props.settings}
+              sources={this.props.openingGraph.getSources()}
               turnColor={this.props.turnColor}
               settingsChange={this.props.settingsChange}
               launchGame = {this.launchGame.bind(this)}
@@ -219,14 +247,45 @@ export default class ControlsContainer extends React.Component {
               highlightArrow={this.props.highlightArrow}
               onAnalysisUpdate={this.props.onAnalysisUpdate}
             />
+            <TreeEvaluation fen={this.props.fen} openingGraph={this.props.openingGraph} gamesProcessed={this.props.gamesProcessed}
+              variant={this.props.variant} evaluationsChanged={this.props.evaluationsChanged}
+              showError={this.props.showError}/>
+        </TabPane>
+        <TabPane tabId="train">
+          <Trainer fen={this.props.fen} lastMove={this.props.lastMove} turnColor={this.props.turnColor}
+            onMove={this.props.onMove} goToLine={this.props.goToLine}
+            setTrainingColor={this.props.setTrainingColor} trainingColor={this.props.trainingColor}
+            openingGraph={this.props.openingGraph} settings={this.props.settings}
+            bookMoves={this.props.bookMoves} variant={this.props.variant} rootFen={this.props.rootFen}
+            gamesProcessed={this.props.gamesProcessed} showError={this.props.showError}/>
+          <BotGame fen={this.props.fen} lastMove={this.props.lastMove}
+            onMove={this.props.onMove} goToLine={this.props.goToLine}
+            setTrainingColor={this.props.setTrainingColor} trainingColor={this.props.trainingColor}
+            openingGraph={this.props.openingGraph} settings={this.props.settings} variant={this.props.variant}
+            gamesProcessed={this.props.gamesProcessed} showError={this.props.showError} showInfo={this.props.showInfo}/>
         </TabPane>
         <TabPane tabId="report">
           <ReportControls fen={this.props.fen} simplifiedView = {false}
             moveDetails = {this.props.openingGraph.getDetailsForFen(this.props.fen)}
             launchGame={this.launchGame.bind(this)} settings={this.props.settings}
+            sources={this.props.openingGraph.getSources()}
             switchToUserTab={this.switchToUserTab.bind(this)}
             isOpen = {this.state.activeTab === "report"}
             showInfo = {this.props.showInfo} reportFooter={this.reportFooter()}/>
+          <GamesList fen={this.props.fen} openingGraph={this.props.openingGraph}
+            launchGame={this.launchGame.bind(this)} settings={this.props.settings}/>
+          <PositionSearch openingGraph={this.props.openingGraph} settings={this.props.settings}
+            gamesProcessed={this.props.gamesProcessed} navigateTo={this.props.navigateTo}/>
+          <GapReport openingGraph={this.props.openingGraph} settings={this.props.settings}
+            gamesProcessed={this.props.gamesProcessed} goToLine={this.props.goToLine}
+            launchGame={this.launchGame.bind(this)}/>
+          <MistakesReport openingGraph={this.props.openingGraph} settings={this.props.settings}
+            gamesProcessed={this.props.gamesProcessed} goToLine={this.props.goToLine}
+            variant={this.props.variant}/>
+          <RepertoireImport repertoire={this.props.repertoire} setRepertoire={this.props.setRepertoire}
+            clearRepertoire={this.props.clearRepertoire} openingGraph={this.props.openingGraph}
+            gamesProcessed={this.props.gamesProcessed} goToLine={this.props.goToLine} variant={this.props.variant}
+            showError={this.props.showError} showInfo={this.props.showInfo}/>
         </TabPane>
         <TabPane tabId="settings">
           <Row>
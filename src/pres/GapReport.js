@@ -0,0 +1,90 @@
+import React from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faExternalLinkAlt } from '@fortawesome/free-solid-svg-icons'
+import { Button as MaterialUIButton, Table, TableRow, TableHead, TableBody, TableCell } from '@material-ui/core'
+import Search from '@material-ui/icons/Search'
+import * as Constants from '../app/Constants'
+import {trackEvent} from '../app/Analytics'
+import {createGapReport} from '../app/GapReport'
+import {moveText} from '../app/util'
+
+export default class GapReport extends React.Component {
+    constructor(props) {
+        super(props)
+        this.state = {
+            report:null,
+            reportedGames:0
+        }
+    }
+
+    findGaps() {
+        this.setState({
+            report:createGapReport(this.props.openingGraph, this.props.settings.playerColor),
+            reportedGames:this.props.gamesProcessed
+        })
+        trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "GapReport")
+    }
+
+    goToPosition(entry) {
+        return () => {
+            this.props.goToLine(entry.moves, entry.startFen)
+            trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "GapReportPosition")
+        }
+    }
+
+    sampleGame(game) {
+        if(!game) {
+            return null
+        }
+        return <FontAwesomeIcon className="pointerExternalLink" onClick={this.props.launchGame(game)} icon={faExternalLinkAlt}/>
+    }
+
+    section(title, entries, statText, sampleGame) {
+        return <Table key={title}>
+            <TableHead>
+                <TableRow>
+                    <TableCell><b>{title}</b></TableCell>
+                    <TableCell size="small" className="smallCol"></TableCell>
+                </TableRow>
+            </TableHead>
+            <TableBody>
+            {entries.length === 0?
+                <TableRow><TableCell colSpan={2} className="smallText">Nothing found</TableCell></TableRow>:
+                entries.map((entry)=><TableRow className="moveRow" key={entry.fen} onClick={this.goToPosition(entry)}>
+                    <TableCell>{moveText(entry.moves)}<div className="smallText">{statText(entry)}</div></TableCell>
+                    <TableCell size="small" className="smallCol">{this.sampleGame(sampleGame(entry))}</TableCell>
+                </TableRow>)}
+            </TableBody>
+        </Table>
+    }
+
+    render() {
+        if(!this.props.settings.playerColor || !this.props.gamesProcessed) {
+            return null
+        }
+        let report = this.state.report
+        let isStale = report && this.state.reportedGames !== this.props.gamesProcessed
+        return <div className="littlePaddingTop">
+            <MaterialUIButton
+                onClick={this.findGaps.bind(this)}
+                variant="contained"
+                color="default"
+                startIcon={<Search />}
+                className="mainButton" disableElevation
+            >
+                {!report || isStale?"Find weak spots":"Refresh weak spots"}
+            </MaterialUIButton>
+            {!report?null:[
+                this.section("Low scores", report.lowScores,
+                    (entry)=>`${Math.round(entry.score)}% score in ${entry.details.count} games`,
+                    (entry)=>entry.details.worstLossGame || entry.details.lastPlayedGame),
+                this.section("Rarely faced moves", report.rarelyFaced,
+                    (entry)=>`faced ${entry.timesFaced} of ${entry.positionCount} times`,
+                    (entry)=>entry.details.lastPlayedGame),
+                this.section("Losses to lower rated opponents", report.upsetLosses,
+                    (entry)=>`lost to a ${entry.details.worstLossElo} rated opponent, ${entry.eloGap} below average`,
+                    (entry)=>entry.details.worstLossGame)
+            ]}
+        </div>
+    }
+}
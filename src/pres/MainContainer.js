@@ -52,8 +52,14 @@ export default class MainContainer extends React.Component {
         resize:0,
         fen: this.chess.fen(),
         lastMove: null,
+        navigatorLine: null,
+        trainingColor: null,
         gamesProcessed:0,
         openingGraph:new OpeningGraph(selectedVariant),
+        comparisonGraph:null,
+        comparisonName:null,
+        repertoire:null,
+        rootFen:null, // start position that games set up from another position are explored from
         settings:{
           playerName:'',
           orientation:Constants.PLAYER_COLOR_WHITE,
@@ -83,6 +89,7 @@ export default class MainContainer extends React.Component {
     this.forBrushes = ['blue','paleGrey', 'paleGreen', 'green']
     this.againstBrushes = ['blue','paleRed', 'paleRed', 'red']
     this.engineBrush = 'yellow' // Brush for engine suggested moves
+    this.repertoireBrush = 'paleBlue'
     window.addEventListener('resize', this.handleResize.bind(this))
     let userProfile = UserProfile.getUserProfile()
     initializeAnalytics(userProfile.userTypeDesc, this.state.settings.darkMode?"dark":"light", 
@@ -174,6 +181,7 @@ export default class MainContainer extends React.Component {
 
   // Handle engine state updates
   handleEngineStateChange = (state) => {
+    this.cacheEngineEvaluation(state)
     this.setState({
       engineEnabled: state.enabled,
       engineEvaluation: state.evaluation,
@@ -232,6 +240,8 @@ export default class MainContainer extends React.Component {
     let playerMoves = this.getPlayerMoves()
     let bookMoves = this.getBookMoves()
     this.mergePlayerAndBookMoves(playerMoves, bookMoves)
+    let onlyInComparison = this.mergePlayerAndComparisonMoves(playerMoves, this.getComparisonMoves())
+    this.mergePlayerAndRepertoireMoves(playerMoves)
 
     // Get board height as number for eval bar
     const boardHeightNum = parseInt(this.chessboardWidth, 10) || 400
@@ -244,7 +254,12 @@ export default class MainContainer extends React.Component {
         <Row>
           <Col lg={{order:0, size:2}} xs={{order:2}}>
             <Navigator fen = {this.state.fen} move={this.state.lastMove}
+              line = {this.state.navigatorLine}
+              rootFen = {this.state.rootFen}
+              repertoire = {this.state.repertoire}
               onChange ={this.navigateTo.bind(this)}
+              showInfo = {this.showInfo.bind(this)}
+              showError = {this.showError.bind(this)}
               variant = {this.state.variant} />
           </Col>
           <Col lg="6">
@@ -325,14 +340,31 @@ export default class MainContainer extends React.Component {
               resize ={this.state.resize}
               gamesProcessed={this.state.gamesProcessed}
               updateProcessedGames={this.updateProcessedGames.bind(this)}
+              removeSource={this.removeSource.bind(this)}
+              evaluationsChanged={this.evaluationsChanged.bind(this)}
               settingsChange={this.settingsChange.bind(this)}
               settings={this.state.settings}
               reset={this.reset.bind(this)}
               clear={this.clear.bind(this)}
               playerMoves={playerMoves}
               bookMoves={bookMoves}
+              onlyInComparison={onlyInComparison}
+              comparisonName={this.state.comparisonName}
+              setComparison={this.setComparison.bind(this)}
+              clearComparison={this.clearComparison.bind(this)}
+              repertoire={this.state.repertoire}
+              setRepertoire={this.setRepertoire.bind(this)}
+              clearRepertoire={this.clearRepertoire.bind(this)}
               gameResults={this.gameResults()}
               onMove={this.onMove.bind(this)}
+              goToLine={this.goToLine.bind(this)}
+              rootFen={this.state.rootFen}
+              selectRoot={this.selectRoot.bind(this)}
+              navigateTo={this.navigateTo.bind(this)}
+              moveOrdersAfter={this.moveOrdersAfter.bind(this)}
+              lastMove={this.state.lastMove}
+              setTrainingColor={this.setTrainingColor.bind(this)}
+              trainingColor={this.state.trainingColor}
               turnColor={this.turnColor()}
               showError={this.showError.bind(this)}
               showInfo={this.showInfo.bind(this)}
@@ -0,0 +1,73 @@
+import React from 'react'
+import { Button as MaterialUIButton, Table, TableRow, TableHead, TableBody, TableCell } from '@material-ui/core'
+import Flag from '@material-ui/icons/Flag'
+import * as Constants from '../app/Constants'
+import {trackEvent} from '../app/Analytics'
+import {findMistakes} from '../app/MoveClassification'
+import {moveText} from '../app/util'
+
+export default class MistakesReport extends React.Component {
+    constructor(props) {
+        super(props)
+        this.state = {
+            mistakes:null
+        }
+    }
+
+    findMistakes() {
+        this.setState({
+            mistakes:findMistakes(this.props.openingGraph, this.props.settings.playerColor)
+        })
+        trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "MistakesReport")
+    }
+
+    goToPosition(entry) {
+        return () => {
+            this.props.goToLine(entry.moves, entry.startFen)
+            trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "MistakesReportPosition")
+        }
+    }
+
+    playedBy(entry) {
+        if(!this.props.settings.playerColor) {
+            return ''
+        }
+        return entry.byPlayer?'by the player, ':'by the opponent, '
+    }
+
+    render() {
+        if(!this.props.gamesProcessed || this.props.variant !== Constants.VARIANT_STANDARD) {
+            return null
+        }
+        let mistakes = this.state.mistakes
+        return <div className="littlePaddingTop">
+            <MaterialUIButton
+                onClick={this.findMistakes.bind(this)}
+                variant="contained"
+                color="default"
+                startIcon={<Flag />}
+                className="mainButton" disableElevation
+            >
+                {!mistakes?"Find mistakes":"Refresh mistakes"}
+            </MaterialUIButton>
+            {!mistakes?null:<Table>
+                <TableHead>
+                    <TableRow>
+                        <TableCell><b>Mistakes in this repertoire</b></TableCell>
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                {mistakes.length === 0?
+                    <TableRow><TableCell className="smallText">
+                        Nothing found. Evaluate the tree from the analysis tab to find mistakes
+                    </TableCell></TableRow>:
+                    mistakes.map((entry)=><TableRow className="moveRow" key={`${entry.fen}${entry.san}`} onClick={this.goToPosition(entry)}>
+                        <TableCell>{moveText([...entry.moves, entry.san])}<div className="smallText">
+                            {entry.classification} {this.playedBy(entry)}played {entry.moveCount === 1?'once':`${entry.moveCount} times`}
+                        </div></TableCell>
+                    </TableRow>)}
+                </TableBody>
+            </Table>}
+        </div>
+    }
+}
@@ -1,9 +1,10 @@
 import React from 'react'
 import ChessEcoCodes from 'chess-eco-codes'
-import OpeningManager from '../app/OpeningManager'
+import OpeningManager, {moveNumberText} from '../app/OpeningManager'
 import {Container, Row, Col, Button} from 'reactstrap'
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
 import { faStepForward, faStepBackward } from '@fortawesome/free-solid-svg-icons'
+import streamsaver from 'streamsaver'
 import * as Constants from '../app/Constants'
 import {trackEvent} from '../app/Analytics'
 
@@ -13,7 +14,7 @@ export default class Navigator extends React.Component {
         super(props)
         this.openingManager = new OpeningManager(this.props.variant)
         this.state = {
-            currentMove:0,
+            currentNode:0,
         }
         window.addEventListener("keydown",this.keyHandler.bind(this))
     }
@@ -25,6 +26,12 @@ export default class Navigator extends React.Component {
             case 39:
                 this.next(e, "keyboard")
                 break
+            case 38:
+                this.switchVariation(e, -1)
+                break
+            case 40:
+                this.switchVariation(e, 1)
+                break
             default:
                 break
         }
@@ -50,10 +57,25 @@ export default class Navigator extends React.Component {
             return true
 
         }
+        if(newProps.repertoire !== this.props.repertoire && newProps.repertoire) {
+            // the imported repertoire replaces the explored moves, starting from its first position
+            this.openingManager = new OpeningManager(newProps.variant)
+            newProps.repertoire.chapters.forEach((chapter)=>{
+                this.openingManager.addPgnMoves(chapter)
+                this.openingManager.moveTo(this.openingManager.root)
+            })
+            return true
+        }
+        if(newProps.line !== this.props.line && newProps.line) {
+            // the line starts from the selected start position
+            this.openingManager = new OpeningManager(newProps.variant, newProps.rootFen)
+            this.openingManager.addLine(newProps.line)
+            return true
+        }
         if(newProps.fen !== this.openingManager.fen()) {
             if(newProps.move === null) {
-                // called when "clear" or "starting position" actions are hit
-                this.openingManager = new OpeningManager(newProps.variant)
+                // called when "clear" or "starting position" actions are hit or another start position is selected
+                this.openingManager = new OpeningManager(newProps.variant, newProps.fen)
                 return true
             }
             this.openingManager.addPly(newProps.fen, newProps.move)
@@ -62,38 +84,148 @@ export default class Navigator extends React.Component {
         return true
     }
 
+    nodeChanged(node) {
+        this.props.onChange(node.fen, node.move)
+        this.setState({currentNode:node.id})
+    }
+
     previous(e, device) {
-        let newState = this.openingManager.moveBack()
-        this.props.onChange(newState.fen, newState.move)
-        this.setState({
-            currentMove: this.openingManager.currentMove()
-        })
+        this.nodeChanged(this.openingManager.moveBack())
         trackEvent(Constants.EVENT_CATEGORY_NAVIGATOR, "Previous", device || "mouse")
     }
 
     next(e, device) {
-        let newState = this.openingManager.moveForward()
-        this.props.onChange(newState.fen, newState.move)
-        this.setState({currentMove:this.openingManager.currentMove()})
+        this.nodeChanged(this.openingManager.moveForward())
         trackEvent(Constants.EVENT_CATEGORY_NAVIGATOR, "Next", device || "mouse")
     }
 
-    moveTo(index) {
+    switchVariation(e, direction) {
+        if(e.target && ['INPUT', 'TEXTAREA'].includes(e.target.tagName)) {
+            return
+        }
+        let currentNode = this.openingManager.current
+        let node = this.openingManager.switchVariation(direction)
+        if(node === currentNode) {
+            return
+        }
+        // the arrow keys would scroll the page otherwise
+        e.preventDefault()
+        this.nodeChanged(node)
+        trackEvent(Constants.EVENT_CATEGORY_NAVIGATOR, direction<0?"PreviousVariation":"NextVariation", "keyboard")
+    }
+
+    moveTo(node) {
+        return () => {
+            this.nodeChanged(this.openingManager.moveTo(node))
+            trackEvent(Constants.EVENT_CATEGORY_NAVIGATOR, "move")
+        }
+    }
+
+    toggleCollapsed(node) {
         return () => {
-            let newState = this.openingManager.moveTo(index+1)
-            this.props.onChange(newState.fen, newState.move)
-            this.setState({currentMove:this.openingManager.currentMove()})
-            trackEvent(Constants.EVENT_CATEGORY_NAVIGATOR, "move", null, index)
+            this.openingManager.toggleCollapsed(node)
+            this.setState({currentNode:this.openingManager.current.id})
+            trackEvent(Constants.EVENT_CATEGORY_NAVIGATOR, node.collapsed?"CollapseVariation":"ExpandVariation")
         }
     }
 
+    makeMainLine() {
+        this.openingManager.makeMainLine(this.openingManager.current)
+        this.setState({currentNode:this.openingManager.current.id})
+        trackEvent(Constants.EVENT_CATEGORY_NAVIGATOR, "MakeMainLine")
+    }
+
+    deleteBranch() {
+        this.nodeChanged(this.openingManager.deleteBranch(this.openingManager.current))
+        trackEvent(Constants.EVENT_CATEGORY_NAVIGATOR, "DeleteVariation")
+    }
+
+    exportPgn() {
+        let filename = "variations.pgn"
+        let pgn = this.openingManager.toPgn(this.opening || "Opening tree analysis")
+        let writer = streamsaver.createWriteStream(filename).getWriter()
+        writer.write(new TextEncoder().encode(pgn)).then(()=>{
+            writer.close()
+            this.props.showInfo(`Saved variations to file ${filename}`)
+        }, (error)=>{
+            console.log(error)
+            writer.abort()
+            this.props.showError("Could not save file")
+        })
+        trackEvent(Constants.EVENT_CATEGORY_NAVIGATOR, "ExportVariations")
+    }
+
+    // main line moves are paired in rows. a row is split when variations come between its moves
+    mainLineRows() {
+        let rows = []
+        let row = null
+        this.openingManager.mainLine().forEach((node)=>{
+            let isWhiteMove = node.parent.fen.split(' ')[1] === 'w'
+            if(isWhiteMove || !row || row.black || row.variations) {
+                row = {number:moveNumberText(node, true), white:null, black:null, variations:null}
+                rows.push(row)
+            }
+            if(isWhiteMove) {
+                row.white = node
+            } else {
+                row.black = node
+            }
+            if(node.parent.children.length>1) {
+                row.variations = node.parent.children.slice(1)
+                row = null
+            }
+        })
+        return rows
+    }
+
+    moveSpan(node, needsNumber) {
+        let numberText = moveNumberText(node, needsNumber)
+        return <span key={node.id} onClick={this.moveTo(node).bind(this)}
+            className={`navVariationMove ${this.openingManager.current === node?'selectedMove':''}`}>
+            {numberText?`${numberText} `:''}{node.move.san}
+        </span>
+    }
+
+    variation(node) {
+        return <div key={node.id} className="navVariation">
+            <span className="navVariationToggle" onClick={this.toggleCollapsed(node).bind(this)}>
+                {node.collapsed?'+':'\u2212'}
+            </span> {node.collapsed?this.moveSpan(node, true):this.variationLine(node)}
+        </div>
+    }
+
+    // the line of a variation with its own variations nested after the moves they replace
+    variationLine(firstNode) {
+        let elements = []
+        let needsNumber = true
+        for(let node = firstNode; node; node = node.children[0]) {
+            elements.push(this.moveSpan(node, needsNumber))
+            needsNumber = false
+            if(node !== firstNode && node.parent.children.length>1) {
+                elements.push(...node.parent.children.slice(1).map(variation=>this.variation(variation)))
+                needsNumber = true
+            }
+        }
+        return elements
+    }
+
+    actions() {
+        let current = this.openingManager.current
+        return <Row className="navActions smallText">
+            {current.parent && !this.openingManager.isMainLine(current)?<span className="linkStyle"
+                onClick={this.makeMainLine.bind(this)}>[main line]</span>:null}
+            {current.parent?<span className="linkStyle" onClick={this.deleteBranch.bind(this)}>[delete]</span>:null}
+            <span className="linkStyle" onClick={this.exportPgn.bind(this)}>[export pgn]</span>
+        </Row>
+    }
+
     render(){
         let opening = ChessEcoCodes(this.openingManager.fen())
         if (opening) {
             this.opening = opening.name
             this.openingCode = opening.code
         }
-        if(!this.openingManager.pgnListSoFar()) {
+        if(!this.openingManager.hasMoves()) {
             return <div></div>
         }
         return <Container id="navigator">
@@ -112,24 +244,29 @@ export default class Navigator extends React.Component {
                 </Col>
             </Row>
             <Row className="greyText">{this.openingCode}: {this.opening}</Row>
+            {this.actions()}
             {
-                this.openingManager.pgnListSoFar().map((move, index)=>
-                    <Row key={`${move.moveNumber}`} className="navCol">
+                this.mainLineRows().map((row)=>
+                    <React.Fragment key={`${(row.white || row.black).id}`}>
+                    <Row className="navCol">
                         <Col sm="2" className = "navItem navMoveNumber">
-                            {`${move.moveNumber}.`}
+                            {row.number}
                         </Col>
                         <Col sm="5"
-                            className = {`navItem navMove border ${this.openingManager.currentIndex-1 === index*2 ? 'selectedMove':''}`}
-                            onClick={this.moveTo(index*2).bind(this)}>
-                            {`${move.whitePly}`}
+                            className = {`navItem navMove border ${row.white && this.openingManager.current === row.white ? 'selectedMove':''}`}
+                            onClick={row.white?this.moveTo(row.white).bind(this):null}>
+                            {row.white?row.white.move.san:'...'}
                         </Col>
                         <Col sm="5"
-                            className = {`navItem navMove border ${this.openingManager.currentIndex-1 === index*2+1 ? 'selectedMove':''}`}
-                            onClick={
-                                this.moveTo(index*2+1).bind(this)}>
-                            {`${move.blackPly}`}
+                            className = {`navItem navMove border ${row.black && this.openingManager.current === row.black ? 'selectedMove':''}`}
+                            onClick={row.black?this.moveTo(row.black).bind(this):null}>
+                            {row.black?row.black.move.san:''}
                         </Col>
-                    </Row>)
+                    </Row>
+                    {row.variations?<Row className="navCol navVariations">
+                        <Col sm="12">{row.variations.map(variation=>this.variation(variation))}</Col>
+                    </Row>:null}
+                    </React.Fragment>)
             }
         </Container>
     }
@@ -0,0 +1,94 @@
+import React from 'react'
+import { Button as MaterialUIButton, TextField, Table, TableRow, TableHead, TableBody, TableCell } from '@material-ui/core'
+import Search from '@material-ui/icons/Search'
+import * as Constants from '../app/Constants'
+import {trackEvent} from '../app/Analytics'
+import {searchPositions} from '../app/PositionSearch'
+
+export default class PositionSearch extends React.Component {
+    constructor(props) {
+        super(props)
+        this.state = {
+            searchText:'',
+            search:null
+        }
+    }
+
+    searchTextChange(e) {
+        this.setState({searchText:e.target.value})
+    }
+
+    keyDown(e) {
+        if(e.key === 'Enter') {
+            this.search()
+        }
+    }
+
+    // color of the pieces in a pattern that does not name one
+    defaultColor() {
+        let playerColor = this.props.settings.playerColor
+        return playerColor === Constants.PLAYER_COLOR_BOTH?this.props.settings.orientation:playerColor
+    }
+
+    search() {
+        this.setState({
+            search:searchPositions(this.props.openingGraph, this.state.searchText, this.defaultColor())
+        })
+        trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "PositionSearch")
+    }
+
+    goToPosition(result) {
+        return () => {
+            this.props.navigateTo(result.fen, null)
+            trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "PositionSearchResult")
+        }
+    }
+
+    resultText(result) {
+        let turn = result.fen.split(' ')[1] === 'w'?'White':'Black'
+        let score = result.score === null?'':`, score ${Math.round(result.score)}%`
+        return `${turn} to move, ${result.count} ${result.count === 1?'game':'games'}${score}`
+    }
+
+    results() {
+        let search = this.state.search
+        if(!search) {
+            return null
+        }
+        if(search.error) {
+            return <div className="smallText">{search.error}</div>
+        }
+        return <Table>
+            <TableHead>
+                <TableRow><TableCell><b>{search.totalResults === 0?'No positions found':
+                    `${search.totalResults} ${search.totalResults === 1?'position':'positions'} found`}</b></TableCell></TableRow>
+            </TableHead>
+            <TableBody>
+                {search.results.map((result)=><TableRow className="moveRow" key={result.fen} onClick={this.goToPosition(result)}>
+                    <TableCell><span className="searchResultFen">{result.fen.split(' ')[0]}</span>
+                        <div className="smallText">{this.resultText(result)}</div>
+                    </TableCell>
+                </TableRow>)}
+            </TableBody>
+        </Table>
+    }
+
+    render() {
+        if(!this.props.gamesProcessed) {
+            return null
+        }
+        return <div className="littlePaddingTop">
+            <div><b>Search positions</b></div>
+            <div className="smallText">Search the tree by fen, by moves like "1. d4 d5 2. c4" or by a pattern like "pawns on c4/d4/e3, bishop on d3"</div>
+            <TextField fullWidth value={this.state.searchText} placeholder="pawns on c4/d4/e3, bishop on d3"
+                onChange={this.searchTextChange.bind(this)} onKeyDown={this.keyDown.bind(this)}/>
+            <div className="littlePaddingTop">
+                <MaterialUIButton onClick={this.search.bind(this)} variant="contained" color="default"
+                    startIcon={<Search/>} disableElevation>
+                    Search
+                </MaterialUIButton>
+            </div>
+            {this.results()}
+        </div>
+    }
+}
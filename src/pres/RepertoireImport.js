@@ -0,0 +1,124 @@
+import React from 'react'
+import { Button as MaterialUIButton, Table, TableRow, TableHead, TableBody, TableCell } from '@material-ui/core'
+import Publish from '@material-ui/icons/Publish'
+import Search from '@material-ui/icons/Search'
+import Dropzone from './loader/Dropzone'
+import * as Constants from '../app/Constants'
+import {trackEvent} from '../app/Analytics'
+import {readRepertoireFile, findDeviations} from '../app/Repertoire'
+import {moveText} from '../app/util'
+
+export default class RepertoireImport extends React.Component {
+    constructor(props) {
+        super(props)
+        this.state = {
+            files:[],
+            importing:false,
+            deviations:null,
+            reportedGames:0,
+            reportedRepertoire:null
+        }
+    }
+
+    filesChange(files) {
+        this.setState({files:files})
+    }
+
+    importRepertoire() {
+        this.setState({importing:true})
+        readRepertoireFile(this.state.files[0], this.props.variant, this.props.showError, (repertoire)=>{
+            this.setState({importing:false, deviations:null})
+            if(!repertoire) {
+                this.props.showError("Could not read any moves from the repertoire")
+                return
+            }
+            this.props.setRepertoire(repertoire)
+            this.props.showInfo(`Imported ${repertoire.positionCount()} positions from ${repertoire.name}`)
+        })
+        trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "RepertoireImport")
+    }
+
+    removeRepertoire() {
+        this.setState({deviations:null})
+        this.props.clearRepertoire()
+        trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "RepertoireRemove")
+    }
+
+    findDeviations() {
+        this.setState({
+            deviations:findDeviations(this.props.openingGraph, this.props.repertoire),
+            reportedGames:this.props.gamesProcessed,
+            reportedRepertoire:this.props.repertoire
+        })
+        trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "RepertoireDeviations")
+    }
+
+    goToPosition(deviation) {
+        return () => {
+            // repertoires are followed from the usual starting position
+            this.props.goToLine(deviation.moves, null)
+            trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "RepertoireDeviationPosition")
+        }
+    }
+
+    deviationText(deviation) {
+        let color = deviation.color === Constants.PLAYER_COLOR_WHITE?'White':'Black'
+        return `${color} leaves the repertoire in ${deviation.moveCount} ${deviation.moveCount === 1?'game':'games'}`
+    }
+
+    deviationsTable() {
+        let deviations = this.state.deviations
+        if(!deviations || this.state.reportedRepertoire !== this.props.repertoire) {
+            return null
+        }
+        return <Table>
+            <TableHead>
+                <TableRow><TableCell><b>Where the games leave the repertoire</b></TableCell></TableRow>
+            </TableHead>
+            <TableBody>
+            {deviations.length === 0?
+                <TableRow><TableCell className="smallText">Nothing found</TableCell></TableRow>:
+                deviations.map((deviation)=><TableRow className="moveRow" key={`${deviation.fen} ${deviation.san}`}
+                        onClick={this.goToPosition(deviation)}>
+                    <TableCell>{moveText([...deviation.moves, deviation.san])}
+                        <div className="smallText">{this.deviationText(deviation)}</div>
+                    </TableCell>
+                </TableRow>)}
+            </TableBody>
+        </Table>
+    }
+
+    repertoireDetails() {
+        let isStale = this.state.deviations && (this.state.reportedGames !== this.props.gamesProcessed ||
+            this.state.reportedRepertoire !== this.props.repertoire)
+        return <div>
+            <div className="smallText">Repertoire <b>{this.props.repertoire.name}</b> with {this.props.repertoire.positionCount()} positions <span
+                className="linkStyle" onClick={this.removeRepertoire.bind(this)}>[remove]</span></div>
+            {!this.props.gamesProcessed?null:<div className="littlePaddingTop">
+                <MaterialUIButton onClick={this.findDeviations.bind(this)} variant="contained" color="default"
+                    startIcon={<Search/>} disableElevation>
+                    {!this.state.deviations || isStale?"Find where games leave it":"Refresh"}
+                </MaterialUIButton>
+            </div>}
+            {this.deviationsTable()}
+        </div>
+    }
+
+    render() {
+        return <div className="littlePaddingTop">
+            <div><b>Repertoire</b></div>
+            {this.props.repertoire?this.repertoireDetails():<div>
+                <div className="smallText">Import a pgn file with your prepared lines and variations to see them on the board and in the moves table</div>
+                <Dropzone filesChange={this.filesChange.bind(this)} filesLimit={1}
+                    dropzoneText="Drop a pgn file with your repertoire"/>
+                <div className="littlePaddingTop">
+                    <MaterialUIButton onClick={this.importRepertoire.bind(this)} variant="contained" color="primary"
+                        startIcon={<Publish/>} disableElevation
+                        disabled={this.state.importing || this.state.files.length === 0}>
+                        {this.state.importing?"Importing":"Import repertoire"}
+                    </MaterialUIButton>
+                </div>
+            </div>}
+        </div>
+    }
+}
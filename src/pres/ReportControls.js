@@ -48,9 +48,7 @@ export default class ReportControls extends React.Component {
         if(this.props.isOpen) {
             performanceDetails = getPerformanceDetails(moveDetails.totalOpponentElo,
                                                         moveDetails.averageElo,
-                                                        moveDetails.whiteWins,
-                                                        moveDetails.draws,
-                                                        moveDetails.blackWins,
+                                                        moveDetails,
                                                         this.props.settings.playerColor)
         }
 
@@ -84,6 +82,7 @@ export default class ReportControls extends React.Component {
                 <TableCell className="performanceRatingRow">Score</TableCell>
                 <TableCell className="performanceRatingRow">{performanceDetails.score}</TableCell>
             </TableRow>
+            {this.sourceRows(moveDetails)}
             {((this.props.simplifiedView || isNaN(performanceDetails.averageElo)) || !this.props.settings.playerName)?null:
             <TableRow className="performanceRatingRow">
                 <TableCell className="performanceRatingRow">Rating change</TableCell>
@@ -122,6 +121,26 @@ export default class ReportControls extends React.Component {
         </Table></div>
     }
 
+    // results per source are only interesting if games from more than one source were merged
+    sourceRows(moveDetails) {
+        if(!this.props.sources || this.props.sources.length<2 || !moveDetails.sources) {
+            return null
+        }
+        return Object.entries(moveDetails.sources).map(([sourceIndex, sourceDetails])=>{
+            let source = this.props.sources[sourceIndex]
+            if(!source) {
+                return null
+            }
+            let sourcePerformance = getPerformanceDetails(0, null,
+                                                        sourceDetails,
+                                                        this.props.settings.playerColor)
+            return <TableRow className="performanceRatingRow" key={`source${sourceIndex}`}>
+                <TableCell className="performanceRatingRow">{source.label}</TableCell>
+                <TableCell className="performanceRatingRow">{sourcePerformance.results}</TableCell>
+            </TableRow>
+        })
+    }
+
     removeQuestionMarksFromDate(date) {
         if(!date || date.indexOf('?') === -1) {
             return date
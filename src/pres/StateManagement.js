@@ -1,11 +1,13 @@
 import * as Constants from '../app/Constants'
 import {trackEvent} from '../app/Analytics'
 import {copyText} from './loader/Common'
-import {chessLogic} from '../app/chess/ChessLogic'
+import {chessLogic, rootFen} from '../app/chess/ChessLogic'
 import OpeningGraph from '../app/OpeningGraph'
 import {fetchBookMoves} from '../app/OpeningBook'
+import {compareTreeMoves} from '../app/TreeComparison'
 import CookieManager from '../app/CookieManager'
 import { handleDarkMode } from './DarkMode';
+import {isPlayerMove} from '../app/util'
 
 var maxArrowsDrawn = 0
 
@@ -21,7 +23,11 @@ function playerColor() {
     return this.state.settings.playerColor
 }
 
-function brushes() {
+function brushes(move) {
+    if(this.playerColor() === Constants.PLAYER_COLOR_BOTH) {
+        // with both colors loaded the player and the opponents have moves in the same position
+        return move && isPlayerMove(move, this.turnColor(), this.playerColor())?this.forBrushes:this.againstBrushes
+    }
     if(!this.playerColor() || this.playerColor() === this.turnColor()) {
         return this.forBrushes
     }
@@ -37,10 +43,12 @@ const dests = {}
         const ms = this.chess.moves({square: s, verbose: true})
         if (ms.length) dests[s] = ms.map(m => m.to)
     })
+    // while training the board plays the opponent's moves
+    let isOpponentTurn = this.state.trainingColor && this.state.trainingColor !== this.turnColor()
     return {
         free: false,
         dests,
-        color: this.turnColor()
+        color: isOpponentTurn?undefined:this.turnColor()
     }
 }
 
@@ -71,29 +79,70 @@ function navigateTo(fen, previousMove){
     this.setState({fen:fen, lastMove:previousMove})
 }
 function updateProcessedGames(downloadLimit, n, parsedGame) {
-    let totalGamesProcessed = this.state.gamesProcessed+n
-    this.state.openingGraph.addPGN(parsedGame.pgnStats, parsedGame.parsedMoves,
-            parsedGame.latestFen,parsedGame.playerColor, this.state.variant)
+    let isNewGame = this.state.openingGraph.addPGN(parsedGame.pgnStats, parsedGame.parsedMoves,
+            parsedGame.latestFen,parsedGame.playerColor, parsedGame.annotations)
+    // games already in the tree are not counted again
+    let totalGamesProcessed = this.state.gamesProcessed+(isNewGame?n:0)
+    // download limit applies to the source being loaded, not to the games
+    // already merged into the tree from other sources
+    let sourceGamesProcessed = this.state.openingGraph.activeSourceGameCount()
     this.setState({
         gamesProcessed: totalGamesProcessed,
-        downloadingGames: (totalGamesProcessed<downloadLimit || downloadLimit>=Constants.MAX_DOWNLOAD_LIMIT)?this.state.downloadingGames:false
+        downloadingGames: (sourceGamesProcessed<downloadLimit || downloadLimit>=Constants.MAX_DOWNLOAD_LIMIT)?this.state.downloadingGames:false
     })
     // continue to download games if
     // 1. we have not reached download limit OR
     //    there is no download limit set (downloadLimit>MAX condition)
     // 2. user did not hit stop button
-    return (totalGamesProcessed < downloadLimit || downloadLimit>=Constants.MAX_DOWNLOAD_LIMIT)&& this.state.downloadingGames
+    return (sourceGamesProcessed < downloadLimit || downloadLimit>=Constants.MAX_DOWNLOAD_LIMIT)&& this.state.downloadingGames
+}
+
+function removeSource(sourceIndex) {
+    this.state.openingGraph.removeSource(sourceIndex)
+    this.setState({
+        gamesProcessed:this.state.openingGraph.graph.pgnStats.length,
+        update:this.state.update+1
+    })
+}
+// the moves table shows the evaluations that the tree evaluation job adds to the graph
+function evaluationsChanged() {
+    this.setState({update:this.state.update+1})
+}
+// finished evaluations of the engine on the board are kept for positions in the tree
+// so that the moves played there can be classified
+function cacheEngineEvaluation(engineState) {
+    let line = engineState.pvLines && engineState.pvLines[0]
+    let openingGraph = this.state.openingGraph
+    if(engineState.analyzing || !line || !line.pv.length || this.state.variant !== Constants.VARIANT_STANDARD
+            || !openingGraph.getNodeFromGraph(line.fen, false)) {
+        return
+    }
+    let existingEvaluation = openingGraph.getEvaluation(line.fen)
+    if(existingEvaluation && existingEvaluation.depth >= line.depth) {
+        return
+    }
+    // lines left over from the previous position do not have a legal best move
+    let bestMove = line.pv[0]
+    let chess = chessLogic(this.state.variant, line.fen)
+    if(!chess.move({from:bestMove.substring(0, 2), to:bestMove.substring(2, 4), promotion:bestMove[4]})) {
+        return
+    }
+    openingGraph.setEvaluation(line.fen, {score:line.score, depth:line.depth, bestMove:bestMove})
 }
 function moveToShape(move) {
     return {
         orig:move.orig,
                     dest: move.dest !== move.orig? move.dest:null,
-                    brush: this.brushes()[move.level]
+                    brush: this.brushes(move)[move.level]
     }
 }
 
 function autoShapes(moves, highlightedMove) {
     var shapes = []
+    if(this.state.trainingColor) {
+        // arrows would give away the answers
+        return shapes
+    }
     if(highlightedMove) {
         if(!highlightedMove.orig || !highlightedMove.dest) {
             let chess = chessLogic(this.state.variant, this.state.fen)
@@ -115,6 +164,17 @@ function autoShapes(moves, highlightedMove) {
             return true
         }).map(this.moveToShape.bind(this)))
     }
+    if(this.state.repertoire) {
+        let repertoireMoves = this.state.repertoire.movesForFen(this.state.fen).filter((move)=>!highlightedMove ||
+            highlightedMove.orig !== move.orig || highlightedMove.dest !== move.dest)
+        // repertoire moves are drawn in their own color instead of the color for how often they were played
+        shapes = shapes.filter((shape)=>!repertoireMoves.some((move)=>move.orig === shape.orig && move.dest === shape.dest))
+            .concat(repertoireMoves.map((move)=>({
+                orig:move.orig,
+                dest:move.dest !== move.orig?move.dest:null,
+                brush:this.repertoireBrush
+            })))
+    }
     maxArrowsDrawn = Math.max(maxArrowsDrawn, shapes.length)
     return this.fillArray(shapes,  maxArrowsDrawn)
 }
@@ -124,7 +184,12 @@ function getPlayerMoves() {
         return null;
     }
     var moves = this.state.openingGraph.movesForFen(this.chess.fen())
+    let isBothColors = this.playerColor() === Constants.PLAYER_COLOR_BOTH
     return moves?moves.sort((a,b)=>{
+        // the player's own moves come before the moves played against the player
+        if(isBothColors && (a.playerMoveCount>0) !== (b.playerMoveCount>0)) {
+            return b.playerMoveCount>0?1:-1
+        }
         if(a.moveCount === b.moveCount) {
             return b.details.count - a.details.count
         }
@@ -132,6 +197,41 @@ function getPlayerMoves() {
     }):[]
 }
 
+// move orders that reach the position after playing san on the board
+function moveOrdersAfter(san) {
+    let chess = chessLogic(this.state.variant, this.state.fen)
+    if(!chess.move(san)) {
+        return []
+    }
+    return this.state.openingGraph.moveOrdersForFen(chess.fen())
+}
+
+// moves of the tree loaded for comparison. null when there is nothing to compare to
+function getComparisonMoves() {
+    if(!this.state.comparisonGraph) {
+        return null
+    }
+    return this.state.comparisonGraph.movesForFen(this.chess.fen()) || []
+}
+
+function setComparison(comparisonGraph, comparisonName) {
+    this.setState({comparisonGraph:comparisonGraph, comparisonName:comparisonName})
+}
+
+function clearComparison() {
+    this.setState({comparisonGraph:null, comparisonName:null})
+}
+
+// the imported repertoire is shown from its starting position
+function setRepertoire(repertoire) {
+    this.chess = chessLogic(this.state.variant)
+    this.setState({repertoire:repertoire, fen:this.chess.fen(), lastMove:null, rootFen:null})
+}
+
+function clearRepertoire() {
+    this.setState({repertoire:null})
+}
+
 function gameResults() {
     return this.state.openingGraph.gameResultsForFen(this.chess.fen())
 }
@@ -143,14 +243,35 @@ function fillArray(arr, len) {
     return arr;
 }
 
+// plays a line of moves so that the navigator shows all of them. the line starts from the selected
+// start position unless startFen is given, where null is the usual starting position
+function goToLine(sanMoves, startFen) {
+    let lineRootFen = startFen === undefined?this.state.rootFen:startFen
+    let chess = chessLogic(this.state.variant, rootFen(this.state.variant, lineRootFen))
+    let lastMove = null
+    sanMoves.forEach((san)=>{
+        lastMove = chess.move(san)
+    })
+    this.chess = chess
+    this.setState({rootFen:lineRootFen, fen:chess.fen(), lastMove:lastMove, navigatorLine:sanMoves})
+}
+
+// back to the start position that is selected
 function reset() {
-    this.chess = chessLogic(this.state.variant)
+    this.chess = chessLogic(this.state.variant, this.state.rootFen)
     this.setState({fen: this.chess.fen(), lastMove:null})
 }
 
+// games set up from other positions are explored from the position they started from
+function selectRoot(fen) {
+    this.chess = chessLogic(this.state.variant, fen)
+    this.setState({rootFen:fen, fen:this.chess.fen(), lastMove:null})
+}
+
 function clear() {
     this.state.openingGraph.clear()
     this.state.gamesProcessed = 0
+    this.state.rootFen = null
     this.reset()
 }
 
@@ -222,6 +343,10 @@ function toggleFeedback(diagnosticsOpen) {
     }
 }
 
+function setTrainingColor(color) {
+    this.setState({trainingColor:color})
+}
+
 function setDownloading(val) {
     this.setState({downloadingGames:val})
 }
@@ -244,7 +369,8 @@ function importGameState(importState) {
       settings:importState.settings,
       openingGraph:importState.openingGraph,
       gamesProcessed:importState.gamesProcessed,
-      variant:importState.variant?importState.variant:Constants.VARIANT_STANDARD
+      variant:importState.variant?importState.variant:Constants.VARIANT_STANDARD,
+      rootFen:null
     })
     setImmediate(this.reset.bind(this))// setImmediate because we want the variant change to take effect
   }
@@ -297,7 +423,8 @@ function getBody() {
 }
 
 function variantChange(newVariant) {
-    this.setState({variant:newVariant, openingGraph:new OpeningGraph(newVariant)})
+    this.setState({variant:newVariant, openingGraph:new OpeningGraph(newVariant), comparisonGraph:null, comparisonName:null,
+        repertoire:null, rootFen:null})
     setImmediate(this.reset.bind(this))
 }
 
@@ -350,6 +477,24 @@ function mergePlayerAndBookMoves(playerMovesToShow, bookMovesToShow) {
         }
     })
 }
+// returns the moves that were only played in the compared tree
+function mergePlayerAndComparisonMoves(playerMovesToShow, comparisonMovesToShow) {
+    if(!playerMovesToShow || !comparisonMovesToShow) {
+        return null
+    }
+    return compareTreeMoves(playerMovesToShow, comparisonMovesToShow)
+}
+// in a position of the repertoire the moves that are not prepared leave the repertoire
+function mergePlayerAndRepertoireMoves(playerMovesToShow) {
+    let repertoire = this.state.repertoire
+    if(!playerMovesToShow || !repertoire || !repertoire.hasPosition(this.state.fen)) {
+        return
+    }
+    playerMovesToShow.forEach((move)=>{
+        let repertoireMove = repertoire.getMove(this.state.fen, move.san)
+        move.repertoire = repertoireMove?{comment:repertoireMove.comment}:{leaves:true}
+    })
+}
 function getCompareScores(move){
     return (move.details.whiteWins+move.details.draws/2)/move.details.count*100
 }
@@ -379,21 +524,28 @@ function addStateManagement(obj){
     obj.onMoveAction = onMoveAction
     obj.autoShapes = autoShapes
     obj.updateProcessedGames = updateProcessedGames
+    obj.removeSource = removeSource
+    obj.evaluationsChanged = evaluationsChanged
+    obj.cacheEngineEvaluation = cacheEngineEvaluation
     obj.settingsChange = settingsChange
     obj.reset = reset
     obj.clear = clear
     obj.navigateTo = navigateTo
+    obj.goToLine = goToLine
+    obj.selectRoot = selectRoot
     obj.playerColor = playerColor
     obj.fillArray = fillArray
     obj.brushes = brushes
     obj.moveToShape = moveToShape
     obj.getPlayerMoves = getPlayerMoves
     obj.gameResults = gameResults
+    obj.moveOrdersAfter = moveOrdersAfter
     obj.showError = showError
     obj.showInfo = showInfo
     obj.closeError = closeError
     obj.toggleFeedback = toggleFeedback.bind(obj)
     obj.setDownloading = setDownloading
+    obj.setTrainingColor = setTrainingColor
     obj.toggleDiagnosticsData = toggleDiagnosticsData.bind(obj)
     obj.copyDiagnostics = copyDiagnostics.bind(obj)
     obj.importGameState = importGameState
@@ -407,6 +559,13 @@ function addStateManagement(obj){
     obj.getBookMoves = getBookMoves
     obj.forceFetchBookMoves = forceFetchBookMoves
     obj.mergePlayerAndBookMoves = mergePlayerAndBookMoves
+    obj.getComparisonMoves = getComparisonMoves
+    obj.setComparison = setComparison
+    obj.clearComparison = clearComparison
+    obj.mergePlayerAndComparisonMoves = mergePlayerAndComparisonMoves
+    obj.setRepertoire = setRepertoire
+    obj.clearRepertoire = clearRepertoire
+    obj.mergePlayerAndRepertoireMoves = mergePlayerAndRepertoireMoves
     obj.highlightArrow = highlightArrow
 }
 
@@ -0,0 +1,249 @@
+import React from 'react'
+import { Button as MaterialUIButton, Table, TableRow, TableHead, TableBody, TableCell } from '@material-ui/core'
+import PlayArrow from '@material-ui/icons/PlayArrow'
+import Stop from '@material-ui/icons/Stop'
+import * as Constants from '../app/Constants'
+import {trackEvent} from '../app/Analytics'
+import {chessLogic, rootFen} from '../app/chess/ChessLogic'
+import {isLocalDatabaseAvailable} from '../app/LocalDatabase'
+import {workspaceTreeName} from '../app/TreeWorkspace'
+import {moveText} from '../app/util'
+import {emptyProgress, loadTrainingProgress, saveTrainingProgress, sampleMove,
+    expectedMoves, recordAnswer, dueCards} from '../app/RepertoireTrainer'
+
+// what the trainer is waiting for after it changes the board or asks for a move
+const WAITING_FOR_LINE = 'line'
+const WAITING_FOR_OPPONENT = 'opponent'
+const WAITING_FOR_ANSWER = 'answer'
+const WAITING_FOR_RETRY = 'retry'
+
+export default class Trainer extends React.Component {
+    constructor(props) {
+        super(props)
+        this.state = {
+            active:false,
+            message:null,
+            progress:null,
+            correctAnswers:0,
+            wrongAnswers:0
+        }
+        this.waitingFor = null
+        this.line = []
+        this.lineStartFen = null
+        this.opponentMoveTimer = null
+    }
+
+    componentWillUnmount() {
+        clearTimeout(this.opponentMoveTimer)
+    }
+
+    componentDidUpdate(prevProps) {
+        if(!this.state.active || prevProps.fen === this.props.fen) {
+            return
+        }
+        let waitingFor = this.waitingFor
+        this.waitingFor = null
+        if(waitingFor === WAITING_FOR_ANSWER) {
+            this.checkAnswer()
+        } else if(waitingFor === WAITING_FOR_RETRY) {
+            this.waitingFor = WAITING_FOR_ANSWER
+        } else if(waitingFor === WAITING_FOR_LINE || waitingFor === WAITING_FOR_OPPONENT) {
+            this.nextStep()
+        }
+    }
+
+    playerColor() {
+        // with both colors loaded the board orientation picks the side to train
+        if(this.props.settings.playerColor === Constants.PLAYER_COLOR_BOTH) {
+            return this.props.settings.orientation
+        }
+        return this.props.settings.playerColor || this.props.settings.orientation
+    }
+
+    treeName() {
+        return workspaceTreeName(this.props.openingGraph.getSources(), this.props.variant)
+    }
+
+    start() {
+        let progressLoaded = isLocalDatabaseAvailable()?
+            loadTrainingProgress(this.treeName()):Promise.resolve(emptyProgress())
+        progressLoaded.then((progress)=>{
+            this.setState({active:true, progress:progress, correctAnswers:0, wrongAnswers:0})
+            this.props.setTrainingColor(this.playerColor())
+            // the state is not updated yet so the loaded progress is passed along
+            this.startLine(progress)
+        }, (error)=>{
+            console.log(error)
+            this.props.showError("Could not load the training progress")
+        })
+        trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "TrainerStart")
+    }
+
+    stop() {
+        clearTimeout(this.opponentMoveTimer)
+        this.waitingFor = null
+        this.setState({active:false, message:null})
+        this.props.setTrainingColor(null)
+        trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "TrainerStop",
+            null, this.state.correctAnswers+this.state.wrongAnswers)
+    }
+
+    // positions that are due are reviewed first. otherwise a new line starts from the beginning
+    startLine(progress) {
+        let cards = dueCards(progress, Date.now())
+        this.line = cards.length>0?[...cards[0].moves]:[]
+        // progress saved before custom start positions has no start fen on the cards
+        this.lineStartFen = cards.length>0?cards[0].startFen || null:this.props.rootFen
+        let chess = chessLogic(this.props.variant, rootFen(this.props.variant, this.lineStartFen))
+        this.line.forEach(san=>chess.move(san))
+        if(chess.fen() === this.props.fen) {
+            this.nextStep()
+            return
+        }
+        this.waitingFor = WAITING_FOR_LINE
+        this.props.goToLine(this.line, this.lineStartFen)
+    }
+
+    nextStep() {
+        let fen = this.props.fen
+        let moves = this.props.openingGraph.movesForFen(fen)
+        if(this.line.length >= Constants.TRAINER_MAX_PLIES) {
+            moves = null
+        }
+        if(this.props.turnColor !== this.playerColor()) {
+            if(!moves || moves.length === 0) {
+                this.lineFinished()
+                return
+            }
+            let move = sampleMove(moves)
+            this.waitingFor = WAITING_FOR_OPPONENT
+            this.opponentMoveTimer = setTimeout(()=>{
+                this.line.push(move.san)
+                this.props.onMove(move.san)
+            }, Constants.TRAINER_OPPONENT_DELAY_MS)
+            return
+        }
+        this.expected = expectedMoves(moves)
+        if(this.expected.length === 0) {
+            // the player never got here in the tree, the book can still tell what to play
+            let bookMoves = this.props.bookMoves
+            this.expected = bookMoves && bookMoves.fetch === 'success'?expectedMoves(bookMoves.moves):[]
+        }
+        if(this.expected.length === 0) {
+            this.lineFinished()
+            return
+        }
+        this.questionFen = fen
+        this.waitingFor = WAITING_FOR_ANSWER
+    }
+
+    checkAnswer() {
+        let playedMove = this.props.lastMove
+        let chess = chessLogic(this.props.variant, this.questionFen)
+        if(!playedMove || !chess.move(playedMove.san) || chess.fen() !== this.props.fen) {
+            // the board was moved somewhere else
+            this.stop()
+            return
+        }
+        let progress = this.state.progress
+        let isCorrect = recordAnswer(progress, this.questionFen, this.lineStartFen, [...this.line],
+            playedMove.san, this.expected, Date.now())
+        this.saveProgress(progress)
+        if(isCorrect) {
+            this.line.push(playedMove.san)
+            this.setState({message:`${playedMove.san} is correct`, correctAnswers:this.state.correctAnswers+1})
+            this.nextStep()
+            return
+        }
+        this.setState({
+            message:`${playedMove.san} is not in the repertoire. Expected ${this.expected.join(' or ')}`,
+            wrongAnswers:this.state.wrongAnswers+1
+        })
+        // take the move back and let the player try again
+        this.waitingFor = WAITING_FOR_RETRY
+        this.props.goToLine(this.line, this.lineStartFen)
+    }
+
+    lineFinished() {
+        this.setState({message:"End of the line. Starting the next one"})
+        this.opponentMoveTimer = setTimeout(()=>this.startLine(this.state.progress), Constants.TRAINER_OPPONENT_DELAY_MS*2)
+    }
+
+    saveProgress(progress) {
+        this.setState({progress:progress})
+        if(!isLocalDatabaseAvailable()) {
+            return
+        }
+        saveTrainingProgress(this.treeName(), progress).catch((error)=>{
+            console.log(error)
+        })
+    }
+
+    goToMistake(mistake) {
+        return () => {
+            if(this.state.active) {
+                return
+            }
+            this.props.goToLine(mistake.moves, mistake.startFen || null)
+        }
+    }
+
+    progressSummary() {
+        let progress = this.state.progress
+        if(!progress) {
+            return null
+        }
+        let cards = Object.values(progress.cards)
+        let learned = cards.filter(card=>card.box>1).length
+        return <div className="smallText">
+            {`${cards.length} positions practiced, ${learned} learned, ${dueCards(progress, Date.now()).length} due for review. `}
+            {this.state.active?`This session: ${this.state.correctAnswers} correct, ${this.state.wrongAnswers} wrong`:null}
+        </div>
+    }
+
+    mistakes() {
+        let progress = this.state.progress
+        if(!progress || progress.mistakes.length === 0) {
+            return null
+        }
+        return <Table>
+            <TableHead>
+                <TableRow><TableCell><b>Recent mistakes</b></TableCell></TableRow>
+            </TableHead>
+            <TableBody>
+                {progress.mistakes.slice(0, Constants.MISTAKES_REPORT_MAX_ENTRIES).map((mistake)=>
+                    <TableRow className="moveRow" key={`${mistake.time}`} onClick={this.goToMistake(mistake)}>
+                        <TableCell>{moveText(mistake.moves)}<div className="smallText">
+                            played {mistake.played} instead of {mistake.expected.join(' or ')}
+                        </div></TableCell>
+                    </TableRow>)}
+            </TableBody>
+        </Table>
+    }
+
+    render() {
+        if(!this.props.gamesProcessed) {
+            return <div className="infoMessage">Load games from the User tab to practice against the tree</div>
+        }
+        return <div className="littlePaddingTop">
+            <div className="smallText">
+                The board plays the opponent moves from the tree. Find the moves played as {this.playerColor()}
+            </div>
+            <div className="littlePaddingTop">
+                {this.state.active?
+                <MaterialUIButton onClick={this.stop.bind(this)} variant="contained" color="default"
+                    startIcon={<Stop/>} className="mainButton" disableElevation>
+                    Stop training
+                </MaterialUIButton>:
+                <MaterialUIButton onClick={this.start.bind(this)} variant="contained" color="primary"
+                    startIcon={<PlayArrow/>} className="mainButton" disableElevation
+                    disabled={!!this.props.trainingColor}>
+                    Start training
+                </MaterialUIButton>}
+            </div>
+            {this.state.active && this.state.message?<div className="littlePaddingTop"><b>{this.state.message}</b></div>:null}
+            {this.progressSummary()}
+            {this.mistakes()}
+        </div>
+    }
+}
@@ -0,0 +1,127 @@
+import React from 'react'
+import { Button as MaterialUIButton, TextField, LinearProgress } from '@material-ui/core'
+import { PlayArrow, Pause, Search } from '@material-ui/icons'
+import * as Constants from '../../app/Constants'
+import {trackEvent} from '../../app/Analytics'
+import TreeEvaluator, {positionAndReplies} from '../../app/TreeEvaluation'
+
+export default class TreeEvaluation extends React.Component {
+    constructor(props) {
+        super(props)
+        this.state = {
+            positionCount:Constants.TREE_EVALUATION_DEFAULT_POSITIONS,
+            depth:Constants.TREE_EVALUATION_DEFAULT_DEPTH,
+            progress:null
+        }
+        this.evaluator = null
+        this.evaluatedGraph = null
+    }
+
+    componentDidUpdate() {
+        // a new tree was loaded or a source was removed
+        if(this.evaluator && this.evaluatedGraph !== this.props.openingGraph.graph) {
+            this.evaluator.destroy()
+            this.evaluator = null
+            this.setState({progress:null})
+        }
+    }
+
+    componentWillUnmount() {
+        if(this.evaluator) {
+            this.evaluator.destroy()
+        }
+    }
+
+    getEvaluator() {
+        if(!this.evaluator) {
+            this.evaluator = new TreeEvaluator(this.props.openingGraph,
+                this.progressChanged.bind(this), this.engineFailed.bind(this))
+            this.evaluatedGraph = this.props.openingGraph.graph
+        }
+        return this.evaluator
+    }
+
+    progressChanged() {
+        this.setState({progress:this.evaluator.progress()})
+        this.props.evaluationsChanged()
+    }
+
+    engineFailed(message) {
+        this.props.showError("Engine failed while evaluating the tree", null, message, Constants.ERROR_ACTION_NONE)
+    }
+
+    numberChange(key) {
+        return (e) => {
+            let value = parseInt(e.target.value)
+            this.setState({[key]:isNaN(value)||value<1?1:value})
+        }
+    }
+
+    start() {
+        this.getEvaluator().start(this.state.positionCount, this.state.depth)
+        trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "TreeEvaluationStart", null, this.state.positionCount)
+    }
+
+    // evaluates the moves played in the position on the board so that they can be classified
+    checkMoves() {
+        this.getEvaluator().evaluatePositions(positionAndReplies(this.props.openingGraph, this.props.fen), this.state.depth)
+        trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "TreeEvaluationCheckMoves")
+    }
+
+    resume() {
+        this.getEvaluator().resume()
+        trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "TreeEvaluationResume")
+    }
+
+    pause() {
+        this.evaluator.pause()
+        trackEvent(Constants.EVENT_CATEGORY_CONTROLS, "TreeEvaluationPause")
+    }
+
+    progressText(progress) {
+        return `${progress.evaluated} of ${progress.total} positions evaluated`
+    }
+
+    render() {
+        if(!this.props.gamesProcessed || this.props.variant !== Constants.VARIANT_STANDARD) {
+            return null
+        }
+        let progress = this.state.progress
+        let savedJob = this.props.openingGraph.getEvaluationJob()
+        let isRunning = progress && progress.running
+        let canResume = !isRunning && ((progress && progress.evaluated<progress.total) || (!progress && savedJob))
+        return <div className="littlePaddingTop">
+            <div><b>Evaluate the tree</b></div>
+            <div className="smallText">Evaluates the most played positions in the background. The moves table shows the evaluations and flags inaccuracies, mistakes and blunders</div>
+            <div className="littlePaddingTop">
+                <TextField type="number" label="Positions" value={this.state.positionCount}
+                    onChange={this.numberChange('positionCount')} disabled={isRunning}/> <TextField
+                    type="number" label="Depth" value={this.state.depth}
+                    onChange={this.numberChange('depth')} disabled={isRunning}/>
+            </div>
+            <div className="littlePaddingTop">
+                {isRunning?
+                <MaterialUIButton onClick={this.pause.bind(this)} variant="contained" color="default"
+                    startIcon={<Pause/>} disableElevation>
+                    Pause
+                </MaterialUIButton>:
+                <MaterialUIButton onClick={this.start.bind(this)} variant="contained" color="default"
+                    startIcon={<PlayArrow/>} disableElevation>
+                    Evaluate
+                </MaterialUIButton>} {canResume?
+                <MaterialUIButton onClick={this.resume.bind(this)} variant="contained" color="default"
+                    startIcon={<PlayArrow/>} disableElevation>
+                    Resume
+                </MaterialUIButton>:null} {!isRunning && this.props.openingGraph.movesForFen(this.props.fen)?
+                <MaterialUIButton onClick={this.checkMoves.bind(this)} variant="contained" color="default"
+                    startIcon={<Search/>} disableElevation>
+                    Check moves here
+                </MaterialUIButton>:null}
+            </div>
+            {progress?<div className="littlePaddingTop">
+                <LinearProgress variant="determinate" value={progress.total?progress.evaluated*100/progress.total:100}/>
+                <div className="smallText">{this.progressText(progress)}</div>
+            </div>:null}
+        </div>
+    }
+}
@@ -9,6 +9,10 @@ import GetApp from '@material-ui/icons/GetApp'
 import Equalizer from '@material-ui/icons/Equalizer'
 import Fade from '@material-ui/core/Fade'
 import Save from '@material-ui/icons/Save';
+import AddToPhotos from '@material-ui/icons/AddToPhotos';
+import Update from '@material-ui/icons/Update';
+import MenuBook from '@material-ui/icons/MenuBook';
+import AccountTree from '@material-ui/icons/AccountTree';
 import * as SitePolicy from '../../app/SitePolicy'
 import {Tooltip} from '@material-ui/core'
 import HourglassEmptyIcon from '@material-ui/icons/HourglassEmpty';
@@ -16,16 +20,27 @@ import {serializeOpeningTree, deserializeOpeningTree} from '../../app/OpeningTre
 import {proxy} from 'comlink'
 import streamsaver from 'streamsaver'
 import cookieManager from '../../app/CookieManager'
+import ExportOptions from './ExportOptions'
+import DownloadProgress from './DownloadProgress'
+import LoadReport from './LoadReport'
+import {pgnString} from '../../app/iterator/IteratorUtils'
 
 export default class Actions extends React.Component {
     constructor(props) {
         super(props) 
         this.state = {
             isGamesSubsectionOpen : false,
-            exportingInProgress : false
+            exportingInProgress : false,
+            bookExportOpen : false,
+            repertoireExportOpen : false,
+            loadProgress : null,
+            loadReport : null,
+            loadReportOpen : false
         }
         streamsaver.mitm = "download/download-mitm.html"
         this.encoder = new TextEncoder()
+        this.readId = 0
+        this.pendingUpdates = []
 
     }
     unload = () => {
@@ -57,6 +72,7 @@ export default class Actions extends React.Component {
                 this.setState({exportingInProgress:false})
                 if(success) {
                     this.props.showInfo("Successfuly loaded openingtree")                
+                    this.props.saveToWorkspace()
                 }
             })
     }
@@ -67,7 +83,8 @@ export default class Actions extends React.Component {
     }
     exportOpeningTree() {
         serializeOpeningTree(this.props.exportOpeningTreeObject(), 
-            SitePolicy.exportFileName(this.props.site, this.props.playerName, this.props.playerColor, null, "tree"), 
+            SitePolicy.exportFileName(this.props.site, this.props.playerName, this.props.playerColor,
+                this.props.selectedNotableEvent, "tree", this.props.selectedOnlineTournament), 
             (err, info) => {
                 if(err) {
                     this.props.showError(err)                    
@@ -77,6 +94,38 @@ export default class Actions extends React.Component {
                 this.setState({exportingInProgress:false})
             })
     }
+    toggleBookExport() {
+        this.setState({bookExportOpen:!this.state.bookExportOpen})
+    }
+    exportBook(options) {
+        trackEvent(Constants.EVENT_CATEGORY_MAIN_ACTION, "ExportBook", this.props.site, options.maxPlies)
+        let book = this.props.polyglotBook(options)
+        if(book.length === 0) {
+            this.props.showError("No moves to export", null, "Try lowering the minimum number of games", Constants.ERROR_ACTION_NONE)
+            return
+        }
+        this.saveFile(book, "bin", "opening book")
+    }
+    toggleRepertoireExport() {
+        this.setState({repertoireExportOpen:!this.state.repertoireExportOpen})
+    }
+    exportRepertoire(options) {
+        trackEvent(Constants.EVENT_CATEGORY_MAIN_ACTION, "ExportRepertoire", this.props.site, options.maxPlies)
+        this.saveFile(this.encoder.encode(this.props.repertoirePgn(options)), "repertoire.pgn", "repertoire")
+    }
+    saveFile(data, extension, description) {
+        let filename = SitePolicy.exportFileName(this.props.site, this.props.playerName, this.props.playerColor,
+            this.props.selectedNotableEvent, extension, this.props.selectedOnlineTournament)
+        let writer = streamsaver.createWriteStream(filename).getWriter()
+        writer.write(data).then(()=>{
+            writer.close()
+            this.props.showInfo(`Saved ${description} to file ${filename}`)
+        }, (error)=>{
+            console.log(error)
+            writer.abort()
+            this.props.showError("Could not save file")
+        })
+    }
     abortDownloading() {
         if(this.fileWriter) {
             this.fileWriter.close()
@@ -84,14 +133,8 @@ export default class Actions extends React.Component {
         }
     }
 
-    getPgnString(game){
-        return `${Object.entries(game.headers).map(header=>`[${header[0]} "${header[1]}"]`).join("\n")}
-                \n${game.moves.map((moveObject, index)=>{
-                    return `${index%2!==0?'':index/2+1+"."} ${moveObject.move}`
-                }).join(' ')} ${game.result}\n\n\n`
-    }
     downloadResponse(result, pendingDownloads) {
-        this.fileWriter.write(this.encoder.encode(result.map(game=>this.getPgnString(game)).join(""))).then(()=>{
+        this.fileWriter.write(this.encoder.encode(result.map(game=>pgnString(game)).join(""))).then(()=>{
             if(!pendingDownloads) {
                 this.abortDownloading()
                 return false
@@ -100,32 +143,80 @@ export default class Actions extends React.Component {
         return true
     }
 
-    readPgn(shouldDownloadToFile) {
+    currentFetchDetails() {
+        return {
+            site:this.props.site,
+            playerName:this.props.playerName,
+            playerColor:this.props.playerColor,
+            advancedFilters:this.props.advancedFilters
+        }
+    }
+
+    readPgn(shouldDownloadToFile, fetchDetails) {
+        let details = fetchDetails || this.currentFetchDetails()
+        let readId = ++this.readId
+        this.setState({loadProgress:null})
         if(shouldDownloadToFile) {
             let fileStream =  streamsaver.createWriteStream(
                 SitePolicy.exportFileName(
                     this.props.site, this.props.playerName, 
-                    this.props.playerColor, this.props.selectedNotableEvent, "pgn"))
+                    this.props.playerColor, this.props.selectedNotableEvent, "pgn",
+                    this.props.selectedOnlineTournament))
             this.fileWriter = fileStream.getWriter()
         }
 
         new PGNReader(this.props.variant).then((readerInstance) => {
             this.pgnReader = readerInstance
-            this.pgnReader.fetchPGNFromSite(this.props.playerName,
-                this.props.playerColor,
-                this.props.site,
+            this.pgnReader.fetchPGNFromSite(details.playerName,
+                details.playerColor,
+                details.site,
                 this.props.selectedNotablePlayer,
                 this.props.selectedNotableEvent,
                 this.props.selectedOnlineTournament,
                 shouldDownloadToFile,
-                this.props.advancedFilters,
+                details.advancedFilters,
                 proxy(this.props.notify),
                 proxy(this.props.showError),
-                proxy(this.stopDownloading.bind(this)),
+                proxy(this.readFinished.bind(this, readId)),
                 this.props.files,
                 proxy(this.downloadResponse.bind(this)),
-                this.getTokens())
+                this.getTokens(),
+                details.resumeCursor,
+                shouldDownloadToFile?null:proxy(this.cursorChange.bind(this, readId, details.advancedFilters)),
+                proxy(this.progressChange.bind(this, readId)))
+        })
+    }
+
+    progressChange(readId, loadProgress) {
+        if(readId !== this.readId) {
+            return
+        }
+        this.setState({loadProgress:loadProgress})
+    }
+
+    showLoadReport() {
+        if(!this.pgnReader) {
+            return
+        }
+        this.pgnReader.loadReport().then((loadReport)=>{
+            this.setState({loadReport:loadReport, loadReportOpen:!!loadReport})
         })
+        trackEvent(Constants.EVENT_CATEGORY_MAIN_ACTION, "LoadReport", this.props.site)
+    }
+    toggleLoadReport() {
+        this.setState({loadReportOpen:!this.state.loadReportOpen})
+    }
+    downloadRejectedGames() {
+        let pgn = this.state.loadReport.rejectedGames.map(rejected=>`${rejected.pgn}\n\n\n`).join("")
+        this.saveFile(this.encoder.encode(pgn), "rejected.pgn", "rejected games")
+    }
+
+    // the source keeps where its load stopped so that an interrupted load can be resumed
+    cursorChange(readId, advancedFilters, cursor) {
+        if(readId !== this.readId) {
+            return
+        }
+        this.props.setSourceCursor(cursor, advancedFilters)
     }
     
     getTokens(){
@@ -153,18 +244,89 @@ export default class Actions extends React.Component {
 
     load() {
         this.props.clear()
-        this.setState({ isGamesSubsectionOpen: true, loadedSite:this.props.site })
         // set the player name and color in the global state
         this.props.onChange("playerName", this.props.playerName)
         this.props.onChange("playerColor", this.props.playerColor)
+        this.startLoading()
+        trackEvent(Constants.EVENT_CATEGORY_MAIN_ACTION, "Load", this.props.site, this.props.playerColor === Constants.PLAYER_COLOR_WHITE ? 1 : 0)
+    }
+
+    addToTree() {
+        if(this.props.playerColor !== this.props.loadedPlayerColor) {
+            this.props.showError("Only games of the same color can be added to the tree", null,
+                `The games already loaded are ${this.props.loadedPlayerColor||'for both colors'}`, Constants.ERROR_ACTION_NONE)
+            return
+        }
+        this.startLoading()
+        trackEvent(Constants.EVENT_CATEGORY_MAIN_ACTION, "AddToTree", this.props.site, this.props.playerColor === Constants.PLAYER_COLOR_WHITE ? 1 : 0)
+    }
+
+    startLoading() {
+        this.setState({ isGamesSubsectionOpen: true, loadedSite:this.props.site })
+        this.props.addSource()
         this.readPgn(false)
         this.props.setDownloading(true)
-        trackEvent(Constants.EVENT_CATEGORY_MAIN_ACTION, "Load", this.props.site, this.props.playerColor === Constants.PLAYER_COLOR_WHITE ? 1 : 0)
+    }
+
+    updateTree() {
+        this.setState({ isGamesSubsectionOpen: true, loadedSite:this.props.site })
+        this.pendingUpdates = [...this.props.updatableSources]
+        this.props.setDownloading(true)
+        this.updateNextSource()
+        trackEvent(Constants.EVENT_CATEGORY_MAIN_ACTION, "UpdateTree", this.props.site, this.pendingUpdates.length)
+    }
+
+    // sources are updated one after the other
+    updateNextSource() {
+        while(this.pendingUpdates.length>0) {
+            let fetchDetails = this.props.sourceUpdateDetails(this.pendingUpdates.shift())
+            if(fetchDetails) {
+                this.readPgn(false, fetchDetails)
+                return
+            }
+        }
+        this.stopDownloading()
+    }
+
+    resumeSourceAction(sourceIndex) {
+        return () => {
+            let fetchDetails = this.props.sourceResumeDetails(sourceIndex)
+            if(!fetchDetails) {
+                return
+            }
+            this.setState({ isGamesSubsectionOpen: true, loadedSite:this.props.site })
+            this.pendingUpdates = []
+            this.props.setDownloading(true)
+            this.readPgn(false, fetchDetails)
+            trackEvent(Constants.EVENT_CATEGORY_MAIN_ACTION, "ResumeSource", fetchDetails.site)
+        }
+    }
+
+    readFinished(readId) {
+        // the reader can report that it is done more than once
+        if(readId !== this.readId) {
+            return
+        }
+        this.readId++
+        if(this.pendingUpdates.length>0) {
+            this.updateNextSource()
+            return
+        }
+        this.stopDownloading()
+    }
+
+    removeSourceAction(sourceIndex) {
+        return () => {
+            this.props.removeSource(sourceIndex)
+            trackEvent(Constants.EVENT_CATEGORY_MAIN_ACTION, "RemoveSource")
+        }
     }
     stopDownloading() {
         this.props.setDownloading(false)
+        this.props.saveToWorkspace()
     }
     stopDownloadingAction() {
+        this.pendingUpdates = []
         this.stopDownloading()
         trackEvent(Constants.EVENT_CATEGORY_MAIN_ACTION, "StopDownloading", this.props.site)
     }
@@ -179,7 +341,9 @@ export default class Actions extends React.Component {
             disabled={this.state.exportingInProgress}
             >
                 {this.state.exportingInProgress?"Loading from file":"Load openingtree"}
-        </MaterialUIButton></div>
+        </MaterialUIButton>
+        {this.props.gamesProcessed>0?this.loadedSources():null}
+        </div>
     }
     regularActions() {
         let downloadDisabledReason = SitePolicy.treeSaveDisabledReason(
@@ -197,6 +361,30 @@ export default class Actions extends React.Component {
         >
             Analyze games
         </MaterialUIButton></div>
+        {this.props.gamesProcessed>0?
+        <div className="pgnloadersection"><Tooltip placement="top" title="Add these games to the tree that is already loaded">
+            <span><MaterialUIButton
+            onClick={this.addToTree.bind(this)}
+            variant="contained"
+            color="default"
+            startIcon={<AddToPhotos />}
+            className="mainButton" disableElevation
+            disabled={this.props.isDownloading}
+        >
+            Add to tree
+        </MaterialUIButton></span></Tooltip></div>:null}
+        {this.props.gamesProcessed>0 && this.props.updatableSources.length>0?
+        <div className="pgnloadersection"><Tooltip placement="top" title="Add games played since the newest game in the tree">
+            <span><MaterialUIButton
+            onClick={this.updateTree.bind(this)}
+            variant="contained"
+            color="default"
+            startIcon={<Update />}
+            className="mainButton" disableElevation
+            disabled={this.props.isDownloading}
+        >
+            Update tree
+        </MaterialUIButton></span></Tooltip></div>:null}
         <div className="pgnloadersection"><MaterialUIButton
             onClick={this.download.bind(this)}
             variant="contained"
@@ -219,12 +407,49 @@ export default class Actions extends React.Component {
                     {this.state.exportingInProgress?"Saving to file":"Save .tree file"}
                 </MaterialUIButton></span></Tooltip></div>
             }
+        {this.props.gamesProcessed>0 && this.props.variant === Constants.VARIANT_STANDARD?
+        <div className="pgnloadersection"><Tooltip placement="top" title="Save the tree as a Polyglot .bin book for engines and chess GUIs">
+            <span><MaterialUIButton
+            onClick={this.toggleBookExport.bind(this)}
+            variant="contained"
+            color="default"
+            startIcon={<MenuBook />}
+            className="mainButton" disableElevation
+            disabled={this.props.isDownloading}
+        >
+            Export as opening book
+        </MaterialUIButton></span></Tooltip>
+        <ExportOptions isOpen={this.state.bookExportOpen} toggle={this.toggleBookExport.bind(this)}
+            title="Export as Polyglot opening book" showScoreWeighted
+            defaultMinGames={Constants.POLYGLOT_DEFAULT_MIN_GAMES} defaultMaxPlies={Constants.POLYGLOT_DEFAULT_MAX_PLIES}
+            onExport={this.exportBook.bind(this)}/></div>:null}
+        {this.props.gamesProcessed>0?
+        <div className="pgnloadersection"><Tooltip placement="top" title="Save the tree as a pgn with variations that can be imported into a study">
+            <span><MaterialUIButton
+            onClick={this.toggleRepertoireExport.bind(this)}
+            variant="contained"
+            color="default"
+            startIcon={<AccountTree />}
+            className="mainButton" disableElevation
+            disabled={this.props.isDownloading}
+        >
+            Export repertoire
+        </MaterialUIButton></span></Tooltip>
+        <ExportOptions isOpen={this.state.repertoireExportOpen} toggle={this.toggleRepertoireExport.bind(this)}
+            title="Export as annotated pgn repertoire"
+            defaultMinGames={Constants.REPERTOIRE_DEFAULT_MIN_GAMES} defaultMaxPlies={Constants.REPERTOIRE_DEFAULT_MAX_PLIES}
+            onExport={this.exportRepertoire.bind(this)}/></div>:null}
         {
             this.state.isGamesSubsectionOpen ?
                 <div>
                     <div className="pgnloadersection">
-                        {!this.props.playerColor?"Games":this.props.playerColor === Constants.PLAYER_COLOR_WHITE?"White games":"Black games"}{` loaded: ${this.props.gamesProcessed} `}{this.props.isDownloading ? <span className="stopDownloading">[<span className="linkStyle" onClick={this.stopDownloadingAction.bind(this)}><img alt="loading spinner" src="./spinner.gif" height="15" />stop</span>]</span> : ""}
+                        {this.props.playerColor === Constants.PLAYER_COLOR_WHITE?"White games":this.props.playerColor === Constants.PLAYER_COLOR_BLACK?"Black games":"Games"}{` loaded: ${this.props.gamesProcessed} `}{this.props.isDownloading ? <span className="stopDownloading">[<span className="linkStyle" onClick={this.stopDownloadingAction.bind(this)}><img alt="loading spinner" src="./spinner.gif" height="15" />stop</span>]</span> : ""}
                     </div>
+                    <DownloadProgress progress={this.state.loadProgress} isDownloading={this.props.isDownloading}
+                        showReport={this.showLoadReport.bind(this)}/>
+                    <LoadReport isOpen={this.state.loadReportOpen} toggle={this.toggleLoadReport.bind(this)}
+                        report={this.state.loadReport} onDownload={this.downloadRejectedGames.bind(this)}/>
+                    {this.loadedSources()}
                     <div onClick={() => this.props.switchToMovesTab()} className="navLinkButton pgnloadersection">
                         <FontAwesomeIcon icon={faList} /> View Moves&gt;&gt;
                 </div>
@@ -233,6 +458,25 @@ export default class Actions extends React.Component {
         }
         </div>
     }
+    loadedSources() {
+        let sources = this.props.sources
+        if(!sources || sources.length === 0) {
+            return null
+        }
+        // removing is only useful if there is something left in the tree
+        let canRemove = sources.length>1 && this.props.canRemoveSources && !this.props.isDownloading
+        return <div className="pgnloadersection">
+            <div className="smallText">Tree built from:</div>
+            {sources.map((source, index)=><div key={`source${index}`} className="smallText">
+                {source.label}: {source.gameCount} games {!source.resume || this.props.isDownloading?null:
+                    <Tooltip placement="top" title="The load stopped before all the games were read. Continue from where it stopped">
+                        <span className="linkStyle" onClick={this.resumeSourceAction(index)}>[resume]</span>
+                    </Tooltip>} {!canRemove?null:
+                    <span className="linkStyle" onClick={this.removeSourceAction(index)}>[remove]</span>}
+            </div>)}
+        </div>
+    }
+
     mainComponent() {
         if(this.props.site === Constants.SITE_OPENING_TREE_FILE) {
             return this.openingTreeLoadActions()
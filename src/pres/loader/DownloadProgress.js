@@ -0,0 +1,52 @@
+import React from 'react'
+import { LinearProgress } from '@material-ui/core'
+import {skipReasonLabel} from './FilterLabels'
+
+// progress of a load as reported by the pgn reader
+export default class DownloadProgress extends React.Component {
+    timeLeftText(progress) {
+        if(!this.props.isDownloading || !progress.fractionDone || progress.fractionDone>=1) {
+            return null
+        }
+        let elapsedMs = Date.now()-progress.startTime
+        let secondsLeft = Math.round(elapsedMs*(1-progress.fractionDone)/progress.fractionDone/1000)
+        if(secondsLeft<60) {
+            return "less than a minute left"
+        }
+        let minutesLeft = Math.round(secondsLeft/60)
+        return `about ${minutesLeft} min left`
+    }
+
+    stepText(progress) {
+        let archiveText = progress.archiveCount>1?`${progress.archivesRead} of ${progress.archiveCount} read`:null
+        return [progress.currentStep, archiveText].filter(text=>!!text).join(', ')
+    }
+
+    skippedText(progress) {
+        let skipped = Object.entries(progress.skipped).filter(entry=>entry[1]>0)
+        if(skipped.length === 0) {
+            return null
+        }
+        return `Skipped: ${skipped.map(([reason, count])=>`${count} ${skipReasonLabel(reason)}`).join(', ')}`
+    }
+
+    render() {
+        let progress = this.props.progress
+        if(!progress) {
+            return null
+        }
+        let isDone = !this.props.isDownloading
+        let totalText = progress.expectedTotal && !isDone?` of about ${progress.expectedTotal}`:''
+        let stepText = isDone?null:this.stepText(progress)
+        let timeLeftText = this.timeLeftText(progress)
+        let skippedText = this.skippedText(progress)
+        return <div className="pgnloadersection">
+            {isDone?null:<LinearProgress variant={progress.fractionDone === null?"indeterminate":"determinate"}
+                value={(progress.fractionDone||0)*100}/>}
+            <div className="smallText">{`${progress.gamesRead} games read${totalText}`}{timeLeftText?`, ${timeLeftText}`:''}</div>
+            {stepText?<div className="smallText">{stepText}</div>:null}
+            {skippedText?<div className="smallText">{skippedText} {this.props.isDownloading?null:
+                <span className="linkStyle" onClick={this.props.showReport}>[details]</span>}</div>:null}
+        </div>
+    }
+}
@@ -0,0 +1,73 @@
+import React from 'react'
+import {
+    Modal,
+    ModalHeader,
+    ModalBody,
+    ModalFooter,
+    Button
+} from 'reactstrap'
+import Switch from '@material-ui/core/Switch';
+import { FormControlLabel, TextField } from '@material-ui/core'
+
+// options shared by the exporters that walk the tree
+export default class ExportOptions extends React.Component {
+    constructor(props) {
+        super(props)
+        this.state = {
+            minGames:this.props.defaultMinGames,
+            maxPlies:this.props.defaultMaxPlies,
+            scoreWeighted:false
+        }
+    }
+
+    numberChange(key) {
+        return (e) => {
+            let value = parseInt(e.target.value)
+            this.setState({[key]:isNaN(value)||value<1?1:value})
+        }
+    }
+
+    scoreWeightedChange(e, checked) {
+        this.setState({scoreWeighted:checked})
+    }
+
+    export() {
+        this.props.onExport({
+            minGames:this.state.minGames,
+            maxPlies:this.state.maxPlies,
+            scoreWeighted:this.state.scoreWeighted
+        })
+        this.props.toggle()
+    }
+
+    render() {
+        return <Modal isOpen={this.props.isOpen} toggle={this.props.toggle}>
+            <ModalHeader toggle={this.props.toggle}>{this.props.title}</ModalHeader>
+            <ModalBody>
+                <div className="littlePaddingTop">
+                    <TextField type="number" label="Minimum games for a move" value={this.state.minGames}
+                        onChange={this.numberChange('minGames')} fullWidth/>
+                </div>
+                <div className="littlePaddingTop">
+                    <TextField type="number" label="Maximum depth in plies" value={this.state.maxPlies}
+                        onChange={this.numberChange('maxPlies')} fullWidth/>
+                </div>
+                {this.props.showScoreWeighted?<div className="littlePaddingTop"><FormControlLabel
+                    control={
+                        <Switch
+                            checked={this.state.scoreWeighted}
+                            name="scoreWeighted"
+                            color="primary"
+                        />
+                    }
+                    onChange={this.scoreWeightedChange.bind(this)}
+                    label="Weight moves by their score"
+                /></div>:null}
+            </ModalBody>
+            <ModalFooter>
+                <Button color="link" onClick={this.props.toggle}>Cancel</Button>
+                <Button color="primary" onClick={this.export.bind(this)}>Export</Button>
+            </ModalFooter>
+        </Modal>
+    }
+}
@@ -39,3 +39,21 @@ export function getFromDateLabel(date) {
 export function getToDateLabel(date) {
     return date?date.toLocaleDateString('en-US'): 'Now'
 }
+
+const SKIP_REASON_LABELS = {
+    [Constants.SKIP_REASON_VARIANT]:"other variant",
+    [Constants.SKIP_REASON_TIME_CONTROL]:"time control",
+    [Constants.SKIP_REASON_RATING]:"opponent rating",
+    [Constants.SKIP_REASON_RATED]:"rated/casual",
+    [Constants.SKIP_REASON_DATE]:"date",
+    [Constants.SKIP_REASON_PLAYER]:"not the player's game",
+    [Constants.SKIP_REASON_OPPONENT]:"opponent",
+    [Constants.SKIP_REASON_PARSE_FAILURE]:"could not be read",
+    [Constants.SKIP_REASON_ILLEGAL_MOVE]:"illegal move",
+    [Constants.SKIP_REASON_SHORT_GAME]:"two moves or less",
+    [Constants.SKIP_REASON_FROM_POSITION]:"start position not known"
+}
+
+export function skipReasonLabel(reason) {
+    return SKIP_REASON_LABELS[reason] || reason
+}
@@ -89,7 +89,7 @@ export default class Filters extends React.Component {
         if(this.props.playerColor && !isDisabled) {
             return <span>
                 {getNumberIcon('done')}
-                Color: <b>{this.props.playerColor===Constants.PLAYER_COLOR_WHITE?"White":"Black"} </b>
+                Color: <b>{colorName(this.props.playerColor)} </b>
                 {this.areAdvancedFiltersApplied()?<span className="smallText">(Filters applied)</span>:null}</span>
 
         }
@@ -129,6 +129,7 @@ export default class Filters extends React.Component {
                         <RadioGroup onChange={this.playerColorChange.bind(this)} value={this.state.playerColor}>
                             <FormControlLabel className="whitelabel" control={<Radio color="primary" />} value={Constants.PLAYER_COLOR_WHITE} label={this.state.playerColor === Constants.PLAYER_COLOR_WHITE?<b>White</b>:"White"}/>
                             <FormControlLabel className="blacklabel" control={<Radio color="primary" />} value={Constants.PLAYER_COLOR_BLACK} label={this.state.playerColor === Constants.PLAYER_COLOR_BLACK?<b>Black</b>:"Black"}/>
+                            <FormControlLabel control={<Radio color="primary" />} value={Constants.PLAYER_COLOR_BOTH} label={this.state.playerColor === Constants.PLAYER_COLOR_BOTH?<b>Both colors</b>:"Both colors"}/>
                         </RadioGroup>
                         <FormHelperText>{this.state.colorError}</FormHelperText>
                     </FormControl>
@@ -157,3 +158,10 @@ export default class Filters extends React.Component {
 
     }
 }
+
+function colorName(playerColor) {
+    if(playerColor === Constants.PLAYER_COLOR_BOTH) {
+        return "Both colors"
+    }
+    return playerColor === Constants.PLAYER_COLOR_WHITE?"White":"Black"
+}
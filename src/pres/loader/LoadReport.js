@@ -0,0 +1,40 @@
+import React from 'react'
+import {
+    Modal,
+    ModalHeader,
+    ModalBody,
+    ModalFooter,
+    Button
+} from 'reactstrap'
+import {skipReasonLabel} from './FilterLabels'
+
+// the games of the last load that were not added to the tree and why
+export default class LoadReport extends React.Component {
+    rejectedGames() {
+        return this.props.report.rejectedGames.map((rejected, index)=>
+            <div key={`rejected${index}`} className="littlePaddingTop">
+                <div>{rejected.label}</div>
+                <div className="smallText">{skipReasonLabel(rejected.reason)}{rejected.detail?`: ${rejected.detail}`:''}</div>
+            </div>)
+    }
+
+    render() {
+        let report = this.props.report
+        if(!report) {
+            return null
+        }
+        let hasGames = report.rejectedGames.length>0
+        return <Modal isOpen={this.props.isOpen} toggle={this.props.toggle} scrollable>
+            <ModalHeader toggle={this.props.toggle}>Games not added to the tree</ModalHeader>
+            <ModalBody>
+                {hasGames?this.rejectedGames():"All the games were added"}
+                {report.notListed>0?<div className="littlePaddingTop smallText">
+                    {`${report.notListed} more games were skipped and are not listed`}</div>:null}
+            </ModalBody>
+            <ModalFooter>
+                <Button color="link" onClick={this.props.toggle}>Close</Button>
+                <Button color="primary" onClick={this.props.onDownload} disabled={!hasGames}>Download these games</Button>
+            </ModalFooter>
+        </Modal>
+    }
+}
@@ -10,6 +10,12 @@ import Variants from './Variants'
 import request from 'request'
 import * as SitePolicy from '../../app/SitePolicy'
 import cookieManager from '../../app/CookieManager'
+import {createPolyglotBook} from '../../app/PolyglotBook'
+import {createRepertoirePgn} from '../../app/RepertoireExport'
+import {saveTree, loadTree, deleteTree, recentTrees, workspaceTreeName} from '../../app/TreeWorkspace'
+import {isLocalDatabaseAvailable} from '../../app/LocalDatabase'
+import RecentTrees from './RecentTrees'
+import OpeningGraph from '../../app/OpeningGraph'
 
 export default class PGNLoader extends React.Component {
 
@@ -30,7 +36,8 @@ export default class PGNLoader extends React.Component {
             selectedNotableEvent:{},
             selectedNotablePlayer:{},
             lichessLoginState: Constants.LICHESS_NOT_LOGGED_IN,
-            lichessLoginName: null
+            lichessLoginName: null,
+            recentTrees:[]
         }
         if(selectedSite === Constants.SITE_LICHESS) {
             this.fetchLichessLoginStatus()
@@ -48,6 +55,16 @@ export default class PGNLoader extends React.Component {
         this.state[Constants.FILTER_NAME_OPPONENT] = ''
     }
 
+    componentDidMount() {
+        if(!isLocalDatabaseAvailable()) {
+            return
+        }
+        this.refreshRecentTrees()
+        let lastTree = cookieManager.getLastTreeCookie()
+        if(lastTree && !this.props.gamesProcessed) {
+            this.loadWorkspaceTree(lastTree, true)
+        }
+    }
 
     advancedFilters() {
         return createSubObjectWithProperties(this.state,
@@ -70,37 +87,56 @@ export default class PGNLoader extends React.Component {
     exportOpeningTreeObject(){
         return {
             header:{
-                version:2,// current openingtree file version. used to check compatibility of files
+                version:Constants.OPENING_TREE_FILE_CURRENT_VERSION,// used to check compatibility of files
                 timestamp:Math.floor(Date.now() / 1000),
                 gamesProcessed:this.props.gamesProcessed,
                 settings:this.props.settings,
-                playerName:this.state.playername,
+                playerName:this.state.playerName,
+                sourceDetails:this.sourceDetails(),
                 site: this.state.site,
                 advancedFilters:this.advancedFilters(),
-                variant:this.props.variant
+                variant:this.props.variant,
+                sources:this.props.openingGraph.getSources(),
+                evaluationJob:this.props.openingGraph.getEvaluationJob()
             },
-            arrays: [[...this.props.openingGraph.graph.nodes.entries()],
-                        [...this.props.openingGraph.graph.pgnStats]]
+            arrays: this.props.openingGraph.savedArrays()
         }
     }
 
+    polyglotBook(options) {
+        return createPolyglotBook(this.props.openingGraph, options)
+    }
+
+    repertoirePgn(options) {
+        let sources = this.props.openingGraph.getSources()
+        let title = sources.length>0?sources.map(source=>source.label).join(', '):'Opening tree'
+        return createRepertoirePgn(this.props.openingGraph, options, title)
+    }
+
     importOpeningTreeObject(openingTreeSave) {
         let saveVersion = 1;
         if(openingTreeSave.header.version) {
             saveVersion = openingTreeSave.header.version
         }
-        if(saveVersion < Constants.OPENING_TREE_FILE_CURRENT_VERSION) {
+        if(saveVersion < Constants.OPENING_TREE_FILE_MIN_SUPPORTED_VERSION) {
             this.props.showError("This is an old format of openingtree file.", null, 
                 "You can try loading it by visiting the old website", Constants.ERROR_ACTION_VISIT_OLD_SITE)
             return false
         }
+        let header = openingTreeSave.header
+        let sourceDetails = header.sourceDetails || {}
         this.setState({
-            ...openingTreeSave.header.advancedFilters,
-            playerColor:openingTreeSave.header.settings.playerColor,
-            site:openingTreeSave.header.site,
-            playerName:openingTreeSave.header.settings.playerName,
+            ...this.restoredFilters(header.advancedFilters),
+            playerColor:header.settings.playerColor,
+            site:header.site,
+            playerName:header.settings.playerName,
+            // the original files cannot be restored from a save file
+            files:[],
+            selectedNotableEvent:sourceDetails.selectedNotableEvent || {},
+            selectedNotablePlayer:sourceDetails.selectedNotablePlayer || {},
+            selectedOnlineTournament:sourceDetails.selectedOnlineTournament
         })
-        this.props.openingGraph.setEntries(openingTreeSave.arrays[0], openingTreeSave.arrays[1])
+        this.props.openingGraph.setSavedEntries(openingTreeSave)
         this.props.importCallback({
             settings:openingTreeSave.header.settings,
             gamesProcessed:openingTreeSave.header.gamesProcessed,
@@ -110,6 +146,180 @@ export default class PGNLoader extends React.Component {
         return true
     }
 
+    // keeps the loaded tree in the local workspace so that it is restored on the next visit.
+    // loads that stopped without changing the tree do not write it again
+    saveToWorkspace() {
+        if(!isLocalDatabaseAvailable() || !this.props.gamesProcessed) {
+            return
+        }
+        let openingGraph = this.props.openingGraph
+        let name = workspaceTreeName(openingGraph.getSources(), this.props.variant)
+        let workspaceState = JSON.stringify([name, openingGraph.graph.pgnStats.length,
+            openingGraph.getSources(), openingGraph.graph.evaluations.size])
+        if(workspaceState === this.workspaceState) {
+            return
+        }
+        this.workspaceState = workspaceState
+        saveTree(name, this.exportOpeningTreeObject()).then(()=>{
+            cookieManager.setLastTreeCookie(name)
+            this.refreshRecentTrees()
+        }, (error)=>{
+            // the tree is still loaded, it just won't be restored on reload
+            console.log(error)
+            this.workspaceState = null
+        })
+    }
+
+    loadWorkspaceTree(name, isStartup) {
+        loadTree(name).then((openingTreeSave)=>{
+            if(isStartup && this.props.gamesProcessed) {
+                // games were loaded while the workspace was being read
+                return
+            }
+            if(!openingTreeSave) {
+                cookieManager.deleteLastTreeCookie()
+                this.refreshRecentTrees()
+                return
+            }
+            if(this.importOpeningTreeObject(openingTreeSave)) {
+                cookieManager.setLastTreeCookie(name)
+                this.props.showInfo(isStartup?`Restored ${name}`:`Loaded ${name}`)
+            }
+        }, (error)=>{
+            console.log(error)
+            this.props.showError("Could not load the saved tree")
+        })
+        if(!isStartup) {
+            trackEvent(Constants.EVENT_CATEGORY_PGN_LOADER, "LoadRecentTree")
+        }
+    }
+
+    // loads a saved tree next to the current one so that the moves table can compare them
+    compareWorkspaceTree(name) {
+        loadTree(name).then((openingTreeSave)=>{
+            if(!openingTreeSave) {
+                this.refreshRecentTrees()
+                return
+            }
+            let header = openingTreeSave.header
+            let variant = header.variant || Constants.VARIANT_STANDARD
+            if(variant !== this.props.variant) {
+                this.props.showError(`Only trees of the same variant can be compared. ${name} is a ${variant} tree`)
+                return
+            }
+            let comparisonGraph = new OpeningGraph(variant)
+            comparisonGraph.setSavedEntries(openingTreeSave)
+            this.props.setComparison(comparisonGraph, name)
+            this.props.showInfo(`Comparing with ${name}`)
+        }, (error)=>{
+            console.log(error)
+            this.props.showError("Could not load the saved tree")
+        })
+        trackEvent(Constants.EVENT_CATEGORY_PGN_LOADER, "CompareRecentTree")
+    }
+
+    deleteWorkspaceTree(name) {
+        deleteTree(name).then(()=>{
+            if(cookieManager.getLastTreeCookie() === name) {
+                cookieManager.deleteLastTreeCookie()
+            }
+            this.refreshRecentTrees()
+        }, (error)=>{
+            console.log(error)
+            this.props.showError("Could not delete the saved tree")
+        })
+        trackEvent(Constants.EVENT_CATEGORY_PGN_LOADER, "DeleteRecentTree")
+    }
+
+    refreshRecentTrees() {
+        recentTrees().then((trees)=>{
+            this.setState({recentTrees:trees})
+        }, (error)=>{
+            console.log(error)
+        })
+    }
+
+    // dates are saved as strings in the file
+    restoredFilters(filters) {
+        let restored = {...filters}
+        let dateFilters = [Constants.FILTER_NAME_FROM_DATE, Constants.FILTER_NAME_TO_DATE]
+        dateFilters.forEach((filterName)=>{
+            if(restored[filterName]) {
+                restored[filterName] = new Date(restored[filterName])
+            }
+        })
+        return restored
+    }
+
+    // details needed to fetch the games of a source that are newer than the ones in the tree.
+    // the newest day is fetched again since games already in the tree are skipped
+    sourceUpdateDetails(sourceIndex) {
+        let source = this.props.openingGraph.getSources()[sourceIndex]
+        let newestDate = this.props.openingGraph.newestGameDate(sourceIndex)
+        if(!source || !SitePolicy.isSourceUpdatable(source.site) || !newestDate) {
+            return null
+        }
+        this.props.openingGraph.setActiveSource(sourceIndex)
+        let advancedFilters = {...this.advancedFilters(), ...this.restoredFilters(source.advancedFilters)}
+        advancedFilters[Constants.FILTER_NAME_FROM_DATE] = new Date(newestDate.getTime()-Constants.MILLISECS_IN_DAY)
+        advancedFilters[Constants.FILTER_NAME_TO_DATE] = null
+        advancedFilters[Constants.FILTER_NAME_DOWNLOAD_LIMIT] = Constants.MAX_DOWNLOAD_LIMIT
+        return {
+            site:source.site,
+            playerName:source.playerName,
+            playerColor:source.playerColor,
+            advancedFilters:advancedFilters
+        }
+    }
+
+    // details needed to continue an interrupted load of a source from where it stopped
+    sourceResumeDetails(sourceIndex) {
+        let source = this.props.openingGraph.getSources()[sourceIndex]
+        if(!source || !source.resume) {
+            return null
+        }
+        this.props.openingGraph.setActiveSource(sourceIndex)
+        return {
+            site:source.site,
+            playerName:source.playerName,
+            playerColor:source.playerColor,
+            advancedFilters:{...this.advancedFilters(), ...this.restoredFilters(source.resume.advancedFilters)},
+            resumeCursor:source.resume.cursor
+        }
+    }
+
+    setSourceCursor(cursor, advancedFilters) {
+        this.props.openingGraph.setActiveSourceCursor(cursor, advancedFilters)
+    }
+
+    updatableSources() {
+        let sources = this.props.openingGraph.getSources()
+        return sources.map((source, index)=>index).filter(
+            (index)=>sources[index].gameCount>0 && SitePolicy.isSourceUpdatable(sources[index].site))
+    }
+
+    // details needed to show where a tree came from after it is saved and reloaded
+    sourceDetails() {
+        return {
+            fileNames:this.state.files.map(file=>file.name),
+            selectedNotableEvent:this.state.selectedNotableEvent,
+            selectedNotablePlayer:this.state.selectedNotablePlayer,
+            selectedOnlineTournament:this.state.selectedOnlineTournament
+        }
+    }
+
+    addSource() {
+        return this.props.openingGraph.addSource({
+            site:this.state.site,
+            playerName:this.state.playerName,
+            playerColor:this.state.playerColor,
+            advancedFilters:this.advancedFilters(),
+            label:SitePolicy.sourceLabel(this.state.site, this.state.playerName,
+                this.state.selectedNotableEvent, this.state.selectedOnlineTournament, this.state.files),
+            ...this.sourceDetails()
+        })
+    }
+
     playerDetailsChange(playerName, files, selectedNotableEvent, selectedNotablePlayer, selectedOnlineTournament) {
         this.setState({
             playerName: playerName,
@@ -241,7 +451,20 @@ export default class PGNLoader extends React.Component {
                 selectedNotablePlayer={this.state.selectedNotablePlayer} selectedNotableEvent={this.state.selectedNotableEvent}
                 exportOpeningTreeObject={this.exportOpeningTreeObject.bind(this)} showInfo={this.props.showInfo}
                 importOpeningTreeObject={this.importOpeningTreeObject.bind(this)} selectedOnlineTournament={this.state.selectedOnlineTournament}
-                variant={this.props.variant}/>
+                variant={this.props.variant} addSource={this.addSource.bind(this)}
+                removeSource={this.props.removeSource} sources={this.props.openingGraph.getSources()}
+                canRemoveSources={this.props.openingGraph.canRemoveSources()}
+                loadedPlayerColor={this.props.settings.playerColor}
+                sourceUpdateDetails={this.sourceUpdateDetails.bind(this)}
+                sourceResumeDetails={this.sourceResumeDetails.bind(this)}
+                setSourceCursor={this.setSourceCursor.bind(this)}
+                updatableSources={this.updatableSources()}
+                polyglotBook={this.polyglotBook.bind(this)}
+                repertoirePgn={this.repertoirePgn.bind(this)}
+                saveToWorkspace={this.saveToWorkspace.bind(this)}/>
+            <RecentTrees trees={this.state.recentTrees} disabled={this.props.isDownloading}
+                loadTree={this.loadWorkspaceTree.bind(this)} deleteTree={this.deleteWorkspaceTree.bind(this)}
+                compareTree={this.props.gamesProcessed?this.compareWorkspaceTree.bind(this):null}/>
         </div>
     }
 
@@ -0,0 +1,23 @@
+import React from 'react'
+
+export default class RecentTrees extends React.Component {
+    savedAt(tree) {
+        return new Date(tree.savedAt).toLocaleDateString()
+    }
+
+    render() {
+        if(!this.props.trees || this.props.trees.length === 0) {
+            return null
+        }
+        return <div className="pgnloadersection">
+            <div className="smallText">Recent trees:</div>
+            {this.props.trees.map((tree)=><div key={tree.name} className="smallText">
+                {tree.name}: {tree.gamesProcessed} games, saved {this.savedAt(tree)} {this.props.disabled?null:<span>
+                    <span className="linkStyle" onClick={()=>this.props.loadTree(tree.name)}>[load]</span> {this.props.compareTree?<span
+                        className="linkStyle" onClick={()=>this.props.compareTree(tree.name)}>[compare]</span>:null} <span
+                        className="linkStyle" onClick={()=>this.props.deleteTree(tree.name)}>[delete]</span>
+                </span>}
+            </div>)}
+        </div>
+    }
+}
@@ -33,6 +33,14 @@ export default class BookMove extends React.Component {
                            'Enable opening book',
                            <Cached />)
         }
+        if(this.props.bookMoves.fetch === "failed" &&
+            this.props.settings.movesSettings.openingBookType === Constants.OPENING_BOOK_TYPE_LOCAL) {
+            return offCard('Failed to read the local opening book',
+                           'Your browser may not allow storing data for this site.',
+                           this.props.forceFetchBookMoves,
+                           'Try again',
+                           <Cached />)
+        }
         if(this.props.bookMoves.fetch === "failed") {
             return offCard('Failed to fetch book moves',
                            'Please check your internet connection. Lichess could also be down.',
@@ -0,0 +1,103 @@
+import React from 'react'
+import { Table, TableRow, TableHead, TableBody, TableCell, TableFooter, TablePagination } from '@material-ui/core'
+import {
+    ToggleButtonGroup,
+    ToggleButton
+} from '@material-ui/lab'
+import * as Constants from '../../app/Constants'
+import {trackEvent} from '../../app/Analytics'
+import {playerDetails} from './MovesCommon'
+
+export default class GamesList extends React.Component {
+    constructor(props) {
+        super(props)
+        this.state = {
+            sortBy:Constants.GAMES_SORT_BY_DATE,
+            result:Constants.GAMES_RESULT_ALL,
+            page:0
+        }
+    }
+
+    componentDidUpdate(prevProps) {
+        if(prevProps.fen !== this.props.fen && this.state.page !== 0) {
+            this.setState({page:0})
+        }
+    }
+
+    sortByChange(e, sortBy) {
+        if(!sortBy) {
+            return
+        }
+        this.setState({sortBy:sortBy, page:0})
+        trackEvent(Constants.EVENT_CATEGORY_MOVES_LIST, "GamesListSort", sortBy)
+    }
+
+    resultChange(e, result) {
+        if(!result) {
+            return
+        }
+        this.setState({result:result, page:0})
+        trackEvent(Constants.EVENT_CATEGORY_MOVES_LIST, "GamesListFilter", result)
+    }
+
+    pageChange(e, page) {
+        this.setState({page:page})
+    }
+
+    render() {
+        let gamesPage = this.props.openingGraph.gamesForFen(this.props.fen, {
+            sortBy:this.state.sortBy,
+            result:this.state.result,
+            page:this.state.page,
+            pageSize:Constants.GAMES_PAGE_SIZE
+        })
+        if(gamesPage.totalCount === 0 && this.state.result === Constants.GAMES_RESULT_ALL) {
+            return null
+        }
+        return <div>
+            <div className="littlePaddingTop">
+                <ToggleButtonGroup size="small" exclusive value={this.state.sortBy} onChange={this.sortByChange.bind(this)}>
+                    <ToggleButton value={Constants.GAMES_SORT_BY_DATE}>Latest</ToggleButton>
+                    <ToggleButton value={Constants.GAMES_SORT_BY_OPPONENT_ELO}>Opponent rating</ToggleButton>
+                </ToggleButtonGroup>
+            </div>
+            <div className="littlePaddingTop">
+                <ToggleButtonGroup size="small" exclusive value={this.state.result} onChange={this.resultChange.bind(this)}>
+                    <ToggleButton value={Constants.GAMES_RESULT_ALL}>All</ToggleButton>
+                    <ToggleButton value={Constants.GAMES_RESULT_WIN}>{this.props.settings.playerColor?"Wins":"White wins"}</ToggleButton>
+                    <ToggleButton value={Constants.GAMES_RESULT_DRAW}>Draws</ToggleButton>
+                    <ToggleButton value={Constants.GAMES_RESULT_LOSS}>{this.props.settings.playerColor?"Losses":"Black wins"}</ToggleButton>
+                </ToggleButtonGroup>
+            </div>
+            <Table>
+                <TableHead>
+                    <TableRow>
+                        <TableCell><b>Games through this position</b></TableCell>
+                        <TableCell size="small" className="smallCol"><b>Date</b></TableCell>
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                {gamesPage.games.map(game => {
+                    let whitePlayer = playerDetails(game.white, game.whiteElo)
+                    let blackPlayer = playerDetails(game.black, game.blackElo)
+                    return <TableRow className="moveRow" key={`g${game.index}`} onClick={this.props.launchGame(game)}>
+                        <TableCell>
+                            {game.result==="1-0"?<b>{whitePlayer}</b>:whitePlayer} {game.result} {game.result === "0-1"?<b>{blackPlayer}</b>:blackPlayer}
+                        </TableCell>
+                        <TableCell size="small" className="smallCol">{game.date}</TableCell>
+                    </TableRow>
+                })}
+                </TableBody>
+                <TableFooter>
+                    <TableRow>
+                        <TablePagination count={gamesPage.totalCount}
+                            rowsPerPage={Constants.GAMES_PAGE_SIZE}
+                            rowsPerPageOptions={[Constants.GAMES_PAGE_SIZE]}
+                            page={this.state.page}
+                            onChangePage={this.pageChange.bind(this)}/>
+                    </TableRow>
+                </TableFooter>
+            </Table>
+        </div>
+    }
+}
@@ -0,0 +1,92 @@
+import React from 'react'
+import { Button as MaterialUIButton } from '@material-ui/core'
+import Publish from '@material-ui/icons/Publish'
+import Delete from '@material-ui/icons/Delete'
+import Dropzone from '../loader/Dropzone'
+import * as Constants from '../../app/Constants'
+import {trackEvent} from '../../app/Analytics'
+import {importPgnFiles, clearLocalBook, localBookPositionCount} from '../../app/book/LocalBook'
+import {isLocalDatabaseAvailable} from '../../app/LocalDatabase'
+
+export default class LocalBookImport extends React.Component {
+    constructor(props) {
+        super(props)
+        this.state = {
+            files:[],
+            positionCount:null,
+            importing:false,
+            gamesImported:0,
+            error:null
+        }
+    }
+
+    componentDidMount() {
+        this.updatePositionCount()
+    }
+
+    updatePositionCount() {
+        if(!isLocalDatabaseAvailable()) {
+            return
+        }
+        localBookPositionCount().then((count)=>{
+            this.setState({positionCount:count})
+        }, (error)=>{
+            console.log(error)
+            this.setState({error:"Could not open the local opening book"})
+        })
+    }
+
+    filesChange(files) {
+        this.setState({files:files})
+    }
+
+    importFiles() {
+        this.setState({importing:true, gamesImported:0, error:null})
+        trackEvent(Constants.EVENT_CATEGORY_OPENING_BOOK, "LocalBookImport", null, this.state.files.length)
+        importPgnFiles(this.state.files, this.props.variant,
+            (gamesImported)=>this.setState({gamesImported:gamesImported}),
+            (message)=>this.setState({error:message}),
+            (error)=>{
+                this.setState({importing:false, error:error})
+                this.updatePositionCount()
+                this.props.bookChanged()
+            })
+    }
+
+    clearBook() {
+        clearLocalBook().then(()=>{
+            this.updatePositionCount()
+            this.props.bookChanged()
+        }, (error)=>{
+            console.log(error)
+            this.setState({error:"Could not clear the local opening book"})
+        })
+        trackEvent(Constants.EVENT_CATEGORY_OPENING_BOOK, "LocalBookClear")
+    }
+
+    render() {
+        if(!isLocalDatabaseAvailable()) {
+            return <div className="smallText">This browser cannot store a local opening book</div>
+        }
+        return <div>
+            <div className="smallText">
+                {this.state.positionCount === null?null:`${this.state.positionCount} positions in the local book. `}
+                {this.state.importing||this.state.gamesImported?`${this.state.gamesImported} games imported`:null}
+            </div>
+            {this.state.error?<div className="smallText">{this.state.error}</div>:null}
+            <Dropzone filesChange={this.filesChange.bind(this)} filesLimit={10}
+                dropzoneText="Drop pgn databases to add to the local book"/>
+            <div className="littlePaddingTop">
+                <MaterialUIButton onClick={this.importFiles.bind(this)} variant="contained" color="primary"
+                    startIcon={<Publish/>} disableElevation
+                    disabled={this.state.importing || this.state.files.length === 0}>
+                    {this.state.importing?"Importing":"Import"}
+                </MaterialUIButton> <MaterialUIButton onClick={this.clearBook.bind(this)} variant="contained" color="default"
+                    startIcon={<Delete/>} disableElevation
+                    disabled={this.state.importing || !this.state.positionCount}>
+                    Clear book
+                </MaterialUIButton>
+            </div>
+        </div>
+    }
+}
@@ -3,6 +3,8 @@ import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
 import { faUser } from '@fortawesome/free-solid-svg-icons'
 import MovesTable from './MovesTable'
 import ResultsTable from './ResultsTable';
+import {simplifyCount} from '../../app/util'
+import * as Constants from '../../app/Constants'
 
 export default class MovesList extends React.Component {
 
@@ -11,13 +13,16 @@ export default class MovesList extends React.Component {
             return <div className = "infoMessage" >No moves to show. Please select a source from the 
                 <span className = "navLinkButton" onClick={()=>this.props.switchToUserTab()}> <FontAwesomeIcon icon={faUser} /> User</span> tab and enter the details.</div>
         }
-        return <div>{(this.props.gameResults && this.props.gameResults.length>0)?this.resultsTable():null}
-                {this.movesTable()}</div>
+        return <div>{this.rootPositions()}
+                {(this.props.gameResults && this.props.gameResults.length>0)?this.resultsTable():null}
+                {this.movesTable()}
+                {this.comparison()}</div>
     }
 
     movesTable() {
         return <MovesTable movesToShow={this.props.playerMoves} namespace='moves'
                 launchGame={this.props.launchGame} settings={this.props.settings}
+                sources={this.props.sources}
                 turnColor={this.props.turnColor} onMove={this.props.onMove}
                 clickedEventName="MoveClicked" tableFooter={this.tableFooter()}
                 highlightMove={this.props.highlightMove} 
@@ -26,8 +31,45 @@ export default class MovesList extends React.Component {
                 settingsChange={this.props.settingsChange}
                 variant={this.props.variant}
                 highlightArrow={this.props.highlightArrow}
+                comparisonName={this.props.comparisonName}
+                repertoireName={this.props.repertoireName}
+                moveOrdersAfter={this.props.moveOrdersAfter}
+                goToLine={this.props.goToLine}
                 />
     }
+
+    // games set up from other positions start their own trees. shown only when there is more than the usual one
+    rootPositions() {
+        let rootPositions = this.props.rootPositions || []
+        if(!rootPositions.some(rootPosition=>rootPosition.isCustom)) {
+            return null
+        }
+        let customCount = 0
+        return <div className="smallText">Start position: {rootPositions.map((rootPosition)=>{
+            let isSelected = rootPosition.isCustom?rootPosition.fen === this.props.rootFen:!this.props.rootFen
+            let label = rootPosition.isCustom?`position ${++customCount}`:'usual'
+            return <span key={rootPosition.fen} title={rootPosition.fen}
+                className={isSelected?'':'linkStyle'}
+                onClick={()=>this.props.selectRoot(rootPosition.isCustom?rootPosition.fen:null)}>
+                {isSelected?<b>{label}</b>:label} ({simplifyCount(rootPosition.gameCount)}) </span>
+        })}</div>
+    }
+
+    // moves of the compared tree that the loaded tree never played
+    comparison() {
+        if(!this.props.comparisonName) {
+            return null
+        }
+        let onlyInComparison = this.props.onlyInComparison || []
+        return <div className="smallText littlePaddingTop">
+            {onlyInComparison.length === 0?null:<div>Only played in <b>{this.props.comparisonName}</b>: {
+                onlyInComparison.map((move)=><span key={move.san} className="onlyInComparison linkStyle"
+                    onClick={()=>this.props.onMove(move.san)}>{move.san} ({simplifyCount(move.moveCount)})</span>)}
+            </div>}
+            <div>Comparing with <b>{this.props.comparisonName}</b> <span className="linkStyle"
+                onClick={this.props.clearComparison}>[stop comparing]</span></div>
+        </div>
+    }
     resultsTable() {
         return <ResultsTable gameResults={this.props.gameResults}
                 launchGame={this.props.launchGame}/>
@@ -35,6 +77,12 @@ export default class MovesList extends React.Component {
 
     tableFooter() {
         let hasMoves = (this.props.playerMoves && this.props.playerMoves.length>0)
+        if(this.props.settings.playerName && this.props.settings.playerColor === Constants.PLAYER_COLOR_BOTH) {
+            return <span>
+                {hasMoves?"Showing moves":"No moves found"} played by and against <b>{this.props.settings.playerName}</b> in
+                this position. <b>{this.props.settings.playerName}</b> is playing both colors and the moves played by them are in bold.
+                </span>
+        }
         if(this.props.settings.playerName) {
             if(hasMoves) {
                 return <span>
@@ -18,6 +18,7 @@ import * as Constants from '../../app/Constants'
 import { Collapse, CardBody, Card, CardText } from 'reactstrap';
 import Link from '@material-ui/core/Link'
 import {trackEvent} from '../../app/Analytics'
+import LocalBookImport from './LocalBookImport'
 
 export default class MovesSettings extends React.Component {
     constructor(props) {
@@ -26,7 +27,8 @@ export default class MovesSettings extends React.Component {
         mSettings.openingBookType = this.getTransformedBookType(mSettings.openingBookType)
         this.state={
             movesSettings: mSettings,
-            indicatorInfoOpen:false
+            indicatorInfoOpen:false,
+            localBookChanged:false
         }
     }
 
@@ -45,7 +47,11 @@ export default class MovesSettings extends React.Component {
 
     cancel() {
         //reset to original settings
-        this.setState({movesSettings: this.props.settings.movesSettings})
+        this.setState({movesSettings: this.props.settings.movesSettings, localBookChanged:false})
+        if(this.state.localBookChanged) {
+            // setting the moves settings again clears the book moves fetched before the import
+            this.props.settingsChange(Constants.SETTING_NAME_MOVES_SETTINGS, this.props.settings.movesSettings)
+        }
         this.props.toggle()
         trackEvent(Constants.EVENT_CATEGORY_SETTINGS, "MoveSettingsCancel")
     }
@@ -53,6 +59,7 @@ export default class MovesSettings extends React.Component {
     set() {
         //reset to  new settings
         this.props.settingsChange(Constants.SETTING_NAME_MOVES_SETTINGS, this.state.movesSettings)
+        this.setState({localBookChanged:false})
         this.props.toggle()
         trackEvent(Constants.EVENT_CATEGORY_SETTINGS, "MoveSettingsSet")
     }
@@ -75,6 +82,10 @@ export default class MovesSettings extends React.Component {
                 {this.state.movesSettings.openingBookType === Constants.OPENING_BOOK_TYPE_LICHESS?
                 <div className="littlePaddingTop">{this.getOpeningBookTimeControls()}</div>
                 :null}   
+                {this.state.movesSettings.openingBookType === Constants.OPENING_BOOK_TYPE_LOCAL?
+                <div className="littlePaddingTop"><LocalBookImport variant={this.props.variant}
+                    bookChanged={()=>this.setState({localBookChanged:true})}/></div>
+                :null}
                 <div className="littlePaddingTop">{this.getIndicatorSwitch("openingBookWinsIndicator", <span>Book indicators <Link href="#" className="smallText" onClick={this.toggleIndicatorInfo.bind(this)}>whats this?</Link></span>)}</div>
                 <Collapse isOpen={this.state.indicatorInfoOpen}>
                 <Card>
@@ -139,6 +150,9 @@ export default class MovesSettings extends React.Component {
             <ToggleButton value={Constants.OPENING_BOOK_TYPE_LICHESS} aria-label={Constants.OPENING_BOOK_TYPE_LICHESS}>
                 Lichess
             </ToggleButton>
+            <ToggleButton value={Constants.OPENING_BOOK_TYPE_LOCAL} aria-label={Constants.OPENING_BOOK_TYPE_LOCAL}>
+                Local
+            </ToggleButton>
         </ToggleButtonGroup></div>
     }
     getOpeningBookRating() {
@@ -10,9 +10,29 @@ import {trackEvent} from '../../app/Analytics'
 import * as Constants from '../../app/Constants'
 import { ProgressBar,Step } from "react-step-progress-bar";
 import {playerDetails, offCard} from './MovesCommon'
-import {simplifyCount} from '../../app/util'
+import {simplifyCount, moveText} from '../../app/util'
+import {formatScore} from '../../app/stockfish/winningChances'
 import MovesSettings from './MovesSettings'
 
+function timeText(seconds) {
+    let roundedSeconds = Math.round(seconds)
+    if(roundedSeconds < 60) {
+        return `${roundedSeconds}s`
+    }
+    return `${Math.floor(roundedSeconds/60)}:${`${roundedSeconds%60}`.padStart(2, '0')}`
+}
+
+function gamesText(count) {
+    return `${count} ${count === 1?'game':'games'}`
+}
+
+const CLASSIFICATION_BADGES = {
+    [Constants.MOVE_CLASSIFICATION_BEST]:{symbol:'\u2713', className:'classificationBest'},
+    [Constants.MOVE_CLASSIFICATION_INACCURACY]:{symbol:'?!', className:'classificationInaccuracy'},
+    [Constants.MOVE_CLASSIFICATION_MISTAKE]:{symbol:'?', className:'classificationMistake'},
+    [Constants.MOVE_CLASSIFICATION_BLUNDER]:{symbol:'??', className:'classificationBlunder'}
+}
+
 export default class MovesTable extends React.Component {
     constructor(props){
         super(props)
@@ -117,13 +137,32 @@ export default class MovesTable extends React.Component {
     }
     //&#013;
 
-    getIndicator(src, height, width, alt, click) {
+    // scores of the loaded tree and of the tree loaded for comparison
+    comparisonScores(currMove) {
+        let comparison = currMove.comparison
+        if(!comparison || comparison.missing) {
+            return null
+        }
+        let values = [comparison.treeScore, comparison.score]
+        let alt = `Score for white \nThis tree ${Math.round(values[0])}% \n${this.props.comparisonName} ${Math.round(values[1])}%`
+        return (
+            <ProgressBar
+              percent={0}
+              stepPositions={values}
+            >
+                {this.getIndicator("./images/user.png", "12", "12", alt, null)}
+                {this.getIndicator("./images/user.png", "12", "12", alt, null, "comparisonIndicator")}
+            </ProgressBar>
+          )
+    }
+
+    getIndicator(src, height, width, alt, click, className) {
         return <Step transition="scale">
             {({ accomplished }) => (
             <img onClick = {click}
                 alt={alt}
                 title={alt}
-                className="pointerExternalLink"
+                className={`pointerExternalLink${className?` ${className}`:''}`}
                 width={width}
                 height={height}
                 src={src}
@@ -139,7 +178,7 @@ export default class MovesTable extends React.Component {
         return <Popover trigger="hover" placement="right" isOpen={performancePopoverOpen} target={`p${this.props.namespace}${moveIndex}`} toggle={this.togglePerformancePopover(moveIndex)}>
                 <ReportControls moveDetails={openMove.details} simplifiedView={true} 
                 isOpen = {performancePopoverOpen} launchGame={this.props.launchGame} 
-                settings={this.props.settings} reportFooter ={this.reportFooter(moveIndex)}/>
+                settings={this.props.settings} sources={this.props.sources} reportFooter ={this.reportFooter(moveIndex)}/>
             </Popover>
     }
 
@@ -147,7 +186,36 @@ export default class MovesTable extends React.Component {
         let currMove = this.props.movesToShow[moveIndex]
 
         if(this.getTranspositionWarningLevel(moveIndex)!=='none') {
-            return <div>{this.getInfoIcon(moveIndex)}<b> This move has transpositions</b> <div>{currMove.san} has been played {currMove.moveCount === 1? `once`:`${currMove.moveCount} times`}  in this position but the resulting position has appeared {currMove.details.count} times through other move orders.</div></div>
+            return <div>{this.getInfoIcon(moveIndex)}<b> This move has transpositions</b> <div>{currMove.san} has been played {currMove.moveCount === 1? `once`:`${currMove.moveCount} times`}  in this position but the resulting position has appeared {currMove.details.count} times through other move orders.</div>
+                {this.moveOrders(moveIndex)}</div>
+        }
+    }
+
+    // the move orders are only rebuilt for the popover that is open
+    moveOrders(moveIndex) {
+        if(!this.props.moveOrdersAfter || this.state.openPerformanceIndex !== moveIndex) {
+            return null
+        }
+        let moveOrders = this.props.moveOrdersAfter(this.props.movesToShow[moveIndex].san)
+        if(moveOrders.length === 0) {
+            return null
+        }
+        return <div className="littlePaddingTop">
+            {moveOrders.slice(0, Constants.MOVE_ORDERS_MAX_SHOWN).map((moveOrder)=>
+                <div key={`${moveOrder.startFen}|${moveOrder.moves.join(' ')}`} className="linkStyle" onClick={this.goToMoveOrder(moveOrder)}>
+                    {moveText(moveOrder.moves)} ({moveOrder.count === 1?'once':`${moveOrder.count} times`})
+                </div>)}
+            {moveOrders.length > Constants.MOVE_ORDERS_MAX_SHOWN?
+                <div>and {moveOrders.length-Constants.MOVE_ORDERS_MAX_SHOWN} more move orders</div>:null}
+        </div>
+    }
+
+    goToMoveOrder(moveOrder) {
+        return (e) => {
+            e.stopPropagation()
+            this.setState({openPerformanceIndex:null})
+            this.props.goToLine(moveOrder.moves, moveOrder.startFen)
+            trackEvent(Constants.EVENT_CATEGORY_MOVES_LIST, "MoveOrderClicked")
         }
     }
 
@@ -167,6 +235,91 @@ export default class MovesTable extends React.Component {
         return "none"
     }
 
+    // evaluations come from the tree evaluation job in the analysis tab
+    // or from the evals written in the pgns of analysed games
+    hasEvaluations() {
+        return this.props.movesToShow.some(move=>!!move.evaluation || !!move.gameEvaluation)
+    }
+
+    evaluationCell(move) {
+        if(!this.hasEvaluations()) {
+            return null
+        }
+        let evaluation = move.evaluation
+        if(!evaluation && move.gameEvaluation) {
+            return <TableCell size="small" className="smallCol greyText"
+                title={`Average evaluation in ${gamesText(move.gameEvaluation.count)} with analysis`}>
+                {formatScore({cp:move.gameEvaluation.average})}
+            </TableCell>
+        }
+        return <TableCell size="small" className="smallCol" title={evaluation?`Depth ${evaluation.depth}`:null}>
+            {evaluation?formatScore(evaluation.score):''}
+        </TableCell>
+    }
+
+    // clock times come from the pgns of the games
+    hasTimeSpent() {
+        return this.props.movesToShow.some(move=>!!move.timeSpent)
+    }
+
+    timeCell(move) {
+        if(!this.hasTimeSpent()) {
+            return null
+        }
+        let timeSpent = move.timeSpent
+        return <TableCell size="small" className="smallCol"
+            title={timeSpent?`Average time spent on this move in ${gamesText(timeSpent.count)}`:null}>
+            {timeSpent?timeText(timeSpent.average):''}
+        </TableCell>
+    }
+
+    // the second tree is loaded from the recent trees in the user tab
+    hasComparison() {
+        return !!this.props.comparisonName
+    }
+
+    comparisonCell(move) {
+        if(!this.hasComparison()) {
+            return null
+        }
+        let comparison = move.comparison
+        if(!comparison || comparison.missing) {
+            return <TableCell size="small" className="smallCol" title={`Not played in ${this.props.comparisonName}`}>-</TableCell>
+        }
+        return <TableCell size="small" className="smallCol" title={`Played ${comparison.moveCount} times in ${this.props.comparisonName}`}>
+            {simplifyCount(comparison.moveCount)}
+        </TableCell>
+    }
+
+    rowClassName(move) {
+        let onlyInTree = this.hasComparison() && move.comparison && move.comparison.missing
+        let leavesRepertoire = move.repertoire && move.repertoire.leaves
+        return `${this.props.highlightMove === move.san?'bgColor ':''}${onlyInTree?'onlyInTree ':''}${leavesRepertoire?'leavesRepertoire ':''}moveRow`
+    }
+
+    // with both colors loaded the moves played by the player are told apart from the moves played against them
+    sanText(move) {
+        if(this.props.settings.playerColor !== Constants.PLAYER_COLOR_BOTH || !move.playerMoveCount) {
+            return move.san
+        }
+        return <b title={`Played by ${this.props.settings.playerName} in ${move.playerMoveCount} ${move.playerMoveCount === 1?'game':'games'}`}>{move.san}</b>
+    }
+
+    repertoireBadge(move) {
+        if(!move.repertoire || move.repertoire.leaves) {
+            return null
+        }
+        return <span className="repertoireMove" title={move.repertoire.comment || `In ${this.props.repertoireName}`}>R</span>
+    }
+
+    classificationBadge(move) {
+        let badge = CLASSIFICATION_BADGES[move.classification]
+        if(!badge) {
+            return null
+        }
+        return <span className={`moveClassification ${badge.className}`} title={move.classification}>{badge.symbol}</span>
+    }
+
     render() {
         let hasMoves = (this.props.movesToShow && this.props.movesToShow.length>0)
         if (!hasMoves)
@@ -197,6 +350,9 @@ export default class MovesTable extends React.Component {
                     settings={this.props.settings}
                     variant={this.props.variant}/>
             </TableCell>
+            {this.hasComparison()?<TableCell size="small" className="smallCol" title={this.props.comparisonName}><b>Compared</b></TableCell>:null}
+            {this.hasTimeSpent()?<TableCell size="small" className="smallCol"><b>Time</b></TableCell>:null}
+            {this.hasEvaluations()?<TableCell size="small" className="smallCol"><b>Eval</b></TableCell>:null}
         </TableRow></TableHead>
         <TableBody>
         {
@@ -210,7 +366,7 @@ export default class MovesTable extends React.Component {
         )}
     </TableBody>
         <TableFooter><TableRow>
-            <TableCell colSpan="3">
+            <TableCell colSpan={3+(this.hasComparison()?1:0)+(this.hasTimeSpent()?1:0)+(this.hasEvaluations()?1:0)}>
                 {this.props.tableFooter}
             </TableCell>
         </TableRow></TableFooter>
@@ -227,12 +383,12 @@ export default class MovesTable extends React.Component {
         }
     }
     getMultiItemRow(move, moveIndex) {
-        return <TableRow className={`${this.props.highlightMove === move.san?'bgColor ':''}moveRow`} 
+        return <TableRow className={this.rowClassName(move)} 
                         key = {`m${move.orig}${move.dest}${move.san}`} 
                         onClick={this.move(move.san)} 
                         onMouseOver={this.highlightArrowFn(move).bind(this)} 
                         onMouseOut={()=>this.props.highlightArrow(null)}>
-            <TableCell size="small" className="smallCol">{move.san} </TableCell>
+            <TableCell size="small" className="smallCol">{this.sanText(move)}{this.classificationBadge(move)}{this.repertoireBadge(move)} </TableCell>
             <TableCell size="small" id={`p${this.props.namespace}${moveIndex}`} className="smallCol" onClick ={this.togglePerformancePopover(moveIndex)}>
                 {simplifyCount(move.moveCount)}{this.getInfoIcon(moveIndex)}
                 {this.getPopover(moveIndex)}
@@ -249,12 +405,19 @@ export default class MovesTable extends React.Component {
                     <Progress bar className="grayMove" value={`${this.percentage(move.details.draws,move.details.count)}`}>{this.getProgressLabel(move.details.draws,move.details.count)}</Progress>
                     <Progress bar className="blackMove" value={`${this.percentage(move.details.blackWins,move.details.count)}`}>{this.getProgressLabel(move.details.blackWins,move.details.count)}</Progress>
                 </Progress></Col></Row>
+                {this.hasComparison()?
+                <Row className="scoresProgress"><Col className="navCol">
+                {this.comparisonScores(move)}
+                </Col></Row>:null}
                 {this.props.settings.movesSettings.openingBookWinsIndicator?
                 <Row className="zeroHeight"><Col className="navCol">
                 {this.compareProgress(move)}
                 </Col></Row>:null}
                 </Container>
             </TableCell>
+            {this.comparisonCell(move)}
+            {this.timeCell(move)}
+            {this.evaluationCell(move)}
         </TableRow>
     }
 
@@ -290,15 +453,18 @@ export default class MovesTable extends React.Component {
         let sampleResultBlack = playerDetails(lastPlayedGame.black, lastPlayedGame.blackElo)
         let sampleResult = lastPlayedGame.result
 
-        return <TableRow className={`${this.props.highlightMove === move.san?'bgColor ':''}moveRow`} 
+        return <TableRow className={this.rowClassName(move)} 
                 key = {`${move.orig}${move.dest}`} 
                 onClick={this.move(move.san)}
                 onMouseOver={this.highlightArrowFn(move).bind(this)} 
                 onMouseOut={()=>this.props.highlightArrow(null)}>
-                <TableCell size="small" className="smallCol">{move.san}</TableCell>
+                <TableCell size="small" className="smallCol">{this.sanText(move)}{this.classificationBadge(move)}{this.repertoireBadge(move)}</TableCell>
                 <TableCell colSpan = "2">
                         {sampleResultWhite} {sampleResult} {sampleResultBlack} {<FontAwesomeIcon className="pointerExternalLink" onClick ={this.props.launchGame(move.details.lastPlayedGame)} icon={faExternalLinkAlt}/>}
                 </TableCell>
+                {this.comparisonCell(move)}
+                {this.timeCell(move)}
+                {this.evaluationCell(move)}
             </TableRow>
     }
 
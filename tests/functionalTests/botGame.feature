@@ -0,0 +1,35 @@
+@botGame
+Feature: Games against a bot of the loaded player
+  Scenario: Moves are in the repertoire only if the player played them
+    When set "pgnString" to:
+      """
+      1. e4 c5 2. Nf3 1-0
+      """
+    When add pgn item "pgnString" to opening graph as source "lichess"
+    When check if "e4" is a repertoire move for fen "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1"
+    Then "${lastRun}" is equal to "true"
+    When check if "d4" is a repertoire move for fen "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1"
+    Then "${lastRun}" is equal to "false"
+
+  Scenario: The exported game marks where it leaves the repertoire
+    When set "moves" to:
+      """
+      [{"san":"e4","inRepertoire":true},{"san":"c5","inRepertoire":true},{"san":"Nc3","inRepertoire":false},{"san":"Nc6","inRepertoire":false},{"san":"Nf3","inRepertoire":true}]
+      """
+    When create bot game pgn for moves item "moves" against "player"
+    Then "${lastRun}" is equal to "1. e4 c5 2. Nc3 {Leaves the repertoire of player} 2... Nc6 3. Nf3 {Back in the repertoire of player} *"
+
+  Scenario: Games from another start position are exported with the position they started from
+    When set "moves" to:
+      """
+      [{"san":"Kd7","inRepertoire":true},{"san":"e4","inRepertoire":false}]
+      """
+    When create bot game pgn from fen "4k3/8/8/8/8/8/4P3/4K3 b - - 0 1" for moves item "moves" against "player"
+    Then "${lastRun.moves}" is equal to "1... Kd7 2. e4 {Leaves the repertoire of player} *"
+    And "${lastRun.headers}" is equal to:
+      """
+      [Event "Training game"]
+      [Result "*"]
+      [SetUp "1"]
+      [FEN "4k3/8/8/8/8/8/4P3/4K3 b - - 0 1"]
+      """
@@ -0,0 +1,54 @@
+@loadProgress
+Feature: Track the progress of a load
+  Scenario: The total is estimated from the archives read so far
+    When set "steps" to:
+      """
+      [["setArchiveCount",4],["gamesFound",30],["archiveRead"],["gamesFound",10],["archiveRead"]]
+      """
+    When record load progress item "steps"
+    Then "${lastRun.fractionDone}" is equal to "0.5"
+    And "${lastRun.expectedTotal}" is equal to 80
+    And "${lastRun.gamesRead}" is equal to 40
+
+  Scenario: Without archives the expected total gives the progress
+    When set "steps" to:
+      """
+      [["setExpectedTotal",200],["gamesFound",50],["setCurrentStep","games played on 2020.05.01"]]
+      """
+    When record load progress item "steps"
+    Then "${lastRun.fractionDone}" is equal to "0.25"
+    And "${lastRun.currentStep}" is equal to "games played on 2020.05.01"
+
+  Scenario: Skipped games are counted by reason
+    When set "steps" to:
+      """
+      [["gamesFound",10],["skip","variant"],["skip","variant"],["skip","parseFailure"]]
+      """
+    When record load progress item "steps"
+    Then "${lastRun.skipped.variant}" is equal to 2
+    And "${lastRun.skipped.parseFailure}" is equal to 1
+    And "${lastRun.gamesAccepted}" is equal to 7
+
+  Scenario: The load report lists the games that were not added with the reason
+    When set "pgnString" to:
+      """
+      [White "a"]
+
+      1. e4 e5 1-0
+
+
+      [White "b"]
+
+      1. e4 e5 2. Ke3 Nc6 1-0
+
+
+      [White "c"]
+
+      1. e4 e5 2. Nf3 Nc6 1-0
+      """
+    When get the load report of pgn item "pgnString"
+    Then "${lastRun.rejectedGames.length}" is equal to 2
+    And "${lastRun.rejectedGames[0].reason}" is equal to "shortGame"
+    And "${lastRun.rejectedGames[1].reason}" is equal to "illegalMove"
+    And "${lastRun.rejectedGames[1].detail}" is equal to "illegal move Ke3 at ply 3"
+    And "${lastRun.notListed}" is equal to 0
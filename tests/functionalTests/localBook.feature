@@ -0,0 +1,25 @@
+@localBook
+Feature: Opening book built from a local pgn database
+  Scenario: Moves are returned in the same shape as the lichess explorer
+    When set "pgnString" to:
+      """
+      [WhiteElo "2000"]
+      [BlackElo "2200"]
+
+      1. e4 e5 2. Nf3 1-0
+
+      [WhiteElo "2400"]
+
+      1. e4 c5 0-1
+
+      1. d4 d5 1/2-1/2
+
+      1. c4 *
+      """
+    When index pgn item "pgnString" into a local book and get moves for fen "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1"
+    Then "${lastRun.moves.length}" is equal to 2
+    And "${lastRun.moves[0].san}" is equal to "e4"
+    And "${lastRun.moves[0].white}" is equal to 1
+    And "${lastRun.moves[0].black}" is equal to 1
+    And "${lastRun.moves[0].averageRating}" is equal to 2250
+    And "${lastRun.moves[1].draws}" is equal to 1
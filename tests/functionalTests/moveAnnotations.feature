@@ -0,0 +1,69 @@
+@moveAnnotations
+Feature: Clock times and evaluations from pgn comments
+  Background:
+    When set "pgnString" to:
+      """
+      [TimeControl "180+2"]
+      [Site "https://lichess.org/game1"]
+
+      1. e4 { [%eval 0.3] [%clk 0:03:00] } 1... e5 { [%eval 0.25] [%clk 0:02:55] } 2. Nf3 { [%eval #4] [%clk 0:02:50] } 2... Nc6 { [%clk 0:02:57] } 1-0
+
+      [TimeControl "180+2"]
+      [Site "https://lichess.org/game2"]
+
+      1. e4 { [%eval 0.1] [%clk 0:02:58] } 1... c5 { [%clk 0:02:40] } 2. Nf3 { [%clk 0:02:10] } 2... d6 { [%clk 0:02:41] } 0-1
+
+      [TimeControl "-"]
+      [Site "https://lichess.org/game3"]
+
+      1. e4 { [%clk 0:00:10] } 1... e5 { [%clk 0:00:10] } 2. Nf3 { [%clk 0:00:10] } 1/2-1/2
+      """
+
+  Scenario: Time spent is the change of the clock plus the increment
+    When set "clockPgn" to:
+      """
+      [TimeControl "180+2"]
+
+      1. e4 { [%clk 0:03:00] } 1... e5 { [%clk 0:02:55] } 2. Nf3 { [%clk 0:02:50.5] } 2... Nc6 *
+      """
+    When read move annotations from pgn item "clockPgn"
+    Then "${lastRun.timeSpent}" is equal to:
+      """
+      [2, 7, 11.5, null]
+      """
+    And "${lastRun.evaluations === undefined}" is equal to "true"
+
+  Scenario: Games are averaged in the opening graph
+    When add pgn item "pgnString" to opening graph as source "lichess"
+    When get moves for fen "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1" from opening graph
+    Then "${lastRun[0].san}" is equal to "e4"
+    And "${lastRun[0].timeSpent.average}" is equal to 3
+    And "${lastRun[0].timeSpent.count}" is equal to 2
+    And "${lastRun[0].gameEvaluation.average}" is equal to 20
+    When get moves for fen "rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2" from opening graph
+    Then "${lastRun[0].timeSpent.average}" is equal to 12
+    And "${lastRun[0].gameEvaluation.average}" is equal to 1000
+    And "${lastRun[0].gameEvaluation.count}" is equal to 1
+
+  Scenario: The annotations are kept with the moves and not with the games
+    When add pgn item "pgnString" to opening graph as source "lichess"
+    Then "${lastRun.pgnStats[0].timeSpent === undefined}" is equal to "true"
+    And "${lastRun.pgnStats[0].evaluations === undefined}" is equal to "true"
+    And "${lastRun.gameAnnotations[1].timeSpent.length}" is equal to 4
+    And "${lastRun.gameAnnotations[2]}" is equal to "null"
+
+  Scenario: Annotations of the other sources are kept when a source is removed
+    When add pgn item "pgnString" to opening graph as source "lichess"
+    And set "otherPgnString" to:
+      """
+      [TimeControl "180+2"]
+      [Site "https://lichess.org/game4"]
+
+      1. e4 { [%clk 0:02:30] } 1... e5 { [%clk 0:02:30] } 2. Nf3 { [%clk 0:02:30] } 1-0
+      """
+    When add pgn item "otherPgnString" to opening graph as source "chess.com"
+    And remove source 1 from opening graph
+    And get moves for fen "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1" from opening graph
+    Then "${lastRun[0].timeSpent.average}" is equal to 3
+    And "${lastRun[0].timeSpent.count}" is equal to 2
+    And "${lastRun[0].gameEvaluation.average}" is equal to 20
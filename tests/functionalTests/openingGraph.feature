@@ -0,0 +1,376 @@
+@openingGraph
+Feature: Build an opening graph from games
+  Scenario: Merge games from multiple sources into one tree
+    When add pgn string '1. e4 e5 2. Nf3 Nc6 3. Bb5 a6 1-0' to opening graph as source "lichess"
+    And add pgn string '1. e4 c5 2. Nf3 d6 3. d4 cxd4 0-1' to opening graph as source "chess.com"
+    Then "${lastRun.pgnStats.length}" is equal to 2
+    And "${lastRun.sources.length}" is equal to 2
+    And "${lastRun.pgnStats[1].source}" is equal to 1
+    When get details for fen string 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1' from opening graph
+    Then "${lastRun.count}" is equal to 2
+    And "${lastRun.sources[0].whiteWins}" is equal to 1
+    And "${lastRun.sources[1].blackWins}" is equal to 1
+
+  Scenario: Remove a source from the tree
+    When add pgn string '1. e4 e5 2. Nf3 Nc6 3. Bb5 a6 1-0' to opening graph as source "lichess"
+    And add pgn string '1. d4 d5 2. c4 e6 3. Nc3 Nf6 0-1' to opening graph as source "chess.com"
+    And remove source 0 from opening graph
+    Then "${lastRun.pgnStats.length}" is equal to 1
+    And "${lastRun.sources.length}" is equal to 1
+    And "${lastRun.sources[0].label}" is equal to "chess.com"
+    When get details for fen string 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1' from opening graph
+    Then "${lastRun.hasData}" is equal to "false"
+
+  Scenario: Sources are kept when a tree is saved and restored
+    When add pgn string '1. e4 e5 2. Nf3 Nc6 3. Bb5 a6 1-0' to opening graph as source "lichess"
+    And add pgn string '1. d4 d5 2. c4 e6 3. Nc3 Nf6 0-1' to opening graph as source "chess.com"
+    And set "header" to:
+      """
+      {"site":"lichess","settings":{"playerName":"player","playerColor":"white"}}
+      """
+    When save the opening graph with header item "header" and restore it
+    Then "${lastRun.sources.length}" is equal to 2
+    And "${lastRun.sources[1].label}" is equal to "chess.com"
+    And "${lastRun.sources[1].gameCount}" is equal to 1
+    And "${lastRun.pgnStats[1].source}" is equal to 1
+    When remove source 0 from opening graph
+    Then "${lastRun.pgnStats.length}" is equal to 1
+    And "${lastRun.sources[0].label}" is equal to "chess.com"
+
+  Scenario: Trees saved without sources get one source from the header
+    When add pgn string '1. e4 e5 2. Nf3 Nc6 3. Bb5 a6 1-0' to opening graph as source "lichess"
+    And add pgn string '1. d4 d5 2. c4 e6 3. Nc3 Nf6 0-1' to opening graph as source "chess.com"
+    And set "header" to:
+      """
+      {"site":"lichess","settings":{"playerName":"player","playerColor":"white"}}
+      """
+    When save the opening graph with header item "header" and restore it without sources
+    Then "${lastRun.sources.length}" is equal to 1
+    And "${lastRun.sources[0].label}" is equal to "player"
+    And "${lastRun.sources[0].site}" is equal to "lichess"
+    And "${lastRun.sources[0].gameCount}" is equal to 2
+    And "${lastRun.pgnStats[1].source}" is equal to 0
+    When get details for fen string 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1' from opening graph
+    Then "${lastRun.count}" is equal to 1
+
+  Scenario: Games already in the tree are not added again
+    When set "pgnString" to:
+      """
+      [Site "https://lichess.org/game1"]
+      [Date "2020.05.23"]
+
+      1. e4 e5 2. Nf3 Nc6 3. Bb5 a6 1-0
+
+
+      [Site "https://lichess.org/game2"]
+      [Date "2020.06.02"]
+
+      1. d4 d5 2. c4 e6 3. Nc3 Nf6 0-1
+      """
+    When add pgn item "pgnString" to opening graph as source "lichess"
+    And get newest game date of source 0 from opening graph
+    Then "${lastRun.year}" is equal to 2020
+    And "${lastRun.month}" is equal to 6
+    And "${lastRun.day}" is equal to 2
+    When set "pgnString" to:
+      """
+      [Site "https://lichess.org/game2"]
+      [Date "2020.06.02"]
+
+      1. d4 d5 2. c4 e6 3. Nc3 Nf6 0-1
+
+
+      [Site "https://lichess.org/game3"]
+      [Date "2020.06.03"]
+
+      1. e4 c5 2. Nf3 d6 3. d4 cxd4 1/2-1/2
+      """
+    When add pgn item "pgnString" to opening graph as source "lichess update"
+    Then "${lastRun.pgnStats.length}" is equal to 3
+    And "${lastRun.sources[1].gameCount}" is equal to 1
+
+  Scenario: List every game that passed through a position
+    When set "pgnString" to:
+      """
+      [White "a"]
+      [Black "b"]
+      [Date "2020.01.01"]
+      [BlackElo "1500"]
+
+      1. e4 e5 2. Nf3 Nc6 3. Bb5 a6 1-0
+
+
+      [White "a"]
+      [Black "c"]
+      [Date "2021.01.01"]
+      [BlackElo "2000"]
+
+      1. e4 c5 2. Nf3 d6 3. d4 cxd4 0-1
+
+
+      [White "a"]
+      [Black "d"]
+      [Date "2019.01.01"]
+      [BlackElo "1800"]
+
+      1. d4 d5 2. c4 e6 3. Nc3 Nf6 1/2-1/2
+      """
+    When add pgn item "pgnString" to opening graph as source "lichess"
+    And get games for fen string 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1' from opening graph sorted by "date" with result "all"
+    Then "${lastRun.totalCount}" is equal to 2
+    And "${lastRun.games[0].black}" is equal to "c"
+    When get games for fen string 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1' from opening graph sorted by "opponentElo" with result "all"
+    Then "${lastRun.totalCount}" is equal to 3
+    And "${lastRun.games[1].black}" is equal to "d"
+    When get games for fen string 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1' from opening graph sorted by "date" with result "loss"
+    Then "${lastRun.totalCount}" is equal to 1
+
+  Scenario: Games without a date are listed after the dated ones
+    When set "pgnString" to:
+      """
+      [White "a"]
+      [Black "b"]
+      [Date "2020.01.01"]
+
+      1. e4 e5 2. Nf3 Nc6 1-0
+
+
+      [White "a"]
+      [Black "c"]
+
+      1. e4 c5 2. Nf3 d6 0-1
+
+
+      [White "a"]
+      [Black "d"]
+      [Date "2021.??.??"]
+
+      1. e4 e6 2. d4 d5 1-0
+
+
+      [White "a"]
+      [Black "e"]
+      [Date "2021.03.01"]
+
+      1. e4 d5 2. exd5 Qxd5 1-0
+      """
+    When add pgn item "pgnString" to opening graph as source "pgnfile"
+    And get games for fen string 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1' from opening graph sorted by "date" with result "all"
+    Then "${lastRun.totalCount}" is equal to 4
+    And "${lastRun.games[0].black}" is equal to "e"
+    And "${lastRun.games[1].black}" is equal to "b"
+    And "${lastRun.games[2].black}" is equal to "d"
+    And "${lastRun.games[3].black}" is equal to "c"
+
+  Scenario: Find positions where the player struggles
+    When set "pgnString" to:
+      """
+      1. e4 e5 0-1
+
+      1. e4 e5 0-1
+
+      1. e4 e5 0-1
+
+      1. e4 e5 0-1
+
+      1. e4 e5 1-0
+
+      1. e4 c5 1-0
+
+      1. e4 c5 1-0
+
+      1. e4 c5 1-0
+
+      1. e4 c5 1-0
+
+      1. e4 c5 1-0
+
+      1. e4 d5 1-0
+      """
+    When add pgn item "pgnString" to opening graph as source "lichess"
+    And create gap report from opening graph for "white"
+    Then "${lastRun.lowScores.length}" is equal to 1
+    And "${lastRun.lowScores[0]}" is equal to "e4 e5"
+    And "${lastRun.rarelyFaced.length}" is equal to 1
+    And "${lastRun.rarelyFaced[0]}" is equal to "e4 d5"
+
+  Scenario: Most played positions are evaluated first and evaluations show on the moves
+    When set "pgnString" to:
+      """
+      1. e4 e5 2. Nf3 1-0
+
+      1. e4 e5 2. Bc4 0-1
+
+      1. d4 d5 1/2-1/2
+      """
+    When add pgn item "pgnString" to opening graph as source "lichess"
+    And get top 2 positions to evaluate from opening graph
+    Then "${lastRun.length}" is equal to 2
+    And "${lastRun[0]}" is equal to "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1"
+    And "${lastRun[1]}" is equal to "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1"
+    When set "evaluation" to:
+      """
+      {"score":{"cp":30},"depth":16}
+      """
+    When set evaluation item "evaluation" for fen "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1" in opening graph
+    Then "${lastRun[0].san}" is equal to "e4"
+    And "${lastRun[0].evaluation.score.cp}" is equal to 30
+
+  Scenario: Moves that lose winning chances are flagged as mistakes
+    When set "pgnString" to:
+      """
+      1. e4 e5 1-0
+
+      1. e4 f6 1-0
+
+      1. e4 f6 1-0
+      """
+    When add pgn item "pgnString" to opening graph as source "lichess"
+    And set "evaluations" to:
+      """
+      {"e4":{"score":{"cp":30},"depth":16,"bestMove":"e7e5"},
+       "e5":{"score":{"cp":30},"depth":16},
+       "f6":{"score":{"cp":250},"depth":16}}
+      """
+    When set evaluation item "evaluations.e4" for fen "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1" in opening graph
+    And set evaluation item "evaluations.e5" for fen "rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2" in opening graph
+    And set evaluation item "evaluations.f6" for fen "rnbqkbnr/ppppp1pp/5p2/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2" in opening graph
+    And find mistakes in opening graph for "white"
+    Then "${lastRun.length}" is equal to 1
+    And "${lastRun[0].san}" is equal to "f6"
+    And "${lastRun[0].classification}" is equal to "blunder"
+    And "${lastRun[0].moveCount}" is equal to 2
+    And "${lastRun[0].byPlayer}" is equal to "false"
+
+  Scenario: Mistakes are also found in games set up from another position
+    When set "pgnString" to:
+      """
+      [White "a"]
+      [SetUp "1"]
+      [FEN "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1"]
+
+      1. e4 Kf7 2. Kf2 Kg6 1-0
+
+
+      [White "b"]
+
+      1. e4 e5 2. Nf3 1-0
+      """
+    When read pgn item "pgnString" into opening graph
+    And set "evaluations" to:
+      """
+      {"e4":{"score":{"cp":0},"depth":16,"bestMove":"e8d7"},
+       "Kf7":{"score":{"cp":500},"depth":16}}
+      """
+    When set evaluation item "evaluations.e4" for fen "4k3/8/8/8/4P3/8/8/4K3 b - - 0 1" in opening graph
+    And set evaluation item "evaluations.Kf7" for fen "8/5k2/8/8/4P3/8/8/4K3 w - - 1 2" in opening graph
+    And find mistakes in opening graph for "white"
+    Then "${lastRun.length}" is equal to 1
+    And "${lastRun[0].san}" is equal to "Kf7"
+    And "${lastRun[0].startFen}" is equal to "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1"
+    And "${lastRun[0].moves[0]}" is equal to "e4"
+
+  Scenario: Move orders that transpose into a position are listed
+    When set "pgnString" to:
+      """
+      1. d4 d5 2. c4 e6 3. Nc3 1-0
+
+      1. c4 e6 2. d4 d5 0-1
+
+      1. d4 d5 2. c4 e6 0-1
+      """
+    When add pgn item "pgnString" to opening graph as source "lichess"
+    And get move orders for fen "rnbqkbnr/ppp2ppp/4p3/3p4/2PP4/8/PP2PPPP/RNBQKBNR w KQkq - 0 3" from opening graph
+    Then "${lastRun.length}" is equal to 2
+    And "${lastRun[0].moves}" is equal to "d4 d5 c4 e6"
+    And "${lastRun[0].count}" is equal to 2
+    And "${lastRun[1].moves}" is equal to "c4 e6 d4 d5"
+    And "${lastRun[1].count}" is equal to 1
+
+  Scenario: Move orders tell the position their moves start from
+    When set "pgnString" to:
+      """
+      [White "a"]
+      [SetUp "1"]
+      [FEN "rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2"]
+
+      2. Nf3 Nc6 3. Bb5 1-0
+
+
+      [White "b"]
+
+      1. e4 e5 2. Nf3 Nc6 1-0
+      """
+    When read pgn item "pgnString" into opening graph
+    And get move orders for fen "r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3" from opening graph
+    Then "${lastRun.length}" is equal to 2
+    And "${lastRun[0].moves}" is equal to "Nf3 Nc6"
+    And "${lastRun[0].startFen}" is equal to "rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2"
+    And "${lastRun[1].moves}" is equal to "e4 e5 Nf3 Nc6"
+    And "${lastRun[1].startFen}" is equal to "null"
+
+  Scenario: Games of both colors are counted with the color the player had in each game
+    When set "pgnString" to:
+      """
+      [White "alice"]
+      [Black "bob"]
+      [WhiteElo "1500"]
+      [BlackElo "1400"]
+
+      1. e4 e5 2. Nf3 Nc6 1-0
+
+
+      [White "carol"]
+      [Black "alice"]
+      [WhiteElo "1600"]
+      [BlackElo "1500"]
+
+      1. e4 c5 2. Nf3 d6 0-1
+
+
+      [White "dave"]
+      [Black "alice"]
+      [WhiteElo "1300"]
+      [BlackElo "1500"]
+
+      1. d4 d5 2. c4 e6 1-0
+      """
+    When add pgn item "pgnString" to opening graph for player "alice" playing both colors
+    Then "${lastRun.pgnStats[0].playerColor}" is equal to "white"
+    And "${lastRun.pgnStats[1].playerColor}" is equal to "black"
+    When get details for fen string 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1' from opening graph
+    Then "${lastRun.count}" is equal to 3
+    And "${lastRun.playerWins}" is equal to 2
+    And "${lastRun.playerLosses}" is equal to 1
+    And "${lastRun.bestWinElo}" is equal to "1600"
+    And "${lastRun.worstLossElo}" is equal to "1300"
+    When get moves for fen "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1" from opening graph
+    Then "${lastRun[0].san}" is equal to "e4"
+    And "${lastRun[0].moveCount}" is equal to 2
+    And "${lastRun[0].playerMoveCount}" is equal to 1
+    And "${lastRun[1].san}" is equal to "d4"
+    And "${lastRun[1].playerMoveCount}" is equal to 0
+
+  Scenario: Games set up from another position start their own tree
+    When set "pgnString" to:
+      """
+      [White "a"]
+      [SetUp "1"]
+      [FEN "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1"]
+
+      1. e4 Kd7 2. Kf2 Kd6 1-0
+
+
+      [White "b"]
+
+      1. e4 e5 2. Nf3 Nc6 1-0
+      """
+    When read pgn item "pgnString" into opening graph
+    Then "${lastRun.pgnStats[0].startFen}" is equal to "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1"
+    When get the root positions of the opening graph
+    Then "${lastRun.length}" is equal to 2
+    And "${lastRun[0].isCustom}" is equal to "false"
+    And "${lastRun[1].fen}" is equal to "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1"
+    And "${lastRun[1].gameCount}" is equal to 1
+    When get moves for fen "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1" from opening graph
+    Then "${lastRun[0].san}" is equal to "e4"
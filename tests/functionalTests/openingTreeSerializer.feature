@@ -0,0 +1,53 @@
+@openingTreeSerializer
+Feature: Save and load opening tree files
+  Scenario: A saved tree is read back unchanged
+    When set "tree" to:
+      """
+      {"header":{"variant":"standard","playerName":"player"},"arraySizes":[2500,3]}
+      """
+    When save opening tree item "tree"
+    Then "${lastRun.error}" is equal to "null"
+    And "${lastRun.message}" is equal to "Saved opening tree to file test.tree"
+    When read back the saved opening tree
+    Then "${lastRun.error}" is equal to "null"
+    And "${lastRun.header.playerName}" is equal to "player"
+    And "${lastRun.arraySizes.length}" is equal to 2
+    And "${lastRun.isIntact}" is equal to "true"
+
+  Scenario: A changed chunk fails its checksum
+    When set "tree" to:
+      """
+      {"header":{"variant":"standard"},"arraySizes":[2500,3]}
+      """
+    When save opening tree item "tree"
+    And read back the saved opening tree with its last byte changed
+    Then "${lastRun.error}" is equal to "Chunk 3 of the input file is corrupted"
+    And "${lastRun.errorDetail}" is equal to "The file may have been truncated or modified"
+
+  Scenario: A truncated file names the chunk that is cut short
+    When set "tree" to:
+      """
+      {"header":{"variant":"standard"},"arraySizes":[2500]}
+      """
+    When save opening tree item "tree"
+    And read back the saved opening tree with its last 10 bytes removed
+    Then "${lastRun.error}" is equal to "Chunk 2 of the input file is corrupted"
+
+  Scenario: A file that could not be closed is not reported as saved
+    When set "tree" to:
+      """
+      {"header":{"variant":"standard"},"arraySizes":[10]}
+      """
+    When save opening tree item "tree" to a file that fails to close
+    Then "${lastRun.error}" is equal to "Could not save file"
+
+  Scenario: Version 1 files can still be read
+    When set "tree" to:
+      """
+      {"header":{"variant":"standard","playerName":"player"},"arraySizes":[1500,20]}
+      """
+    When read legacy opening tree item "tree"
+    Then "${lastRun.error}" is equal to "null"
+    And "${lastRun.header.playerName}" is equal to "player"
+    And "${lastRun.arraySizes.length}" is equal to 2
+    And "${lastRun.isIntact}" is equal to "true"
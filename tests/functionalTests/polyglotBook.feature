@@ -0,0 +1,53 @@
+@polyglotBook
+Feature: Export the opening tree as a Polyglot book
+  Scenario Outline: Position keys match the Polyglot specification
+    When get polyglot key for fen string '<fen>'
+    Then "${lastRun}" is equal to "<key>"
+    Examples:
+      | fen                                                          | key              |
+      | rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1     | 463b96181691fc9c |
+      | rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1  | 823c9b50fd114196 |
+      | rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3 | 22a48b5a8e47ff78 |
+      | rnbq1bnr/ppp1pkpp/8/3pPp2/8/8/PPPPKPPP/RNBQ1BNR w - - 0 4    | 00fdd303c946bdd9 |
+
+  Scenario: Build a book from the moves in the tree
+    When add pgn string '1. e4 e5 2. Nf3 Nc6 1-0' to opening graph as source "lichess"
+    And add pgn string '1. e4 c5 2. Nf3 d6 0-1' to opening graph as source "lichess"
+    And add pgn string '1. d4 d5 2. c4 e6 1-0' to opening graph as source "lichess"
+    And set "options" to:
+      """
+      {"minGames":2,"maxPlies":10}
+      """
+    When create polyglot book from opening graph with options item "options"
+    Then "${lastRun.length}" is equal to 1
+    And "${lastRun[0].key}" is equal to "463b96181691fc9c"
+    And "${lastRun[0].move}" is equal to 796
+    And "${lastRun[0].weight}" is equal to 2
+    When set "options" to:
+      """
+      {"minGames":1,"maxPlies":1}
+      """
+    When create polyglot book from opening graph with options item "options"
+    Then "${lastRun.length}" is equal to 2
+
+  Scenario: Games set up from another position are in the book
+    When set "pgnString" to:
+      """
+      [White "a"]
+      [SetUp "1"]
+      [FEN "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1"]
+
+      1. e4 Kf7 2. Kf2 Kg6 1-0
+
+
+      [White "b"]
+
+      1. e4 e5 2. Nf3 1-0
+      """
+    When read pgn item "pgnString" into opening graph
+    And set "options" to:
+      """
+      {"minGames":1,"maxPlies":1}
+      """
+    When create polyglot book from opening graph with options item "options"
+    Then "${lastRun.length}" is equal to 2
@@ -0,0 +1,27 @@
+@positionSearch
+Feature: Searching positions in the opening tree
+  Background:
+    When set "pgnString" to:
+      """
+      1. d4 d5 2. c4 e6 3. Nc3 Nf6 4. e3 Be7 5. Bd3 1-0
+
+      1. c4 e6 2. d4 d5 3. Nc3 Nf6 0-1
+
+      1. e4 e5 1/2-1/2
+      """
+    When add pgn item "pgnString" to opening graph as source "lichess"
+
+  Scenario: Search by a board pattern
+    When search positions "pawns on c4/d4/e3, bishop on d3" in opening graph
+    Then "${lastRun.totalResults}" is equal to 1
+    And "${lastRun.results[0].fen}" is equal to "rnbqk2r/ppp1bppp/4pn2/3p4/2PP4/2NBP3/PP3PPP/R1BQK1NR b KQkq - 0 1"
+
+  Scenario: Search by moves finds transpositions
+    When search positions "1. d4 e6 2. c4 d5" in opening graph
+    Then "${lastRun.totalResults}" is equal to 1
+    And "${lastRun.results[0].count}" is equal to 2
+    And "${lastRun.results[0].score}" is equal to 50
+
+  Scenario: Unknown patterns are reported
+    When search positions "queens on x9" in opening graph
+    Then "${lastRun.error.startsWith('Could not understand')}" is equal to "true"
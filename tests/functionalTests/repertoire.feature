@@ -0,0 +1,40 @@
+@repertoire
+Feature: Repertoire imported from a pgn with variations
+  Background:
+    When set "repertoirePgn" to:
+      """
+      1. e4 {our main weapon} (1. d4 d5 2. c4) 1... e5 (1... c5 2. Nf3 {open sicilian}) 2. Nf3 Nc6 *
+      """
+    When import repertoire item "repertoirePgn"
+
+  Scenario: Variations and comments are kept
+    Then "${lastRun.positions}" is equal to 7
+    When get repertoire moves for fen "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1"
+    Then "${lastRun.length}" is equal to 2
+    And "${lastRun[0].san}" is equal to "e4"
+    And "${lastRun[0].comment}" is equal to "our main weapon"
+    And "${lastRun[1].san}" is equal to "d4"
+
+  Scenario: The navigator shows the repertoire with its variations
+    When show the imported repertoire in the navigator
+    Then "${lastRun}" is equal to "1. e4 (1. d4 d5 2. c4) 1... e5 (1... c5 2. Nf3) 2. Nf3 Nc6 *"
+
+  Scenario: Games leaving the repertoire are found
+    When set "pgnString" to:
+      """
+      1. e4 e5 2. Nf3 Nf6 1-0
+
+      1. e4 e5 2. Nf3 Nf6 1/2-1/2
+
+      1. e4 e6 0-1
+
+      1. d4 d5 2. c4 1-0
+      """
+    When add pgn item "pgnString" to opening graph as source "lichess"
+    When find where the opening graph leaves the repertoire
+    Then "${lastRun.length}" is equal to 2
+    And "${lastRun[0].moves}" is equal to "e4 e5 Nf3"
+    And "${lastRun[0].san}" is equal to "Nf6"
+    And "${lastRun[0].color}" is equal to "black"
+    And "${lastRun[0].count}" is equal to 2
+    And "${lastRun[1].san}" is equal to "e6"
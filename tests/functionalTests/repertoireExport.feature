@@ -0,0 +1,51 @@
+@repertoireExport
+Feature: Export the opening tree as an annotated pgn repertoire
+  Scenario: Most played moves are the main line and the others are variations
+    When add pgn string '1. e4 e5 2. Nf3 1-0' to opening graph as source "lichess"
+    And add pgn string '1. e4 c5 2. Nf3 0-1' to opening graph as source "lichess"
+    And add pgn string '1. d4 d5 2. c4 1-0' to opening graph as source "lichess"
+    And set "options" to:
+      """
+      {"minGames":1,"maxPlies":2}
+      """
+    When create repertoire pgn from opening graph with options item "options"
+    Then "${lastRun.headers.length}" is equal to 3
+    And "${lastRun.moves}" is equal to "1. e4 {2 games, +1-1=0, score 50% for white} ( 1. d4 {1 game, +1-0=0, score 100% for white} 1... d5 {1 game, +1-0=0, score 100% for white} ) 1... e5 {1 game, +1-0=0, score 100% for white} ( 1... c5 {1 game, +0-1=0, score 0% for white} ) *"
+
+  Scenario: Moves played less often than the minimum are left out
+    When add pgn string '1. e4 e5 2. Nf3 1-0' to opening graph as source "lichess"
+    And add pgn string '1. e4 c5 2. Nf3 0-1' to opening graph as source "lichess"
+    And add pgn string '1. d4 d5 2. c4 1-0' to opening graph as source "lichess"
+    And set "options" to:
+      """
+      {"minGames":2,"maxPlies":10}
+      """
+    When create repertoire pgn from opening graph with options item "options"
+    Then "${lastRun.moves}" is equal to "1. e4 {2 games, +1-1=0, score 50% for white} *"
+
+  Scenario: Games set up from another position are exported as their own game
+    When set "pgnString" to:
+      """
+      [White "a"]
+      [SetUp "1"]
+      [FEN "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1"]
+
+      1. e4 Kf7 2. Kf2 Kg6 1-0
+
+
+      [White "b"]
+
+      1. e4 e5 2. Nf3 1-0
+      """
+    When read pgn item "pgnString" into opening graph
+    And set "options" to:
+      """
+      {"minGames":1,"maxPlies":1}
+      """
+    When create repertoire pgn games from opening graph with options item "options"
+    Then "${lastRun.length}" is equal to 2
+    And "${lastRun[0].headers.FEN}" is equal to "undefined"
+    And "${lastRun[0].moves}" is equal to "1. e4 {1 game, +1-0=0, score 100% for white} *"
+    And "${lastRun[1].headers.SetUp}" is equal to "1"
+    And "${lastRun[1].headers.FEN}" is equal to "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1"
+    And "${lastRun[1].moves}" is equal to "1. e4 {1 game, +1-0=0, score 100% for white} *"
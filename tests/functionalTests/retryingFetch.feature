@@ -0,0 +1,60 @@
+@retryingFetch
+Feature: Fetch games with retries and a limit on the requests to the same site
+  Scenario: A rate limited request is retried after the time the server asks for
+    When set "answers" to:
+      """
+      [{"status":429,"headers":{"Retry-After":"1"}},{"status":200,"body":"1. e4 e5 1-0"}]
+      """
+    When start a mock http server answering item "answers"
+    And set "options" to:
+      """
+      {"retryBaseDelayMs":10}
+      """
+    When fetch 1 urls from the mock http server with options item "options"
+    Then "${lastRun.responses[0].statusCode}" is equal to 200
+    And "${lastRun.responses[0].body}" is equal to "1. e4 e5 1-0"
+    And "${lastRun.requestCount}" is equal to 2
+    And "${lastRun.secondsWaited}" is equal to 1
+
+  Scenario: Server errors are retried with backoff until the retries run out
+    When set "answers" to:
+      """
+      [{"status":503}]
+      """
+    When start a mock http server answering item "answers"
+    And set "options" to:
+      """
+      {"retryBaseDelayMs":10,"maxRetries":2}
+      """
+    When fetch 1 urls from the mock http server with options item "options"
+    Then "${lastRun.responses[0].statusCode}" is equal to 503
+    And "${lastRun.requestCount}" is equal to 3
+
+  Scenario: Responses that are not errors are not retried
+    When set "answers" to:
+      """
+      [{"status":404,"body":"not found"}]
+      """
+    When start a mock http server answering item "answers"
+    And set "options" to:
+      """
+      {"retryBaseDelayMs":10}
+      """
+    When fetch 1 urls from the mock http server with options item "options"
+    Then "${lastRun.responses[0].statusCode}" is equal to 404
+    And "${lastRun.requestCount}" is equal to 1
+
+  Scenario: Only a few requests run against the same site at once
+    When set "answers" to:
+      """
+      [{"status":200,"body":"games","delayMs":100}]
+      """
+    When start a mock http server answering item "answers"
+    And set "options" to:
+      """
+      {"maxRequestsPerHost":2}
+      """
+    When fetch 5 urls from the mock http server with options item "options"
+    Then "${lastRun.requestCount}" is equal to 5
+    And "${lastRun.maxConcurrent}" is equal to 2
+    And "${lastRun.responses[4].body}" is equal to "games"
@@ -66,3 +66,665 @@ MAFWhen('load pgn {jsonObject}', async function (obj) {
     return "done"
 })
 
+
+MAFWhen('add pgn {jsonObject} to opening graph as source {string}', function (obj, label) {
+    var OpeningGraph = require('../../dist/app/OpeningGraph').default
+    var PGNParser = require('../../dist/app/PGNParser')
+    var PGNReader = require('../../dist/app/PGNReader')
+    var pgnString = performJSONObjectTransform.call(this, obj)
+    if (!this.results.openingGraph) {
+        this.results.openingGraph = new OpeningGraph('standard')
+    }
+    var openingGraph = this.results.openingGraph
+    var MoveAnnotations = require('../../dist/app/MoveAnnotations')
+    var reader = new PGNReader.default('standard')
+    openingGraph.addSource({ label: label })
+    PGNParser.parse(pgnString).forEach(function (game) {
+        var replayedGame = openingGraph.replayMoves(game.moves.map(function (move) { return move.move }).join(' '))
+        openingGraph.addPGN(reader.gameResult(game, 'lichess'), replayedGame.parsedMoves,
+            replayedGame.lastFen, this.results.color || 'white', MoveAnnotations.moveAnnotations(game))
+    }, this)
+    return openingGraph.graph
+})
+
+MAFWhen('add pgn {jsonObject} to opening graph for player {string} playing both colors', function (obj, playerName) {
+    var OpeningGraph = require('../../dist/app/OpeningGraph').default
+    var PGNParser = require('../../dist/app/PGNParser')
+    var PGNReader = require('../../dist/app/PGNReader')
+    var IteratorUtils = require('../../dist/app/iterator/IteratorUtils')
+    var Constants = require('../../dist/app/Constants')
+    var pgnString = performJSONObjectTransform.call(this, obj)
+    if (!this.results.openingGraph) {
+        this.results.openingGraph = new OpeningGraph('standard')
+    }
+    var openingGraph = this.results.openingGraph
+    var reader = new PGNReader.default('standard')
+    openingGraph.addSource({ label: playerName })
+    PGNParser.parse(pgnString).forEach(function (game) {
+        var replayedGame = openingGraph.replayMoves(game.moves.map(function (move) { return move.move }).join(' '))
+        var pgnStats = reader.gameResult(game, 'lichess')
+        pgnStats.playerColor = IteratorUtils.playerColorInGame(Constants.PLAYER_COLOR_BOTH, game.headers,
+            function (name) { return name === playerName })
+        openingGraph.addPGN(pgnStats, replayedGame.parsedMoves, replayedGame.lastFen, Constants.PLAYER_COLOR_BOTH)
+    })
+    return openingGraph.graph
+})
+
+MAFWhen('remove source {int} from opening graph', function (sourceIndex) {
+    var openingGraph = this.results.openingGraph
+    openingGraph.removeSource(sourceIndex)
+    return openingGraph.graph
+})
+
+// saved trees go through json like they do in a .tree file
+function restoreOpeningGraph(world, header) {
+    var OpeningGraph = require('../../dist/app/OpeningGraph').default
+    var openingTreeSave = JSON.parse(JSON.stringify({ header: header, arrays: world.results.openingGraph.savedArrays() }))
+    var restoredGraph = new OpeningGraph('standard')
+    restoredGraph.setSavedEntries(openingTreeSave)
+    world.results.openingGraph = restoredGraph
+    return restoredGraph.graph
+}
+
+MAFWhen('save the opening graph with header {jsonObject} and restore it', function (obj) {
+    var header = performJSONObjectTransform.call(this, obj)
+    header.sources = this.results.openingGraph.getSources()
+    return restoreOpeningGraph(this, header)
+})
+
+MAFWhen('save the opening graph with header {jsonObject} and restore it without sources', function (obj) {
+    return restoreOpeningGraph(this, performJSONObjectTransform.call(this, obj))
+})
+
+MAFWhen('get newest game date of source {int} from opening graph', function (sourceIndex) {
+    var date = this.results.openingGraph.newestGameDate(sourceIndex)
+    return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() }
+})
+
+MAFWhen('get details for fen {jsonObject} from opening graph', function (obj) {
+    var fen = performJSONObjectTransform.call(this, obj)
+    return this.results.openingGraph.getDetailsForFen(fen)
+})
+
+MAFWhen('get games for fen {jsonObject} from opening graph sorted by {string} with result {string}', function (obj, sortBy, result) {
+    var fen = performJSONObjectTransform.call(this, obj)
+    return this.results.openingGraph.gamesForFen(fen, { sortBy: sortBy, result: result, page: 0, pageSize: 10 })
+})
+
+MAFWhen('get polyglot key for fen {jsonObject}', function (obj) {
+    var PolyglotBook = require('../../dist/app/PolyglotBook')
+    var fen = performJSONObjectTransform.call(this, obj)
+    return PolyglotBook.polyglotKeyHex(fen)
+})
+
+MAFWhen('create polyglot book from opening graph with options {jsonObject}', function (obj) {
+    var PolyglotBook = require('../../dist/app/PolyglotBook')
+    var options = performJSONObjectTransform.call(this, obj)
+    var book = PolyglotBook.createPolyglotBook(this.results.openingGraph, options)
+    var view = new DataView(book.buffer)
+    var entries = []
+    for (var offset = 0; offset < book.length; offset += 16) {
+        entries.push({
+            key: view.getUint32(offset).toString(16).padStart(8, '0') + view.getUint32(offset + 4).toString(16).padStart(8, '0'),
+            move: view.getUint16(offset + 8),
+            weight: view.getUint16(offset + 10)
+        })
+    }
+    return entries
+})
+
+MAFWhen('create repertoire pgn games from opening graph with options {jsonObject}', function (obj) {
+    var RepertoireExport = require('../../dist/app/RepertoireExport')
+    var options = performJSONObjectTransform.call(this, obj)
+    var pgn = RepertoireExport.createRepertoirePgn(this.results.openingGraph, options, 'Repertoire')
+    return pgn.split(/\n\n(?=\[)/).map(function (game) {
+        var sections = game.split('\n\n')
+        var headers = {}
+        sections[0].split('\n').forEach(function (header) {
+            var match = header.match(/^\[(\w+) "(.*)"\]$/)
+            headers[match[1]] = match[2]
+        })
+        return {
+            headers: headers,
+            moves: sections[1].replace(/\n/g, ' ').trim()
+        }
+    })
+})
+
+MAFWhen('create repertoire pgn from opening graph with options {jsonObject}', function (obj) {
+    var RepertoireExport = require('../../dist/app/RepertoireExport')
+    var options = performJSONObjectTransform.call(this, obj)
+    var pgn = RepertoireExport.createRepertoirePgn(this.results.openingGraph, options, 'Repertoire')
+    var sections = pgn.split('\n\n')
+    return {
+        headers: sections[0].split('\n'),
+        moves: sections[1].replace(/\n/g, ' ').trim()
+    }
+})
+
+MAFWhen('create gap report from opening graph for {string}', function (playerColor) {
+    var GapReport = require('../../dist/app/GapReport')
+    var report = GapReport.createGapReport(this.results.openingGraph, playerColor)
+    return {
+        lowScores: report.lowScores.map(function (entry) { return entry.moves.join(' ') }),
+        rarelyFaced: report.rarelyFaced.map(function (entry) { return entry.moves.join(' ') })
+    }
+})
+
+MAFWhen('get top {int} positions to evaluate from opening graph', function (positionCount) {
+    var TreeEvaluation = require('../../dist/app/TreeEvaluation')
+    return TreeEvaluation.topPositions(this.results.openingGraph, positionCount)
+})
+
+MAFWhen('set evaluation {jsonObject} for fen {string} in opening graph', function (obj, fen) {
+    this.results.openingGraph.setEvaluation(fen, performJSONObjectTransform.call(this, obj))
+    return this.results.openingGraph.movesForFen('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1')
+})
+
+MAFWhen('find mistakes in opening graph for {string}', function (playerColor) {
+    var MoveClassification = require('../../dist/app/MoveClassification')
+    return MoveClassification.findMistakes(this.results.openingGraph, playerColor)
+})
+
+MAFWhen('index pgn {jsonObject} into a local book and get moves for fen {string}', function (obj, fen) {
+    var LocalBook = require('../../dist/app/book/LocalBook')
+    var PGNParser = require('../../dist/app/PGNParser')
+    var pgnString = performJSONObjectTransform.call(this, obj)
+    var positions = LocalBook.indexGames(PGNParser.parse(pgnString), 'standard')
+    return LocalBook.bookMovesFromRecord(positions.get(LocalBook.bookKey('standard', fen)))
+})
+
+MAFWhen('get expected training moves for {jsonObject}', function (obj) {
+    var RepertoireTrainer = require('../../dist/app/RepertoireTrainer')
+    return RepertoireTrainer.expectedMoves(performJSONObjectTransform.call(this, obj))
+})
+
+function answerRepeatedly(fen, startFen, sanMoves, playedSan, expectedSans, answerCount) {
+    var RepertoireTrainer = require('../../dist/app/RepertoireTrainer')
+    var progress = RepertoireTrainer.emptyProgress()
+    for (var i = 0; i < answerCount; i++) {
+        RepertoireTrainer.recordAnswer(progress, fen, startFen, sanMoves, playedSan, expectedSans, 0)
+    }
+    return {
+        card: Object.values(progress.cards)[0],
+        mistakes: progress.mistakes,
+        mistakeCount: progress.mistakes.length,
+        dueNow: RepertoireTrainer.dueCards(progress, 0).length
+    }
+}
+
+MAFWhen('answer {string} when {jsonObject} is expected {int} times', function (playedSan, obj, answerCount) {
+    var fen = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1'
+    return answerRepeatedly(fen, null, ['e4'], playedSan, performJSONObjectTransform.call(this, obj), answerCount)
+})
+
+MAFWhen('answer {string} in the start position {string} when {jsonObject} is expected', function (playedSan, startFen, obj) {
+    return answerRepeatedly(startFen, startFen, [], playedSan, performJSONObjectTransform.call(this, obj), 1)
+})
+
+MAFWhen('create bot game pgn for moves {jsonObject} against {string}', function (obj, botName) {
+    var BotPlayer = require('../../dist/app/BotPlayer')
+    var moves = performJSONObjectTransform.call(this, obj)
+    var startFen = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'
+    return BotPlayer.createBotGamePgn(startFen, moves, { Event: 'Training game', Result: '*' }, botName).split('\n\n')[1].trim()
+})
+
+MAFWhen('create bot game pgn from fen {string} for moves {jsonObject} against {string}', function (startFen, obj, botName) {
+    var BotPlayer = require('../../dist/app/BotPlayer')
+    var moves = performJSONObjectTransform.call(this, obj)
+    var pgnParts = BotPlayer.createBotGamePgn(startFen, moves, { Event: 'Training game', Result: '*' }, botName).split('\n\n')
+    return { headers: pgnParts[0], moves: pgnParts[1].trim() }
+})
+
+MAFWhen('check if {string} is a repertoire move for fen {string}', function (san, fen) {
+    var BotPlayer = require('../../dist/app/BotPlayer')
+    return BotPlayer.isRepertoireMove(this.results.openingGraph, fen, san)
+})
+
+MAFWhen('compare opening graph with pgn {jsonObject} for fen {string}', function (obj, fen) {
+    var OpeningGraph = require('../../dist/app/OpeningGraph').default
+    var PGNParser = require('../../dist/app/PGNParser')
+    var PGNReader = require('../../dist/app/PGNReader')
+    var TreeComparison = require('../../dist/app/TreeComparison')
+    var comparisonGraph = new OpeningGraph('standard')
+    var reader = new PGNReader.default('standard')
+    comparisonGraph.addSource({ label: 'comparison' })
+    PGNParser.parse(performJSONObjectTransform.call(this, obj)).forEach(function (game) {
+        var replayedGame = comparisonGraph.replayMoves(game.moves.map(function (move) { return move.move }).join(' '))
+        comparisonGraph.addPGN(reader.gameResult(game, 'lichess'), replayedGame.parsedMoves,
+            replayedGame.lastFen, this.results.color || 'white')
+    }, this)
+    var moves = this.results.openingGraph.movesForFen(fen)
+    var onlyInComparison = TreeComparison.compareTreeMoves(moves, comparisonGraph.movesForFen(fen))
+    return { moves: moves, onlyInComparison: onlyInComparison }
+})
+
+MAFWhen('search positions {string} in opening graph', function (searchText) {
+    var PositionSearch = require('../../dist/app/PositionSearch')
+    return PositionSearch.searchPositions(this.results.openingGraph, searchText, 'white')
+})
+
+MAFWhen('get move orders for fen {string} from opening graph', function (fen) {
+    return this.results.openingGraph.moveOrdersForFen(fen).map(function (moveOrder) {
+        return { moves: moveOrder.moves.join(' '), count: moveOrder.count, startFen: moveOrder.startFen }
+    })
+})
+
+MAFWhen('explore lines {jsonObject} and export them as pgn', function (obj) {
+    var OpeningManager = require('../../dist/app/OpeningManager').default
+    var openingManager = new OpeningManager('standard')
+    performJSONObjectTransform.call(this, obj).forEach(function (line) {
+        openingManager.moveTo(openingManager.root)
+        openingManager.addLine(line)
+    })
+    this.results.openingManager = openingManager
+    return openingManager.toPgn('Variations').split('\n\n')[1].trim()
+})
+
+MAFWhen('make the current variation the main line and export it as pgn', function () {
+    var openingManager = this.results.openingManager
+    openingManager.makeMainLine(openingManager.current)
+    return openingManager.toPgn('Variations').split('\n\n')[1].trim()
+})
+
+// sans from the root to the current move of the navigator
+function exploredLine(openingManager) {
+    var sans = []
+    for (var node = openingManager.current; node.parent; node = node.parent) {
+        sans.unshift(node.move.san)
+    }
+    return sans.join(' ')
+}
+
+function exploredNode(openingManager, line) {
+    var node = openingManager.root
+    line.forEach(function (san) {
+        node = node.children.find(function (child) { return child.move.san === san })
+    })
+    return node
+}
+
+MAFWhen('go to the explored line {jsonObject}', function (obj) {
+    var openingManager = this.results.openingManager
+    openingManager.moveTo(exploredNode(openingManager, performJSONObjectTransform.call(this, obj)))
+    return exploredLine(openingManager)
+})
+
+MAFWhen('delete the explored line {jsonObject}', function (obj) {
+    var openingManager = this.results.openingManager
+    openingManager.deleteBranch(exploredNode(openingManager, performJSONObjectTransform.call(this, obj)))
+    return {
+        pgn: openingManager.toPgn('Variations').split('\n\n')[1].trim(),
+        currentLine: exploredLine(openingManager)
+    }
+})
+
+MAFWhen('switch to the {string} variation', function (direction) {
+    var openingManager = this.results.openingManager
+    openingManager.switchVariation(direction === 'previous' ? -1 : 1)
+    return exploredLine(openingManager)
+})
+
+MAFWhen('play {string} after the current move', function (san) {
+    var ChessLogic = require('../../dist/app/chess/ChessLogic')
+    var openingManager = this.results.openingManager
+    var chess = ChessLogic.chessLogic('standard', openingManager.fen())
+    var move = chess.move(san)
+    openingManager.addPly(chess.fen(), move)
+    return {
+        currentLine: exploredLine(openingManager),
+        variationCount: openingManager.current.parent.children.length
+    }
+})
+
+MAFWhen('toggle the explored line {jsonObject}', function (obj) {
+    var openingManager = this.results.openingManager
+    var node = exploredNode(openingManager, performJSONObjectTransform.call(this, obj))
+    openingManager.toggleCollapsed(node)
+    return { collapsed: node.collapsed }
+})
+
+MAFWhen('import repertoire {jsonObject}', function (obj) {
+    var Repertoire = require('../../dist/app/Repertoire').default
+    var PGNParser = require('../../dist/app/PGNParser')
+    var repertoire = new Repertoire('standard', 'repertoire.pgn')
+    PGNParser.parse(performJSONObjectTransform.call(this, obj)).forEach(function (pgn) {
+        repertoire.addPgn(pgn)
+    })
+    this.results.repertoire = repertoire
+    return { positions: repertoire.positionCount(), chapters: repertoire.chapters.length }
+})
+
+MAFWhen('get repertoire moves for fen {string}', function (fen) {
+    return this.results.repertoire.movesForFen(fen)
+})
+
+MAFWhen('show the imported repertoire in the navigator', function () {
+    var OpeningManager = require('../../dist/app/OpeningManager').default
+    var openingManager = new OpeningManager('standard')
+    this.results.repertoire.chapters.forEach(function (chapter) {
+        openingManager.moveTo(openingManager.root)
+        openingManager.addPgnMoves(chapter)
+    })
+    return openingManager.toPgn('Repertoire').split('\n\n')[1].trim()
+})
+
+MAFWhen('find where the opening graph leaves the repertoire', function () {
+    var Repertoire = require('../../dist/app/Repertoire')
+    return Repertoire.findDeviations(this.results.openingGraph, this.results.repertoire).map(function (deviation) {
+        return { moves: deviation.moves.join(' '), san: deviation.san, color: deviation.color, count: deviation.moveCount }
+    })
+})
+
+MAFWhen('read move annotations from pgn {jsonObject}', function (obj) {
+    var MoveAnnotations = require('../../dist/app/MoveAnnotations')
+    var PGNParser = require('../../dist/app/PGNParser')
+    return MoveAnnotations.moveAnnotations(PGNParser.parse(performJSONObjectTransform.call(this, obj))[0])
+})
+
+MAFWhen('get moves for fen {string} from opening graph', function (fen) {
+    return this.results.openingGraph.movesForFen(fen)
+})
+
+MAFWhen('start a mock http server answering {jsonObject}', function (obj) {
+    var http = require('http')
+    // the answers are given to the requests in order and the last one is repeated
+    var answers = performJSONObjectTransform.call(this, obj)
+    var stats = { requestCount: 0, running: 0, maxConcurrent: 0 }
+    var server = http.createServer(function (req, res) {
+        var answer = answers[Math.min(stats.requestCount, answers.length - 1)]
+        stats.requestCount++
+        stats.running++
+        stats.maxConcurrent = Math.max(stats.maxConcurrent, stats.running)
+        setTimeout(function () {
+            stats.running--
+            res.writeHead(answer.status, answer.headers || {})
+            res.end(answer.body || '')
+        }, answer.delayMs || 0)
+    })
+    this.results.mockServer = { server: server, stats: stats }
+    return new Promise(function (resolve) {
+        server.listen(0, '127.0.0.1', function () {
+            resolve(server.address().port)
+        })
+    })
+})
+
+MAFWhen('fetch {int} urls from the mock http server with options {jsonObject}', function (count, obj) {
+    var RetryingFetch = require('../../dist/app/iterator/RetryingFetch')
+    var options = performJSONObjectTransform.call(this, obj)
+    var mockServer = this.results.mockServer
+    var url = 'http://127.0.0.1:' + mockServer.server.address().port + '/games'
+    var startTime = Date.now()
+    var fetches = []
+    for (var i = 0; i < count; i++) {
+        fetches.push(new Promise(function (resolve) {
+            RetryingFetch.fetchText(url, options, function (error, statusCode, body) {
+                resolve({ statusCode: statusCode, body: body, error: error ? error.message : null })
+            })
+        }))
+    }
+    return Promise.all(fetches).then(function (responses) {
+        mockServer.server.close()
+        return {
+            responses: responses,
+            requestCount: mockServer.stats.requestCount,
+            maxConcurrent: mockServer.stats.maxConcurrent,
+            secondsWaited: Math.floor((Date.now() - startTime) / 1000)
+        }
+    })
+})
+
+MAFWhen('record load progress {jsonObject}', function (obj) {
+    var LoadProgress = require('../../dist/app/LoadProgress')
+    // every step is a method of the progress and its arguments
+    var steps = performJSONObjectTransform.call(this, obj)
+    var progress = new LoadProgress.default()
+    steps.forEach(function (step) {
+        progress[step[0]].apply(progress, step.slice(1))
+    })
+    clearTimeout(progress.reportTimer)
+    return progress.snapshot()
+})
+
+MAFWhen('get the load report of pgn {jsonObject}', function (obj) {
+    var PGNParser = require('../../dist/app/PGNParser')
+    var PGNReader = require('../../dist/app/PGNReader')
+    var LoadProgress = require('../../dist/app/LoadProgress')
+    var games = PGNParser.parse(performJSONObjectTransform.call(this, obj))
+    var reader = new PGNReader.default('standard')
+    reader.progress = new LoadProgress.default()
+    reader.pendingDownloads = false
+    reader.pendingGames = games.length
+    reader.continueProcessingGames = true
+    return new Promise(function (resolve) {
+        reader.parsePGNTimed('pgnfile', games, 0, {}, 'white', 'player', function () {
+            return Promise.resolve(true)
+        }, function () { }, function () {
+            // the last game is read right after the reader says it is done
+            setTimeout(function () {
+                clearTimeout(reader.progress.reportTimer)
+                resolve(reader.loadReport())
+            }, 10)
+        })
+    })
+})
+
+MAFWhen('read pgn {jsonObject} into opening graph', function (obj) {
+    var OpeningGraph = require('../../dist/app/OpeningGraph').default
+    var PGNParser = require('../../dist/app/PGNParser')
+    var PGNReader = require('../../dist/app/PGNReader')
+    var LoadProgress = require('../../dist/app/LoadProgress')
+    var games = PGNParser.parse(performJSONObjectTransform.call(this, obj))
+    var openingGraph = new OpeningGraph('standard')
+    this.results.openingGraph = openingGraph
+    var reader = new PGNReader.default('standard')
+    reader.progress = new LoadProgress.default()
+    reader.pendingDownloads = false
+    reader.pendingGames = games.length
+    reader.continueProcessingGames = true
+    return new Promise(function (resolve) {
+        reader.parsePGNTimed('pgnfile', games, 0, {}, 'white', 'player', function (downloadLimit, n, parsedGame) {
+            openingGraph.addPGN(parsedGame.pgnStats, parsedGame.parsedMoves, parsedGame.latestFen, parsedGame.playerColor,
+                parsedGame.annotations)
+            return Promise.resolve(true)
+        }, function () { }, function () {
+            setTimeout(function () {
+                clearTimeout(reader.progress.reportTimer)
+                resolve(openingGraph.graph)
+            }, 10)
+        })
+    })
+})
+
+MAFWhen('get the root positions of the opening graph', function () {
+    return this.results.openingGraph.rootPositions()
+})
+
+// the tree files are written with streamsaver and read with FileReader. neither is in node
+// so the saved bytes are collected in memory and read back from a Blob
+global.document = global.document || { documentElement: { style: {} } }
+function treeArrays(arraySizes) {
+    return arraySizes.map(function (size, arrayIndex) {
+        var array = []
+        for (var i = 0; i < size; i++) {
+            array.push({ array: arrayIndex, index: i })
+        }
+        return array
+    })
+}
+
+function saveOpeningTree(world, tree, writerFailure) {
+    var streamsaver = require('streamsaver')
+    var OpeningTreeSerializer = require('../../dist/app/OpeningTreeSerializer')
+    var chunks = []
+    var createWriteStream = streamsaver.createWriteStream
+    streamsaver.createWriteStream = function () {
+        return {
+            getWriter: function () {
+                return {
+                    write: function (data) {
+                        chunks.push(Buffer.from(data))
+                        return Promise.resolve()
+                    },
+                    close: function () {
+                        return writerFailure === 'close' ? Promise.reject(new Error('disk full')) : Promise.resolve()
+                    },
+                    abort: function () {
+                        return Promise.reject(new Error('already closed'))
+                    }
+                }
+            }
+        }
+    }
+    return new Promise(function (resolve) {
+        OpeningTreeSerializer.serializeOpeningTree({ header: tree.header, arrays: treeArrays(tree.arraySizes) },
+            'test.tree', function (error, message) {
+                streamsaver.createWriteStream = createWriteStream
+                world.results.savedTree = { tree: tree, bytes: Buffer.concat(chunks) }
+                resolve({ error: error, message: message })
+            })
+    })
+}
+
+function readOpeningTree(tree, bytes) {
+    var OpeningTreeSerializer = require('../../dist/app/OpeningTreeSerializer')
+    var NodeBlob = require('buffer').Blob
+    var NodeFileReader = global.FileReader
+    global.FileReader = function () { }
+    global.FileReader.prototype.readAsArrayBuffer = function (blob) {
+        var reader = this
+        blob.arrayBuffer().then(function (result) {
+            reader.onload({ target: { result: result } })
+        }, function (error) {
+            reader.onerror({ target: { error: error } })
+        })
+    }
+    return new Promise(function (resolve) {
+        OpeningTreeSerializer.deserializeOpeningTree(new NodeBlob([bytes]), function (error, treeData, errorDetail) {
+            global.FileReader = NodeFileReader
+            resolve({
+                error: error,
+                errorDetail: errorDetail,
+                header: treeData && treeData.header,
+                arraySizes: treeData && treeData.arrays.map(function (array) { return array.length }),
+                isIntact: !!treeData && JSON.stringify(treeData.arrays) === JSON.stringify(treeArrays(tree.arraySizes))
+            })
+        })
+    })
+}
+
+MAFWhen('save opening tree {jsonObject}', function (obj) {
+    return saveOpeningTree(this, performJSONObjectTransform.call(this, obj))
+})
+
+MAFWhen('save opening tree {jsonObject} to a file that fails to close', function (obj) {
+    return saveOpeningTree(this, performJSONObjectTransform.call(this, obj), 'close')
+})
+
+MAFWhen('read back the saved opening tree', function () {
+    var savedTree = this.results.savedTree
+    return readOpeningTree(savedTree.tree, savedTree.bytes)
+})
+
+MAFWhen('read back the saved opening tree with its last {int} bytes removed', function (count) {
+    var savedTree = this.results.savedTree
+    return readOpeningTree(savedTree.tree, savedTree.bytes.slice(0, savedTree.bytes.length - count))
+})
+
+MAFWhen('read back the saved opening tree with its last byte changed', function () {
+    var savedTree = this.results.savedTree
+    var bytes = Buffer.from(savedTree.bytes)
+    bytes[bytes.length - 1] = bytes[bytes.length - 1] ^ 0xFF
+    return readOpeningTree(savedTree.tree, bytes)
+})
+
+// version 1 files are a header chunk and the array chunks, each deflated and preceded by its size
+MAFWhen('read legacy opening tree {jsonObject}', function (obj) {
+    var zlib = require('zlib')
+    var tree = performJSONObjectTransform.call(this, obj)
+    var controlWord = function (control) {
+        var word = Buffer.alloc(8)
+        word.writeUInt16BE(0x1337, 0)
+        word.writeUInt32BE(control, 2)
+        word.writeUInt16BE(0xC0D3, 6)
+        return word
+    }
+    var chunks = [{ chunk: tree.header, index: 0, arraySizes: tree.arraySizes }]
+    treeArrays(tree.arraySizes).forEach(function (array) {
+        for (var i = 0; i < array.length; i += 1000) {
+            chunks.push({ chunk: array.slice(i, i + 1000), index: chunks.length })
+        }
+    })
+    var parts = [controlWord(0x1), controlWord(chunks.length)]
+    chunks.forEach(function (chunk) {
+        var data = zlib.deflateSync(Buffer.from(JSON.stringify(chunk)))
+        parts.push(controlWord(data.length), data)
+    })
+    return readOpeningTree(tree, Buffer.concat(parts))
+})
+
+// the workspace is kept in IndexedDB which is not in node. this keeps the stores in memory
+// and completes each transaction once the requests made in it have their results
+global.indexedDB = {
+    open: function () {
+        var stores = {}
+        var database = {
+            objectStoreNames: { contains: function (storeName) { return !!stores[storeName] } },
+            createObjectStore: function (storeName) { stores[storeName] = new Map() },
+            transaction: function (storeName) {
+                var store = stores[storeName]
+                var transaction = {
+                    objectStore: function () {
+                        var request = function (result) { return { result: result } }
+                        return {
+                            get: function (key) { return request(store.get(key)) },
+                            getAll: function () { return request([...store.values()]) },
+                            put: function (value, key) { store.set(key, value); return request(key) },
+                            delete: function (key) { store.delete(key); return request(undefined) }
+                        }
+                    }
+                }
+                setTimeout(function () { transaction.oncomplete() }, 0)
+                return transaction
+            }
+        }
+        var openRequest = { result: database }
+        setTimeout(function () {
+            openRequest.onupgradeneeded()
+            openRequest.onsuccess()
+        }, 0)
+        return openRequest
+    }
+}
+
+MAFWhen('get the workspace tree name of sources {jsonObject} for variant {string}', function (obj, variant) {
+    var TreeWorkspace = require('../../dist/app/TreeWorkspace')
+    return TreeWorkspace.workspaceTreeName(performJSONObjectTransform.call(this, obj), variant)
+})
+
+MAFWhen('save {int} trees to the workspace', function (treeCount) {
+    var TreeWorkspace = require('../../dist/app/TreeWorkspace')
+    var saveTrees = function (treeIndex) {
+        if (treeIndex > treeCount) {
+            return Promise.resolve()
+        }
+        // trees saved in the same millisecond would have no order
+        return new Promise(function (resolve) { setTimeout(resolve, 2) }).then(function () {
+            return TreeWorkspace.saveTree('tree ' + treeIndex, { header: { gamesProcessed: treeIndex, variant: 'standard' }, arrays: [] })
+        }).then(function () {
+            return saveTrees(treeIndex + 1)
+        })
+    }
+    return saveTrees(1).then(function () {
+        return TreeWorkspace.recentTrees()
+    }).then(function (summaries) {
+        return Promise.all([summaries, TreeWorkspace.loadTree('tree 1'), TreeWorkspace.loadTree('tree ' + treeCount)])
+    }).then(function (results) {
+        return {
+            treeNames: results[0].map(function (summary) { return summary.name }),
+            oldestTree: results[1] || null,
+            newestTree: results[2]
+        }
+    })
+})
@@ -0,0 +1,44 @@
+@trainer
+Feature: Repertoire trainer
+  Scenario: The most played move and the moves played often enough are accepted
+    When set "moves" to:
+      """
+      [{"san":"e5","moveCount":2},{"san":"c5","moveCount":7},{"san":"e6","moveCount":1}]
+      """
+    When get expected training moves for item "moves"
+    Then "${lastRun.length}" is equal to 2
+    And "${lastRun[0]}" is equal to "c5"
+    And "${lastRun[1]}" is equal to "e5"
+
+  Scenario: Correct answers are reviewed less often
+    When set "expected" to:
+      """
+      ["c5"]
+      """
+    When answer "c5" when item "expected" is expected 3 times
+    Then "${lastRun.card.box}" is equal to 3
+    And "${lastRun.card.reviews}" is equal to 3
+    And "${lastRun.card.startFen}" is equal to "null"
+    And "${lastRun.mistakeCount}" is equal to 0
+    And "${lastRun.dueNow}" is equal to 0
+
+  Scenario: Wrong answers are logged and reviewed again right away
+    When set "expected" to:
+      """
+      ["c5"]
+      """
+    When answer "e6" when item "expected" is expected 2 times
+    Then "${lastRun.card.box}" is equal to 0
+    And "${lastRun.card.lapses}" is equal to 2
+    And "${lastRun.mistakeCount}" is equal to 2
+    And "${lastRun.dueNow}" is equal to 1
+
+  Scenario: Cards and mistakes remember the position their line starts from
+    When set "expected" to:
+      """
+      ["Kd2"]
+      """
+    When answer "e4" in the start position "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1" when item "expected" is expected
+    Then "${lastRun.card.startFen}" is equal to "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1"
+    And "${lastRun.card.moves.length}" is equal to 0
+    And "${lastRun.mistakes[0].startFen}" is equal to "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1"
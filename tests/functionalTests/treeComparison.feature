@@ -0,0 +1,30 @@
+@treeComparison
+Feature: Comparing two opening trees
+  Scenario: Moves are compared with the moves of the other tree in the same position
+    When set "pgnString" to:
+      """
+      1. e4 e5 1-0
+
+      1. e4 c5 0-1
+
+      1. d4 d5 1/2-1/2
+      """
+    When add pgn item "pgnString" to opening graph as source "student"
+    When set "comparisonPgnString" to:
+      """
+      1. e4 e5 1-0
+
+      1. c4 e5 1-0
+
+      1. c4 c5 1-0
+      """
+    When compare opening graph with pgn item "comparisonPgnString" for fen "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1"
+    Then "${lastRun.moves[0].san}" is equal to "e4"
+    And "${lastRun.moves[0].comparison.moveCount}" is equal to 1
+    And "${lastRun.moves[0].comparison.score}" is equal to 100
+    And "${lastRun.moves[0].comparison.treeScore}" is equal to 50
+    And "${lastRun.moves[1].san}" is equal to "d4"
+    And "${lastRun.moves[1].comparison.missing}" is equal to "true"
+    And "${lastRun.onlyInComparison.length}" is equal to 1
+    And "${lastRun.onlyInComparison[0].san}" is equal to "c4"
+    And "${lastRun.onlyInComparison[0].moveCount}" is equal to 2
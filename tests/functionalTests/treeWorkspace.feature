@@ -0,0 +1,27 @@
+@treeWorkspace
+Feature: Keep loaded trees in the local workspace
+  Scenario: Trees are named after their sources
+    When set "sources" to:
+      """
+      [{"label":"player on lichess","playerColor":"white"},{"label":"games.pgn"}]
+      """
+    When get the workspace tree name of sources item "sources" for variant "standard"
+    Then "${lastRun}" is equal to "player on lichess as white, games.pgn"
+    When get the workspace tree name of sources item "sources" for variant "atomic"
+    Then "${lastRun}" is equal to "player on lichess as white, games.pgn (atomic)"
+
+  Scenario: A tree without sources gets a default name
+    When set "sources" to:
+      """
+      []
+      """
+    When get the workspace tree name of sources item "sources" for variant "standard"
+    Then "${lastRun}" is equal to "Opening tree"
+
+  Scenario: Only the most recently saved trees are kept
+    When save 11 trees to the workspace
+    Then "${lastRun.treeNames.length}" is equal to 10
+    And "${lastRun.treeNames[0]}" is equal to "tree 11"
+    And "${lastRun.treeNames[9]}" is equal to "tree 2"
+    And "${lastRun.oldestTree}" is equal to "null"
+    And "${lastRun.newestTree.header.gamesProcessed}" is equal to 11
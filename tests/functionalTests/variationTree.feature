@@ -0,0 +1,69 @@
+@variationTree
+Feature: Variation tree of the navigator
+  Background:
+    When set "lines" to:
+      """
+      [["e4","e5","Nf3","Nc6"],["e4","c5","Nf3","d6"],["e4","c5","Nc3"],["d4","d5"]]
+      """
+
+  Scenario: Explored lines are kept as variations and exported as RAVs
+    When explore lines item "lines" and export them as pgn
+    Then "${lastRun}" is equal to "1. e4 (1. d4 d5) 1... e5 (1... c5 2. Nf3 (2. Nc3) 2... d6) 2. Nf3 Nc6 *"
+    When make the current variation the main line and export it as pgn
+    Then "${lastRun}" is equal to "1. d4 (1. e4 e5 (1... c5 2. Nf3 (2. Nc3) 2... d6) 2. Nf3 Nc6) 1... d5 *"
+
+  Scenario: Deleting a branch removes everything after it and moves back out of it
+    When explore lines item "lines" and export them as pgn
+    And set "paths" to:
+      """
+      {"sicilian":["e4","c5"],"najdorf":["e4","c5","Nf3","d6"],"queensPawn":["d4"]}
+      """
+    When go to the explored line item "paths.najdorf"
+    And delete the explored line item "paths.sicilian"
+    Then "${lastRun.pgn}" is equal to "1. e4 (1. d4 d5) 1... e5 2. Nf3 Nc6 *"
+    And "${lastRun.currentLine}" is equal to "e4"
+    When delete the explored line item "paths.queensPawn"
+    Then "${lastRun.pgn}" is equal to "1. e4 e5 2. Nf3 Nc6 *"
+    And "${lastRun.currentLine}" is equal to "e4"
+
+  Scenario: Switching variations stops at the first and the last one
+    When explore lines item "lines" and export them as pgn
+    And set "sicilian" to:
+      """
+      ["e4","c5"]
+      """
+    When go to the explored line item "sicilian"
+    And switch to the "previous" variation
+    Then "${lastRun}" is equal to "e4 e5"
+    When switch to the "previous" variation
+    Then "${lastRun}" is equal to "e4 e5"
+    When switch to the "next" variation
+    Then "${lastRun}" is equal to "e4 c5"
+    When switch to the "next" variation
+    Then "${lastRun}" is equal to "e4 c5"
+
+  Scenario: Playing a move that was already explored follows it
+    When explore lines item "lines" and export them as pgn
+    And set "kingsPawn" to:
+      """
+      ["e4"]
+      """
+    When go to the explored line item "kingsPawn"
+    And play "c5" after the current move
+    Then "${lastRun.currentLine}" is equal to "e4 c5"
+    And "${lastRun.variationCount}" is equal to 2
+    When go to the explored line item "kingsPawn"
+    And play "e6" after the current move
+    Then "${lastRun.currentLine}" is equal to "e4 e6"
+    And "${lastRun.variationCount}" is equal to 3
+
+  Scenario: Variations can be collapsed and expanded
+    When explore lines item "lines" and export them as pgn
+    And set "sicilian" to:
+      """
+      ["e4","c5"]
+      """
+    When toggle the explored line item "sicilian"
+    Then "${lastRun.collapsed}" is equal to "true"
+    When toggle the explored line item "sicilian"
+    Then "${lastRun.collapsed}" is equal to "false"